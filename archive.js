@@ -5,187 +5,561 @@
  * Simple script that downloads, runs launcher, and archives to GitHub
  */
 
-const https = require('https');
-const http = require('http');
 const fs = require('fs').promises;
 const path = require('path');
-const crypto = require('crypto');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const { head, getJson, downloadFile, sha256File, createLimiter } = require('./lib/http');
+const { loadConfig, expand, fileName } = require('./lib/config');
+const { loadManifest, createManifest, readManifest, writeManifest, upsertFile, migrateArchive, recordExtraction, recordRuntimeArchive, recordDiff, parseVersionDir } = require('./lib/manifest');
+const { storeBlob, materialize, resolveArtifact, collectGarbage } = require('./lib/blobs');
+const { run, which, stopAll } = require('./lib/process');
+const { extractArtifact } = require('./lib/extract');
+const { useHeadless, preflight, launch, shutdown } = require('./lib/launcher');
+const { loadPolicy, sanitizeCopy, auditedRoots, redactedByAudit, audit } = require('./lib/sanitize');
+const { CHANGES, noiseFilter, takeSnapshot, diffSnapshots, changedPaths, hasChanges, changesReport } = require('./lib/snapshot');
+const { EVENTS, TIMELINE, writeTimeline } = require('./lib/logs');
+const { LEGAL_DIR, writeLegalHistory } = require('./lib/legal');
+const { SUMS, KEYS_DIR, extraFiles, isLfsPointer, verifyExtraction, recordRedactions, loadSigningKey, publishKey, publishedKeys, signVersion, verifySums } = require('./lib/integrity');
+const { findPrevious, diffBuilds, writeReport } = require('./lib/diff');
+const { inspectZip, inspectTree } = require('./lib/inspect');
+const { REPORT: PROMOTIONS, observeChannel, trackPromotions, formatDuration } = require('./lib/promotion');
+const { acquireLock, createDaemon } = require('./lib/daemon');
+const { createCycle, finishCycle, appendCycle, readCycles, summarize } = require('./lib/journal');
+const { EXIT, VERSION_NAME, parseCommandLine, usage } = require('./lib/cli');
+const { createMirror } = require('./lib/mirror');
+const { writeCatalog } = require('./lib/catalog');
+const { stagedChanges, groupChanges, commitStaged, rebasedCommits, pushWithRetry, tagVersions, trackLfs } = require('./lib/publish');
+const { EVENTS: NOTIFY_EVENTS, createNotifier, sampleEvent } = require('./lib/notify');
+const { createOffsite } = require('./lib/offsite');
+const { collectFiles, writeBundle } = require('./lib/bundle');
+const { writeTorrent } = require('./lib/torrent');
+
+// Read first: --config and the overrides below decide how everything else is set up
+const CLI = readCommandLine();
+const OPTIONS = CLI.options;
+// With --json only the result goes to stdout
+if (OPTIONS.json) console.log = console.error;
 
 const DIR = './versions';
+const BLOBS = './blobs';
+const QUARANTINE = './quarantine';
+const ARTIFACTS = './state/artifacts.json';
+const PARTIAL = './state/partial';
+const LAUNCHER_RUNS = './state/launcher';
+const LOCK = './state/archiver.lock';
+const STATUS = './state/daemon.json';
+const JOURNAL = './state/journal.jsonl';
+const NOTIFIED = './state/notified.json';
+const OFFSITE = './state/offsite.json';
 const LOG = 'versions.log';
-const ENDPOINTS = ['launcher.hytale.com/release', 'launcher.arcanitegames.ca/stage'];
-const PLATFORMS = ['linux/amd64:zip,flatpak', 'darwin/arm64:zip,dmg', 'windows/amd64:zip,exe'];
-const GIT_REPO = process.env.GIT_REPO_PATH || __dirname;
-const RUN_LAUNCHER = process.env.RUN_LAUNCHER !== 'false';
-const LAUNCHER_WAIT = parseInt(process.env.LAUNCHER_WAIT) || 300000; // 5 min
-// const ARCHIVE_WAYBACK = process.env.ARCHIVE_WAYBACK !== 'false';
-const ARCHIVE_WAYBACK = false; // Disabled for now
+// Command line options win; the environment variables remain as fallbacks
+const GIT_REPO = OPTIONS.repo || process.env.GIT_REPO_PATH || __dirname;
+// Besides daemon, the commands that may start a launcher and so have to stop it on SIGTERM/SIGINT
+const LAUNCHING_COMMANDS = ['check', 'fetch', 'run-launcher'];
+const RUN_LAUNCHER = CLI.command === 'run-launcher' || (!OPTIONS['no-launcher'] && process.env.RUN_LAUNCHER !== 'false');
+const LAUNCHER_WAIT = parseInt(OPTIONS['launcher-wait']) || parseInt(process.env.LAUNCHER_WAIT) || 300000; // 5 min, upper bound on waiting for readiness
 const IS_WINDOWS = process.platform === 'win32';
-const USE_WINE = process.env.USE_WINE === 'true' || (!IS_WINDOWS && process.env.USE_WINE !== 'false');
-const WINE_PREFIX = process.env.WINE_PREFIX || path.join(process.env.HOME || '/tmp', '.wine');
+const USE_WINE = OPTIONS.wine || (!OPTIONS['no-wine'] && (process.env.USE_WINE === 'true' || (!IS_WINDOWS && process.env.USE_WINE !== 'false')));
+const WINE_PREFIX = OPTIONS['wine-prefix'] || process.env.WINE_PREFIX || path.join(process.env.HOME || '/tmp', '.wine');
+const DOWNLOAD_CONCURRENCY = parseInt(process.env.DOWNLOAD_CONCURRENCY) || 2;
+const DRY_RUN = !!OPTIONS['dry-run'];
+const NO_COMMIT = !!OPTIONS['no-commit'];
+const CONFIG = loadConfig(OPTIONS.config);
+// Throws when the policy is missing: nothing is archived without one
+const POLICY = loadPolicy();
+const IS_NOISE = noiseFilter(CONFIG.snapshot);
+
+const limitDownloads = createLimiter(DOWNLOAD_CONCURRENCY);
+const notifier = createNotifier({ targets: CONFIG.notify.targets, stateFile: NOTIFIED, retries: CONFIG.notify.retries, dryRun: DRY_RUN });
+const offsite = createOffsite({ targets: CONFIG.offsite.targets, stateFile: OFFSITE, versionsDir: DIR, dryRun: DRY_RUN });
+
+let artifacts = null;
+let artifactsLoading = null;
+let artifactsSaved = Promise.resolve();
+let wineStarted = false;
+let committing = null;
+let shuttingDown = false;
+let cycle = null;
 
-async function download(url, dest) {
+// Entries for the journal of the cycle under way; outside a cycle they go nowhere
+function note(list, entry) {
+    if (cycle) cycle[list].push(entry);
+    return entry;
+}
+
+function noteCommit(commit) {
+    if (cycle) cycle.commit = commit;
+    return commit;
+}
+
+// Deliveries run in the background; failures go to the journal of the cycle that raised the event
+function notify(event) {
+    const raisedIn = cycle;
+    notifier.emit(event).then(failures => {
+        if (raisedIn) for (const f of failures) raisedIn.errors.push({ where: `notify ${f.target}`, message: f.message });
+    }).catch(error => console.log(`failed: ${NOTIFIED} (${error.message})`));
+}
+
+// Run one cycle and append what happened to the journal, even when it throws (not on a dry run).
+// Resolves with the finished cycle.
+async function journaled(kind, fields, task) {
+    cycle = createCycle(kind, fields);
+    let finished;
     try {
-        // Check if file exists and get timestamp
-        let oldTime = 0;
-        try {
-            const stat = await fs.stat(dest);
-            oldTime = stat.mtimeMs;
-        } catch {}
+        // Deliveries that failed last time go out before anything new
+        notifier.flush().catch(() => {});
+        await task();
+    } catch (error) {
+        note('errors', { where: kind, message: error.message });
+        throw error;
+    } finally {
+        await notifier.idle();
+        finished = finishCycle(cycle);
+        cycle = null;
+        if (!DRY_RUN) await appendCycle(JOURNAL, finished).catch(error => console.log(`failed: ${JOURNAL} (${error.message})`));
+    }
+    return finished;
+}
+
+// Per-artifact record of validators and content hash, keyed by path under versions/.
+// Concurrent downloads share one load, so every record lands in the object that gets saved.
+function loadArtifacts() {
+    artifactsLoading = artifactsLoading || fs.readFile(ARTIFACTS, 'utf8').then(JSON.parse).catch(() => ({})).then(loaded => {
+        artifacts = loaded;
+        return loaded;
+    });
+    return artifactsLoading;
+}
+
+// Saves are chained so concurrent downloads never interleave writes to the temp file
+function saveArtifacts() {
+    artifactsSaved = artifactsSaved.catch(() => {}).then(async () => {
+        await fs.mkdir(path.dirname(ARTIFACTS), { recursive: true });
+        await fs.writeFile(`${ARTIFACTS}.tmp`, JSON.stringify(artifacts, null, 2));
+        await fs.rename(`${ARTIFACTS}.tmp`, ARTIFACTS);
+    });
+    return artifactsSaved;
+}
+
+// Resolves with { sha256, size, firstSeen, partial } when new bytes arrived for dest, null otherwise.
+// The complete file is left at `partial` for the caller to verify and store.
+async function download(url, dest, previous) {
+    const key = path.relative(DIR, dest).split(path.sep).join('/');
+    // Partial downloads live outside versions/ until they are verified and moved into blobs/
+    const partial = path.join(PARTIAL, key);
+    const entry = note('artifacts', { path: key, url });
+    try {
+        const records = await loadArtifacts();
+        const record = records[key] || null;
+        const now = new Date().toISOString();
         
-        // Check if URL exists
-        const exists = await new Promise((resolve) => {
-            const urlObj = new URL(url);
-            const protocol = urlObj.protocol === 'https:' ? https : http;
-            const req = protocol.request(url, { method: 'HEAD' }, (res) => {
-                resolve(res.statusCode === 200);
-            });
-            req.on('error', () => resolve(false));
-            req.setTimeout(5000, () => { req.destroy(); resolve(false); });
-            req.end();
-        });
+        // Previous content hash: the local record, else the committed manifest entry
+        const oldHash = (record && record.sha256) || (previous && previous.sha256) || '';
         
-        if (!exists) return false;
+        // Conditional GET using the validators from the last response
+        const headers = {};
+        if (oldHash && record && record.etag) headers['If-None-Match'] = record.etag;
+        if (oldHash && record && record.lastModified) headers['If-Modified-Since'] = record.lastModified;
         
-        await fs.mkdir(path.dirname(dest), { recursive: true });
+        const res = await downloadFile(url, partial, { headers });
         
-        // Download file
-        await new Promise((resolve, reject) => {
-            const protocol = url.startsWith('https') ? https : http;
-            const file = require('fs').createWriteStream(dest);
-            protocol.get(url, (res) => {
-                if (res.statusCode !== 200) {
-                    file.close();
-                    require('fs').unlinkSync(dest);
-                    return reject(new Error(`HTTP ${res.statusCode}`));
-                }
-                res.pipe(file);
-                file.on('finish', () => { file.close(); resolve(); });
-            }).on('error', reject);
-        });
+        entry.httpStatus = res.statusCode;
+        if (res.statusCode === 304) {
+            console.log(`unchanged: ${dest} (not modified)`);
+            Object.assign(entry, { status: 'unchanged', reason: 'not modified' });
+            records[key] = { ...record, lastConfirmed: now };
+            await saveArtifacts();
+            return null;
+        }
+        if (res.statusCode !== 200) {
+            // Most probes for formats a platform does not ship end here
+            Object.assign(entry, { status: res.statusCode === 404 ? 'missing' : 'failed', reason: `HTTP ${res.statusCode}` });
+            return null;
+        }
         
-        // Check if changed
-        const stat = await fs.stat(dest);
-        const newTime = stat.mtimeMs;
+        records[key] = {
+            url,
+            sha256: res.sha256,
+            size: res.size,
+            etag: res.etag,
+            lastModified: res.lastModified,
+            firstSeen: (record && record.firstSeen) || (previous && previous.firstSeen) || now,
+            lastChanged: (record && record.lastChanged) || now,
+            lastConfirmed: now,
+        };
         
-        if (oldTime === newTime) {
-            console.log(`unchanged: ${dest}`);
-            return false;
+        if (res.sha256 === oldHash) {
+            await fs.unlink(partial);
+            await saveArtifacts();
+            console.log(`unchanged: ${dest} (same sha256)`);
+            Object.assign(entry, { status: 'unchanged', reason: 'same sha256' });
+            return null;
         }
         
-        console.log(`downloaded: ${dest}`);
-        
-        // Save URL and SHA256
-        await fs.writeFile(`${dest}.url`, url);
-        const hash = crypto.createHash('sha256');
-        const data = await fs.readFile(dest);
-        hash.update(data);
-        await fs.writeFile(`${dest}.sha256`, hash.digest('hex'));
+        records[key].lastChanged = now;
+        if (oldHash) records[key].previousSha256 = oldHash;
+        await saveArtifacts();
         
-        // Archive to Wayback Machine
-        // if (ARCHIVE_WAYBACK) {
-        //     await archiveToWayback(url);
-        // }
+        console.log(`downloaded: ${dest}`);
+        Object.assign(entry, { status: 'downloaded', sha256: res.sha256, size: res.size });
         
-        return true;
+        return { sha256: res.sha256, size: res.size, firstSeen: records[key].firstSeen, partial, entry };
     } catch (error) {
-        return false;
+        // Whatever arrived stays under state/partial/ and is resumed on the next poll
+        console.log(`failed: ${dest} (${error.message})`);
+        Object.assign(entry, { status: 'failed', reason: error.message });
+        return null;
     }
 }
 
-async function fetch(endpoint, channel, version, destDir) {
-    for (const platform of PLATFORMS) {
-        const [platformPath, extsStr] = platform.split(':');
-        const exts = extsStr.split(',');
-        
-        for (const ext of exts) {
-            const name = ext === 'exe' 
-                ? `hytale-launcher-installer-${version}.${ext}`
-                : `hytale-launcher-${version}.${ext}`;
-            const url = `https://${endpoint}/builds/${channel}/${platformPath}/${name}`;
-            const dest = path.join(destDir, platformPath, name);
-            await download(url, dest);
+// Official hashes from launcher.json, keyed by "<os>/<arch>". Only zips are listed upstream.
+function officialHashes(json, version) {
+    const hashes = {};
+    if (!json || !json.download_url) return hashes;
+    if (version !== 'latest' && json.version !== version) return hashes;
+    for (const [os, arches] of Object.entries(json.download_url)) {
+        for (const [arch, entry] of Object.entries(arches || {})) {
+            if (entry && entry.sha256) hashes[`${os}/${arch}`] = entry.sha256.toLowerCase();
         }
     }
-    
-    // Save launcher.json
+    return hashes;
+}
+
+async function quarantine(file, dest, reason) {
+    const target = path.join(QUARANTINE, path.relative(DIR, dest));
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.rename(file, target).catch(() => {});
+    await fs.writeFile(`${target}.reason.json`, JSON.stringify({ ...reason, quarantinedAt: new Date().toISOString() }, null, 2));
+    // Forget the validators so the next poll fetches it again
+    const records = await loadArtifacts();
+    delete records[path.relative(DIR, dest).split(path.sep).join('/')];
+    await saveArtifacts();
+    console.log(`quarantined: ${dest} (${reason.reason})`);
+    return target;
+}
+
+// Cross-check a fresh download against launcher.json. Mismatches never reach blobs/.
+async function verify(file, dest, url, expected, actual) {
+    const name = path.basename(dest);
+    if (!expected) {
+        const reason = name.endsWith('.zip') ? 'no matching launcher.json entry' : 'no official hash published';
+        console.log(`unverified: ${dest} (${reason})`);
+        return { status: 'unverified', reason };
+    }
+    if (actual === expected) {
+        console.log(`verified: ${dest}`);
+        return { status: 'verified' };
+    }
+    const reason = 'sha256 mismatch with launcher.json';
+    const quarantined = await quarantine(file, dest, { reason, url, expected, actual });
+    const rel = path.relative(DIR, dest).split(path.sep).join('/');
+    if (!rel.startsWith('latest-')) notify({ type: 'hash-mismatch', path: rel, url, expected, actual });
+    return { status: 'quarantined', reason, expected, quarantined };
+}
+
+// Every os/arch pair in launcher.json's download_url; keys end up in paths and URLs, so anything
+// but plain names is set aside as rejected
+const PLATFORM_KEY = /^[a-z0-9_]+$/;
+
+function launcherPlatforms(json) {
+    const platforms = [];
+    const rejected = [];
+    for (const [os, arches] of Object.entries((json && json.download_url) || {})) {
+        for (const arch of Object.keys(arches || {})) {
+            (PLATFORM_KEY.test(os) && PLATFORM_KEY.test(arch) ? platforms : rejected).push(`${os}/${arch}`);
+        }
+    }
+    return { platforms, rejected };
+}
+
+// Platforms that launcher.json lists but the config does not know about yet
+function recordDiscoveries(manifest, sourceUrl, discovered) {
+    for (const platform of discovered) {
+        if (manifest.discoveries.some(d => d.platform === platform)) continue;
+        console.log(`discovered: ${platform} in ${manifest.version}-${manifest.channel}`);
+        manifest.discoveries.push({ platform, discoveredAt: new Date().toISOString(), sourceUrl });
+        // latest-<channel> repeats what its version already announced
+        if (manifest.version !== 'latest') notify({ type: 'new-platform', version: manifest.version, channel: manifest.channel, platform });
+    }
+}
+
+// --platform takes "linux" or "linux/amd64"
+function wantPlatform(platform) {
+    if (!OPTIONS.platform) return true;
+    return OPTIONS.platform.some(p => p === platform || p === platform.split('/')[0]);
+}
+
+// Channels to poll, narrowed by --channel
+function selectedEndpoints() {
+    return CONFIG.endpoints.filter(e => !OPTIONS.channel || OPTIONS.channel.includes(e.channel));
+}
+
+// Dry run: ask for the headers only and report what a download would get. Only the size can
+// tell an archived file from a changed one without downloading it.
+async function probe(url, dest, previous) {
+    const entry = note('artifacts', { path: path.relative(DIR, dest).split(path.sep).join('/'), url });
     try {
-        const jsonUrl = `https://${endpoint}/version/${channel}/launcher.json`;
-        const json = await new Promise((resolve, reject) => {
-            const protocol = jsonUrl.startsWith('https') ? https : http;
-            protocol.get(jsonUrl, (res) => {
-                if (res.statusCode !== 200) return reject(new Error(`HTTP ${res.statusCode}`));
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    try { resolve(JSON.parse(data)); } catch (e) { reject(e); }
-                });
-            }).on('error', reject);
-        });
+        const res = await head(url);
+        const size = res.headers['content-length'];
+        entry.httpStatus = res.statusCode;
+        entry.status = res.statusCode === 200 ? 'available' : res.statusCode === 404 ? 'missing' : 'failed';
+        if (res.statusCode === 200 && previous && String(previous.size) === size) {
+            entry.status = 'unchanged';
+            console.log(`unchanged: ${dest} (same size as archived)`);
+        } else if (res.statusCode === 200) {
+            console.log(`would download: ${dest}${size ? ` (${size} bytes)` : ''}`);
+        } else if (res.statusCode !== 404) {
+            console.log(`failed: ${dest} (HTTP ${res.statusCode})`);
+        }
+    } catch (error) {
+        Object.assign(entry, { status: 'failed', reason: error.message });
+        console.log(`failed: ${dest} (${error.message})`);
+    }
+    return null;
+}
+
+// launcher.json for a channel, journaled with its HTTP status; null when it could not be read
+async function getLauncherJson(channel, url) {
+    const polled = note('endpoints', { channel, url });
+    try {
+        const json = await getJson(url);
+        Object.assign(polled, { status: 200, version: json.version || null });
+        return json;
+    } catch (error) {
+        Object.assign(polled, { status: error.statusCode || null, error: error.message });
+        console.log(`failed: ${url} (${error.message})`);
+        return null;
+    }
+}
+
+// `polled` is a launcher.json this cycle already fetched from the endpoint, so it is recorded once
+async function fetch(endpoint, channel, version, destDir, polled = null) {
+    // Legacy sidecars in destDir are folded into manifest.json here (not on a dry run)
+    const manifest = DRY_RUN
+        ? await readManifest(destDir) || createManifest({ version, channel })
+        : await loadManifest(destDir, { version, channel, channels: CONFIG.endpoints.map(e => e.channel) });
+    const discoveriesBefore = manifest.discoveries.length;
+    
+    // launcher.json first, so downloads can be checked against the official hashes
+    const jsonUrl = `${endpoint}/version/${channel}/launcher.json`;
+    let json = polled || await getLauncherJson(channel, jsonUrl);
+    let jsonSaved = false;
+    if (json && (version === 'latest' || json.version === version) && !DRY_RUN) {
+        await fs.mkdir(destDir, { recursive: true });
         await fs.writeFile(path.join(destDir, 'launcher.json'), JSON.stringify(json, null, 2));
+        manifest.launcherJson = { path: 'launcher.json', url: jsonUrl };
+        jsonSaved = true;
+    } else {
+        // Upstream has moved on; fall back to the copy saved when this version was current
+        json = await fs.readFile(path.join(destDir, 'launcher.json'), 'utf8').then(JSON.parse).catch(() => null);
+    }
+    const hashes = officialHashes(json, version);
+    const current = json && (version === 'latest' || json.version === version);
+    const { platforms: listed, rejected } = current ? launcherPlatforms(json) : { platforms: [], rejected: [] };
+    for (const platform of rejected) {
+        const message = `rejected: platform ${JSON.stringify(platform)} in ${jsonUrl}`;
+        console.log(message);
+        note('errors', { where: jsonUrl, message });
+    }
+    
+    // Configured platforms plus whatever launcher.json lists for this version
+    const platforms = { ...CONFIG.platforms };
+    for (const platform of listed) {
+        if (platforms[platform]) continue;
+        platforms[platform] = ['zip', ...(CONFIG.siblings[platform.split('/')[0]] || [])];
+    }
+    recordDiscoveries(manifest, jsonUrl, listed.filter(p => !CONFIG.platforms[p]));
+    
+    const tasks = [];
+    for (const [platformPath, formats] of Object.entries(platforms)) {
+        if (!wantPlatform(platformPath)) continue;
+        const [os, arch] = platformPath.split('/');
+        const names = formats.map(format => [format, fileName(CONFIG, format, { version, os, arch })]);
+        for (const probe of CONFIG.extraProbes) {
+            if (probe.os && probe.os !== os) continue;
+            names.push([null, expand(probe.name, { version, os, arch })]);
+        }
         
-        // Archive launcher.json URL to Wayback Machine
-        // if (ARCHIVE_WAYBACK) {
-        //     await archiveToWayback(jsonUrl);
-        // }
-    } catch {}
+        for (const [format, name] of names) {
+            const url = `${endpoint}/builds/${channel}/${platformPath}/${name}`;
+            const dest = path.join(destDir, platformPath, name);
+            const rel = `${platformPath}/${name}`;
+            tasks.push(limitDownloads(async () => {
+                if (DRY_RUN) return probe(url, dest, manifest.files[rel]);
+                const result = await download(url, dest, manifest.files[rel]);
+                if (!result) return null;
+                const expected = format === 'zip' ? hashes[platformPath] : null;
+                const verification = await verify(result.partial, dest, url, expected, result.sha256);
+                result.entry.verification = verification.status;
+                if (verification.status === 'quarantined') {
+                    Object.assign(result.entry, { status: 'quarantined', reason: verification.reason });
+                    return null;
+                }
+                // Identical bytes already stored for another version or latest-* are reused
+                const blob = await storeBlob(BLOBS, result.partial, result.sha256);
+                await materialize(blob, dest, CONFIG.storage.mode);
+                const now = new Date().toISOString();
+                return [rel, {
+                    url,
+                    sha256: result.sha256,
+                    size: result.size,
+                    blob: blob.split(path.sep).join('/'),
+                    firstSeen: result.firstSeen,
+                    verification: { ...verification, checkedAt: now },
+                }, { url, recordedAt: now, via: 'download' }];
+            }));
+        }
+    }
+    
+    const results = (await Promise.all(tasks)).filter(Boolean);
+    for (const [rel, fields, source] of results) upsertFile(manifest, rel, fields, source);
+    if (DRY_RUN) return results;
+    if (results.length || manifest.launcherJson || manifest.discoveries.length > discoveriesBefore) {
+        await writeManifest(destDir, manifest);
+    }
+    // latest-<channel> only repeats a version that goes off-site under its own name
+    if (version !== 'latest') {
+        await offsite.enqueue(path.basename(destDir), [...results.map(([rel]) => rel), ...(jsonSaved ? ['launcher.json'] : [])]);
+    }
+    return results;
 }
 
-// async function archiveToWayback(url) {
-//     if (!ARCHIVE_WAYBACK) {
-//         console.log(`Wayback Machine archiving disabled (set ARCHIVE_WAYBACK=true to enable)`);
-//         return;
-//     }
-//     
-//     try {
-//         const waybackUrl = `https://web.archive.org/save/${url}`;
-//         console.log(`Archiving to Wayback Machine: ${url}`);
-//         await new Promise((resolve, reject) => {
-//             const protocol = https;
-//             const req = protocol.get(waybackUrl, (res) => {
-//                 console.log(`Wayback Machine response: ${res.statusCode} for ${url}`);
-//                 // Wayback Machine returns various status codes, all are fine
-//                 resolve();
-//             });
-//             req.on('error', (error) => {
-//                 console.log(`Wayback Machine error for ${url}: ${error.message}`);
-//                 resolve(); // Don't fail on errors
-//             });
-//             req.setTimeout(10000, () => {
-//                 console.log(`Wayback Machine timeout for ${url}`);
-//                 req.destroy();
-//                 resolve();
-//             });
-//             req.end();
-//         });
-//     } catch (error) {
-//         console.log(`Wayback Machine exception for ${url}: ${error.message}`);
-//     }
-// }
-
 async function logVersion(version) {
     try {
         const content = await fs.readFile(LOG, 'utf8').catch(() => '');
         if (!content.includes(version)) {
             await fs.appendFile(LOG, version + '\n');
         }
-    } catch {}
+    } catch (error) {
+        note('errors', { where: LOG, message: error.message });
+    }
 }
 
 async function checkWineAvailable() {
     if (IS_WINDOWS || !USE_WINE) return false;
+    return !!(await which('wine'));
+}
+
+// Extract one artifact into extracted/ and record every entry in the version manifest
+async function extract(versionDir, rel, file, extractedDir, format) {
     try {
-        await execAsync('which wine');
+        const result = await extractArtifact(file, extractedDir, { format, limits: CONFIG.extraction });
+        if (result.skipped) {
+            console.log(`skipped: ${extractedDir} (${result.skipped})`);
+            return false;
+        }
+        for (const r of result.rejected) console.log(`rejected: ${r.path} (${r.reason})`);
+        const extraction = {
+            platform: path.dirname(rel),
+            path: path.relative(GIT_REPO, extractedDir).split(path.sep).join('/'),
+            source: path.relative(GIT_REPO, path.join(versionDir, rel)).split(path.sep).join('/'),
+            format,
+            tool: result.tool,
+            extractedAt: new Date().toISOString(),
+        };
+        if (result.info) extraction.info = result.info;
+        if (result.rejected.length) extraction.rejected = result.rejected;
+        extraction.entries = result.entries;
+        await recordExtraction(versionDir, extraction);
+        console.log(`extracted: ${extractedDir} (${result.entries.length} entries)`);
         return true;
-    } catch {
+    } catch (error) {
+        console.log(`failed: ${extractedDir} (${error.message})`);
         return false;
     }
 }
 
-async function runLauncherForPlatform(version, channel, platform) {
+// dmg and flatpak bundles are unpacked for inspection only; nothing in them is run
+async function extractPackages(version, channel) {
+    const fullVersion = `${version}-${channel}`;
+    const versionDir = path.join(DIR, fullVersion);
+    const manifest = await readManifest(versionDir);
+    if (!manifest) return;
+    for (const [rel, entry] of Object.entries(manifest.files)) {
+        if (entry.format !== 'dmg' && entry.format !== 'flatpak') continue;
+        const extractedDir = path.join(GIT_REPO, 'extracted', fullVersion, `${entry.platform.replace('/', '-')}-${entry.format}`);
+        if (await fs.stat(extractedDir).catch(() => null)) continue;
+        const file = await resolveArtifact(versionDir, rel, manifest);
+        if (file) await extract(versionDir, rel, file, extractedDir, entry.format);
+    }
+}
+
+// Compare each platform zip with the previous build of the same channel
+async function diffVersion(version, channel) {
+    const versionDir = path.join(DIR, `${version}-${channel}`);
+    const manifest = await readManifest(versionDir);
+    if (!manifest) return;
+    for (const [rel, entry] of Object.entries(manifest.files)) {
+        if (entry.format !== 'zip') continue;
+        const previous = await findPrevious(DIR, CONFIG.endpoints.map(e => e.channel), {
+            version,
+            channel,
+            platform: entry.platform,
+            firstSeen: entry.firstSeen,
+        });
+        if (!previous) {
+            console.log(`skipped: diff ${version}-${channel} ${entry.platform} (no earlier build)`);
+            continue;
+        }
+        const before = await resolveArtifact(previous.versionDir, previous.rel, previous.manifest);
+        const after = await resolveArtifact(versionDir, rel, manifest);
+        if (!before || !after) {
+            console.log(`skipped: diff ${version}-${channel} ${entry.platform} (${before ? 'this' : previous.version} build not stored locally)`);
+            continue;
+        }
+        try {
+            const report = await diffBuilds(
+                { version: previous.version, file: before, rel: previous.rel, sha256: previous.entry.sha256, size: previous.entry.size },
+                { version, file: after, rel, sha256: entry.sha256, size: entry.size },
+                { platform: entry.platform, channel, limits: CONFIG.extraction },
+            );
+            const names = await writeReport(versionDir, report);
+            await recordDiff(versionDir, { platform: entry.platform, against: previous.version, ...names, diffedAt: new Date().toISOString() });
+            const { added, removed, modified } = report.summary;
+            console.log(`diffed: ${version}-${channel} ${entry.platform} against ${previous.version} (${added} added, ${removed} removed, ${modified} modified)`);
+        } catch (error) {
+            console.log(`failed: diff ${version}-${channel} ${entry.platform} (${error.message})`);
+        }
+    }
+}
+
+// Headers and Go buildinfo of every executable in the platform zips and unpacked dmg/flatpak trees
+async function inspectVersion(version, channel) {
+    const versionDir = path.join(DIR, `${version}-${channel}`);
+    const manifest = await readManifest(versionDir);
+    if (!manifest) return;
+    const report = (where, binaries) => {
+        for (const b of binaries) {
+            const go = b.go && b.go.goVersion ? `, ${b.go.goVersion}` : '';
+            console.log(`inspected: ${where}!${b.path} (${b.format} ${b.machine || b.cpu || ''}${go})`);
+            if (b.revisionMatches === false) console.log(`mismatch: ${where}!${b.path} (vcs.revision ${b.go.settings['vcs.revision']} is not ${version})`);
+        }
+    };
+    for (const [rel, entry] of Object.entries(manifest.files)) {
+        if (entry.format !== 'zip') continue;
+        const file = await resolveArtifact(versionDir, rel, manifest);
+        if (!file) continue;
+        try {
+            entry.binaries = await inspectZip(file, version, { limits: CONFIG.extraction });
+            report(rel, entry.binaries);
+        } catch (error) {
+            console.log(`failed: inspect ${rel} (${error.message})`);
+        }
+    }
+    // Extracted zips are the same bytes as the zip itself; only the package formats add anything
+    for (const extraction of manifest.extractions) {
+        if (extraction.format === 'zip' || !extraction.entries) continue;
+        extraction.binaries = await inspectTree(path.join(GIT_REPO, extraction.path), extraction.entries, version);
+        report(extraction.path, extraction.binaries);
+    }
+    await writeManifest(versionDir, manifest);
+}
+
+async function saveRunResult(runDir, result) {
+    await fs.mkdir(runDir, { recursive: true });
+    await fs.writeFile(path.join(runDir, 'run.json'), JSON.stringify(result, null, 2));
+}
+
+async function runLauncherForPlatform(version, channel, platform, { rerun = false } = {}) {
     const fullVersion = `${version}-${channel}`;
     const versionDir = path.join(DIR, fullVersion);
     const runtimeDir = path.join(GIT_REPO, 'runtime-archives');
@@ -199,49 +573,32 @@ async function runLauncherForPlatform(version, channel, platform) {
     const runtimes = await fs.readdir(runtimeDir).catch(() => []);
     console.log(`Existing runtime archives: ${runtimes.length} found`);
     const runtimePrefix = `${fullVersion}-${platform}-runtime-`;
-    if (runtimes.some(d => d.startsWith(runtimePrefix))) {
+    if (runtimes.some(d => d.startsWith(runtimePrefix)) && !rerun) {
         console.log(`✓ Runtime already archived for ${fullVersion} (${platform})`);
         return false;
     }
     
-    let platformZip, extractedDir, launcherName;
+    let zipRel, extractedDir, launcherName;
     if (platform === 'windows') {
-        platformZip = path.join(versionDir, 'windows/amd64', `hytale-launcher-${version}.zip`);
+        zipRel = `windows/amd64/hytale-launcher-${version}.zip`;
         extractedDir = path.join(GIT_REPO, 'extracted', fullVersion, 'windows-launcher');
         launcherName = 'Hytale Launcher.exe';
     } else {
-        platformZip = path.join(versionDir, 'linux/amd64', `hytale-launcher-${version}.zip`);
-        try {
-            await fs.access(platformZip);
-        } catch {
-            platformZip = path.join(versionDir, 'linux-amd64', `hytale-launcher-${version}.zip`);
-        }
+        zipRel = `linux/amd64/hytale-launcher-${version}.zip`;
         extractedDir = path.join(GIT_REPO, 'extracted', fullVersion, 'linux-launcher');
         launcherName = 'hytale-launcher';
     }
     
-    // Check if ZIP exists
-    try {
-        await fs.access(platformZip);
-    } catch {
+    // Check if ZIP exists, either in the version dir or in blobs/
+    const platformZip = await resolveArtifact(versionDir, zipRel);
+    if (!platformZip) {
         console.log(`No ${platform} ZIP found for ${fullVersion}`);
         return false;
     }
     
     // Extract if needed
-    try {
-        const files = await fs.readdir(extractedDir);
-        if (files.length > 0 && files.some(f => !f.endsWith('.json'))) {
-            // Already extracted
-        }
-    } catch {
-        await fs.mkdir(extractedDir, { recursive: true });
-        if (IS_WINDOWS && platform === 'windows') {
-            // Use PowerShell to extract on Windows
-            await execAsync(`powershell -Command "Expand-Archive -Path '${platformZip}' -DestinationPath '${extractedDir}' -Force"`);
-        } else {
-            await execAsync(`unzip -q "${platformZip}" -d "${extractedDir}"`);
-        }
+    if (!await fs.stat(extractedDir).catch(() => null)) {
+        if (!await extract(versionDir, zipRel, platformZip, extractedDir, 'zip')) return false;
     }
     
     // Find launcher
@@ -255,45 +612,6 @@ async function runLauncherForPlatform(version, channel, platform) {
         return false;
     }
     
-    console.log(`Running ${platform} launcher: ${fullVersion}${platform === 'windows' && !IS_WINDOWS ? ' (via Wine)' : ''}`);
-    let proc;
-    
-    if (platform === 'windows') {
-        if (IS_WINDOWS) {
-            // On Windows, just run the executable
-            proc = exec(`"${launcher}"`, { cwd: path.dirname(launcher) });
-        } else {
-            // On Linux with Wine, run Windows executable through Wine
-            const wineAvailable = await checkWineAvailable();
-            if (!wineAvailable) {
-                console.log(`Wine not available, skipping Windows launcher`);
-                return false;
-            }
-            const wineEnv = {
-                ...process.env,
-                WINEPREFIX: WINE_PREFIX,
-                DISPLAY: process.env.DISPLAY || ':0',
-                WINEDLLOVERRIDES: 'winemenubuilder.exe=d',
-            };
-            proc = exec(`wine "${launcher}"`, { 
-                cwd: path.dirname(launcher),
-                env: wineEnv
-            });
-            console.log(`Using Wine prefix: ${WINE_PREFIX}`);
-        }
-    } else {
-        // Linux launcher
-        if (IS_WINDOWS) {
-            console.log(`Cannot run Linux launcher on Windows`);
-            return false;
-        }
-        await execAsync(`chmod +x "${launcher}"`);
-        proc = exec(`"${launcher}"`, { cwd: path.dirname(launcher) });
-    }
-    
-    console.log(`Waiting ${LAUNCHER_WAIT / 1000}s for launcher to generate files...`);
-    await new Promise(resolve => setTimeout(resolve, LAUNCHER_WAIT));
-    
     // Archive runtime - platform-specific paths
     let dataDirs = [];
     if (platform === 'windows') {
@@ -327,42 +645,119 @@ async function runLauncherForPlatform(version, channel, platform) {
         ];
     }
     
-    let archived = false;
+    // Launch - platform-specific command
+    if (platform !== 'windows' && IS_WINDOWS) {
+        console.log(`Cannot run Linux launcher on Windows`);
+        return false;
+    }
+    const viaWine = platform === 'windows' && !IS_WINDOWS;
+    const headless = useHeadless(CONFIG.launcher.headless);
+    let command = launcher;
+    let args = [];
+    let env = process.env;
+    if (viaWine) {
+        // On Linux with Wine, run Windows executable through Wine
+        command = 'wine';
+        args = [launcher];
+        wineStarted = true;
+        env = {
+            ...process.env,
+            WINEPREFIX: WINE_PREFIX,
+            WINEDLLOVERRIDES: 'winemenubuilder.exe=d',
+        };
+        // xvfb-run provides its own DISPLAY
+        if (!headless) env.DISPLAY = process.env.DISPLAY || ':0';
+        console.log(`Using Wine prefix: ${WINE_PREFIX}`);
+    } else if (platform === 'linux') {
+        await fs.chmod(launcher, 0o755);
+    }
+    
+    const runDir = path.join(LAUNCHER_RUNS, `${fullVersion}-${platform}`);
+    const check = await preflight(launcher, { platform, wine: viaWine, headless });
+    if (!check.ok) {
+        for (const problem of check.problems) console.log(`preflight: ${problem}`);
+        await saveRunResult(runDir, { reason: 'preflight failed', preflight: check });
+        note('launcherRuns', { version: fullVersion, platform, reason: 'preflight failed', error: check.problems.join('; ') });
+        notify({ type: 'launcher-failed', version: fullVersion, platform, reason: 'preflight failed', error: check.problems.join('; ') });
+        return false;
+    }
+    
+    // What is already there belongs to earlier runs
+    const before = await takeSnapshot(dataDirs, IS_NOISE);
+    
+    console.log(`Running ${platform} launcher: ${fullVersion}${viaWine ? ' (via Wine)' : ''}${headless ? ' (headless)' : ''}`);
+    console.log(`Waiting up to ${LAUNCHER_WAIT / 1000}s for launcher to become ready...`);
+    const launched = await launch({
+        command,
+        args,
+        cwd: path.dirname(launcher),
+        env,
+        headless,
+        logFiles: dataDirs.map(dir => path.join(dir, CONFIG.launcher.logFile)),
+        markers: CONFIG.launcher.readyMarkers,
+        timeout: LAUNCHER_WAIT,
+        outputDir: runDir,
+    });
+    const { reason, exitCode, marker } = launched.result;
+    console.log(`launcher: ${reason} after ${(launched.result.durationMs / 1000).toFixed(1)}s${marker ? ` ("${marker}")` : ''}`);
+    
+    if (reason === 'spawn failed' || (reason === 'exited' && exitCode !== 0)) {
+        // Died before doing anything; the data directories would only hold older runs
+        const stderr = await fs.readFile(path.join(runDir, 'stderr.txt'), 'utf8').catch(() => '');
+        const lastLine = stderr.trim().split('\n').pop();
+        console.log(`exited: ${launcher} (code ${exitCode}${lastLine ? `: ${lastLine}` : ''})`);
+        await saveRunResult(runDir, { ...launched.result, preflight: check });
+        note('launcherRuns', { version: fullVersion, platform, reason, exitCode, durationMs: launched.result.durationMs, error: launched.result.error || lastLine || null });
+        notify({ type: 'launcher-failed', version: fullVersion, platform, reason, exitCode, error: launched.result.error || lastLine || null });
+        return false;
+    }
+    if (reason === 'ready' && CONFIG.launcher.settle) {
+        // Give it time to write files once it reports being up
+        console.log(`Waiting ${CONFIG.launcher.settle / 1000}s for launcher to generate files...`);
+        await new Promise(resolve => setTimeout(resolve, CONFIG.launcher.settle));
+    }
+    
+    const after = await takeSnapshot(dataDirs, IS_NOISE);
+    const deltas = diffSnapshots(before, after);
+    
+    let archived = null;
     console.log(`Checking ${dataDirs.length} possible data directories for ${platform} launcher...`);
     for (const dataDir of dataDirs) {
         try {
             await fs.access(dataDir);
-            console.log(`✓ Found data directory: ${dataDir}`);
+            const delta = deltas.find(d => d.dir === dataDir);
+            const { added, modified, deleted, noise } = delta;
+            console.log(`✓ Found data directory: ${dataDir} (${added.length} added, ${modified.length} modified, ${deleted.length} deleted, ${noise.added + noise.modified + noise.deleted} noise)`);
+            if (!hasChanges(delta)) {
+                console.log(`  nothing changed by this run`);
+                continue;
+            }
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
             const runtimeArchive = path.join(runtimeDir, `${fullVersion}-${platform}-runtime-${timestamp}`);
             console.log(`Creating runtime archive: ${runtimeArchive}`);
             await fs.mkdir(runtimeArchive, { recursive: true });
             
-            if (IS_WINDOWS) {
-                // Use robocopy on Windows
-                console.log(`Copying files with robocopy...`);
-                try {
-                    await execAsync(`robocopy "${dataDir}" "${runtimeArchive}\\appdata" /E /XD "*account*" "*token*" "*cookie*" "*auth*" "*session*" "*login*" "Cookies" "Login Data" "Web Data" /NFL /NDL /NJH /NJS`, { cwd: GIT_REPO });
-                } catch (error) {
-                    const exitCode = error.code || 0;
-                    if (exitCode > 7) {
-                        console.log(`robocopy error (exit code ${exitCode}): ${error.message}`);
-                        throw error;
-                    }
-                    // Exit codes 0-7 are success for robocopy
-                }
-            } else {
-                // Use rsync on Linux
-                console.log(`Copying files with rsync...`);
-                await execAsync(`rsync -a --exclude='*account*' --exclude='*token*' --exclude='*cookie*' --exclude='*auth*' --exclude='*session*' --exclude='*login*' --exclude='Cookies' --exclude='Login Data' --exclude='Web Data' "${dataDir}/" "${runtimeArchive}/appdata/"`);
-            }
+            // Copy what this run added or changed through the sanitize policy; on any error nothing is kept
+            console.log(`Copying files through ${path.basename(POLICY.file)}...`);
+            const report = await sanitizeCopy(dataDir, path.join(runtimeArchive, 'appdata'), POLICY, { only: new Set(changedPaths(delta)) }).catch(async error => {
+                await fs.rm(runtimeArchive, { recursive: true, force: true });
+                throw error;
+            });
+            console.log(`  copied ${report.copied}, redacted ${report.redacted.length}, denied ${report.denied.length}, skipped ${report.skipped.length}, refused ${report.refused.length}`);
+            const changes = changesReport(before, after, deltas, { policy: POLICY, profiles: CONFIG.snapshot.profiles, archived: dataDir });
+            await fs.writeFile(path.join(runtimeArchive, CHANGES), JSON.stringify(changes, null, 2) + '\n');
             
             // Verify archive was created
             const archiveFiles = await fs.readdir(runtimeArchive).catch(() => []);
             console.log(`✓ Archived ${platform} runtime: ${fullVersion}`);
             console.log(`  Location: ${runtimeArchive}`);
             console.log(`  Files/directories in archive: ${archiveFiles.length}`);
-            archived = true;
+            await recordRuntimeArchive(versionDir, {
+                platform,
+                path: path.relative(GIT_REPO, runtimeArchive).split(path.sep).join('/'),
+                archivedAt: new Date().toISOString(),
+            });
+            archived = runtimeArchive;
             break;
         } catch (error) {
             console.log(`  ✗ Directory ${dataDir} not accessible or error: ${error.message}`);
@@ -376,35 +771,42 @@ async function runLauncherForPlatform(version, channel, platform) {
         dataDirs.forEach(dir => console.log(`    - ${dir}`));
     }
     
-    // Kill launcher
-    try {
-        if (IS_WINDOWS) {
-            proc.kill();
-        } else {
-            proc.kill('SIGTERM');
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            if (!proc.killed) proc.kill('SIGKILL');
-        }
-    } catch (error) {
-        console.log(`Note: Could not kill launcher process: ${error.message}`);
+    // Kill launcher, then keep its output and run result next to the data
+    const result = await shutdown(launched);
+    await saveRunResult(runDir, { ...result, preflight: check });
+    note('launcherRuns', {
+        version: fullVersion,
+        platform,
+        reason: result.reason,
+        exitCode: result.exitCode,
+        durationMs: result.durationMs,
+        archived: archived ? path.relative(GIT_REPO, archived).split(path.sep).join('/') : null,
+    });
+    if (archived) {
+        await fs.copyFile(path.join(runDir, 'stdout.txt'), path.join(archived, 'launcher-stdout.txt')).catch(() => {});
+        await fs.copyFile(path.join(runDir, 'stderr.txt'), path.join(archived, 'launcher-stderr.txt')).catch(() => {});
+        await fs.copyFile(path.join(runDir, 'run.json'), path.join(archived, 'launcher-run.json'));
     }
     
-    return archived;
+    return !!archived;
 }
 
-async function extractAndRun(version, channel) {
+async function extractAndRun(version, channel, { rerun = false } = {}) {
     const fullVersion = `${version}-${channel}`;
     let anyArchived = false;
     
+    await extractPackages(version, channel);
+    await inspectVersion(version, channel);
+    
     // Run Windows launcher (if on Windows or Wine is available)
-    if (IS_WINDOWS || (USE_WINE && await checkWineAvailable())) {
-        const archived = await runLauncherForPlatform(version, channel, 'windows');
+    if (wantPlatform('windows') && (IS_WINDOWS || (USE_WINE && await checkWineAvailable()))) {
+        const archived = await runLauncherForPlatform(version, channel, 'windows', { rerun });
         if (archived) anyArchived = true;
     }
     
     // Run Linux launcher (if on Linux)
-    if (!IS_WINDOWS) {
-        const archived = await runLauncherForPlatform(version, channel, 'linux');
+    if (wantPlatform('linux') && !IS_WINDOWS) {
+        const archived = await runLauncherForPlatform(version, channel, 'linux', { rerun });
         if (archived) anyArchived = true;
     }
     
@@ -449,122 +851,752 @@ async function findLauncher(dir, preferredName) {
     return null;
 }
 
-async function commitToGit() {
+// Report (or with fix, repair) policy violations in the archived trees
+async function auditArchive(fix) {
+    const violations = await audit(GIT_REPO, POLICY, { fix });
+    for (const v of violations) console.log(`${v.fixed ? 'fixed' : v.kind}: ${v.path} (${v.detail})`);
+    return violations;
+}
+
+// Parse every archived launcher log into launcher-events.json and rebuild the timeline
+async function updateTimeline() {
+    const timeline = await writeTimeline(GIT_REPO, CONFIG.launcher.logFile);
+    console.log(`timeline: ${timeline.archives.length} logs, ${timeline.versions.length} launcher versions`);
+    return timeline;
+}
+
+// Store each EULA and license file revision from the runtime archives and diff the changes
+async function updateLegal() {
+    const { history, changes, removed } = await writeLegalHistory(GIT_REPO, { versionsDir: DIR });
+    const counts = Object.entries(history.documents).map(([name, doc]) => `${doc.revisions.length} ${name}`);
+    console.log(`legal: ${counts.join(', ')} revision(s)`);
+    for (const file of removed) console.log(`removed: ${file} (no longer referenced)`);
+    // The first revision of a document is not news
+    for (const change of changes.filter(c => c.from)) {
+        console.log(`changed: ${change.document} in ${change.to} (since ${change.from})`);
+        notify({ type: 'legal-changed', ...change });
+    }
+    return history;
+}
+
+// Which build each channel serves is only known from polls; record changes as they happen
+async function observe(channel, version) {
+    const { opened, closed } = await observeChannel(DIR, CONFIG.endpoints.map(e => e.channel), channel, version);
+    if (opened) console.log(`offered: ${opened} on ${channel}`);
+    for (const previous of closed) console.log(`withdrawn: ${previous} from ${channel}`);
+}
+
+async function updateCatalog() {
+    const { dir, title, baseUrl } = CONFIG.catalog;
+    const outDir = path.join(GIT_REPO, dir);
+    const summary = await writeCatalog({ repoRoot: GIT_REPO, versionsDir: DIR, channels: CONFIG.endpoints.map(e => e.channel), execFile: run, outDir, title, baseUrl });
+    console.log(`catalog: ${summary.versions} versions, ${summary.written.length} file(s) written, ${summary.removed.length} removed`);
+    return { ...summary, dir: outDir };
+}
+
+// Work through the off-site queues for a while; captures land in the manifests before the commit
+async function mirrorOffsite(budget = CONFIG.offsite.drainTime) {
+    const results = await offsite.drain({ budget, stop: () => shuttingDown });
+    for (const result of results) note('offsite', result);
+    return results;
+}
+
+async function updatePromotions() {
+    const { from, to } = CONFIG.promotion;
+    const report = await trackPromotions(DIR, CONFIG.endpoints.map(e => e.channel), { from, to });
+    console.log(`promotions: ${report.promotions.length} promoted, ${report.pending.length} pending, ${report.stageOnly.length} ${from}-only`);
+    return report;
+}
+
+const ARCHIVE_DIRS = () => ['versions', 'blobs', 'extracted', 'runtime-archives', LEGAL_DIR, KEYS_DIR, CONFIG.catalog.dir];
+
+// Audited trees outside the archive directories (the legacy release directories at the root);
+// what the audit deletes or redacts there has to be committed too
+async function legacyPaths() {
+    const dirs = ARCHIVE_DIRS();
+    return (await auditedRoots(GIT_REPO, POLICY)).filter(root => !dirs.includes(root.split('/')[0])).map(root => `${root}/`);
+}
+
+// Pathspecs a commit stages: the archive directories that exist (git refuses pathspecs that
+// match nothing), the legacy trees and the parsed events of runtime archives kept elsewhere
+async function archivePaths(runtimeArchives = []) {
+    const paths = [];
+    for (const dir of ARCHIVE_DIRS()) {
+        if (await fs.stat(path.join(GIT_REPO, dir)).catch(() => null)) paths.push(`${dir}/`);
+    }
+    paths.push(...await legacyPaths());
+    for (const archive of runtimeArchives) {
+        if (!archive.startsWith('runtime-archives/')) paths.push(`${archive}/${EVENTS}`);
+    }
+    return paths;
+}
+
+// One commit at a time; a shutdown waits for it, and no new one starts after that
+function commitToGit() {
+    if (shuttingDown || DRY_RUN) return Promise.resolve();
+    if (NO_COMMIT) {
+        console.log('skipped: commit (--no-commit)');
+        noteCommit({ status: 'skipped' });
+        return Promise.resolve();
+    }
+    if (!committing) committing = commitChanges().finally(() => { committing = null; });
+    return committing;
+}
+
+async function commitChanges() {
+    const git = args => run('git', args, { cwd: GIT_REPO });
+    const publishing = CONFIG.git;
     try {
+        // Nothing reaches git that the sanitize policy would not have let through; first, so the
+        // timeline, legal history and signatures below are built from what gets committed
+        await auditArchive(true);
+        
+        // The logs themselves are never committed (*.log), their parsed events are
+        const timeline = await updateTimeline();
+        await updateLegal();
+        await updatePromotions();
+        await updateCatalog();
+        await signArchive();
+        
         // Ensure runtime-archives directory exists
         const runtimeDir = path.join(GIT_REPO, 'runtime-archives');
         await fs.mkdir(runtimeDir, { recursive: true });
         
-        // Add all archive directories
-        const addCommand = IS_WINDOWS 
-            ? `git add versions/ extracted/ runtime-archives/ README.md`
-            : `git add versions/ extracted/ runtime-archives/ README.md`;
-        await execAsync(addCommand, { cwd: GIT_REPO });
+        // Artifact bytes go to LFS from here on; what is already committed stays as it is
+        const paths = await archivePaths(timeline.archives);
+        if (publishing.lfs) {
+            try {
+                const added = await trackLfs(git, GIT_REPO, publishing.lfsPatterns);
+                if (added.length) console.log(`lfs: tracking ${added.join(', ')}`);
+                paths.push('.gitattributes');
+            } catch (error) {
+                console.log(`skipped: lfs (${error.message})`);
+                note('errors', { where: 'lfs', message: error.message });
+            }
+        }
+        
+        // Add all archive directories, deletions included
+        await git(['add', '-A', '--', ...paths, 'README.md']);
+        
+        // Reset any code/log files that shouldn't be committed (release diff reports stay)
+        await git(['reset', 'HEAD', '--', '*.js', '*.sh', '*.ps1', '*.log', '*.md', ':!versions/*/diff-*.md']);
         
-        // Reset any code/log files that shouldn't be committed
-        const resetCommand = IS_WINDOWS
-            ? `git reset HEAD -- "*.js" "*.sh" "*.ps1" "*.log" "*.md"`
-            : `git reset HEAD -- '*.js' '*.sh' '*.ps1' '*.log' '*.md'`;
-        await execAsync(resetCommand, { cwd: GIT_REPO });
+        // What the audit deleted or redacted in files already tracked is committed whatever their names
+        const audited = (await auditedRoots(GIT_REPO, POLICY)).map(root => `${root}/`);
+        if (audited.length) await git(['add', '-u', '--', ...audited]);
         
         // Re-add README.md (it should be committed)
-        await execAsync(`git add README.md`, { cwd: GIT_REPO });
+        await git(['add', 'README.md']);
         
-        // Check if there are staged changes
-        try {
-            await execAsync(`git diff --staged --quiet`, { cwd: GIT_REPO });
+        const changes = await stagedChanges(git);
+        if (!changes.length) {
             console.log(`No changes to commit`);
+            noteCommit({ status: 'unchanged' });
             return false;
-        } catch {
-            // Has changes, commit
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-            await execAsync(`git commit -m "Auto-archive: ${timestamp}"`, { cwd: GIT_REPO });
-            console.log(`✓ Committed to git`);
-            
-            // Try to push
+        }
+        
+        const groups = await groupChanges(GIT_REPO, git, changes, CONFIG.endpoints.map(e => e.channel));
+        const commits = await commitStaged(git, groups, { split: publishing.splitCommits });
+        for (const c of commits) console.log(`✓ Committed ${c.sha.slice(0, 7)} ${c.subject}`);
+        const committed = noteCommit({ status: 'committed', commits, pushed: false });
+        
+        const rejected = (branch, failures = []) => {
+            for (const f of failures) console.log(`failed: push to ${publishing.remote}/${branch}, attempt ${f.attempt} (${f.error})`);
+        };
+        try {
+            const { branch, attempts, rebased, failures, upstream } = await pushWithRetry(git, { remote: publishing.remote, branch: publishing.branch, retries: publishing.pushRetries });
+            rejected(branch, failures);
+            console.log(`✓ Pushed to ${publishing.remote}/${branch}${rebased ? ` after ${rebased} rebase(s)` : ''}`);
+            Object.assign(committed, { pushed: branch, attempts, rebased });
+            // The rebase rewrote our commits; record what actually reached the remote
+            if (rebased) {
+                const rewritten = await rebasedCommits(git, upstream, commits);
+                commits.forEach((c, i) => { c.sha = rewritten[i].sha; });
+            }
+        } catch (error) {
+            rejected(error.branch || publishing.branch, error.failures);
+            console.error(`✗ Git push failed: ${error.message}`);
+            Object.assign(committed, { pushError: error.message, attempts: error.attempts });
+            const head = (await git(['rev-parse', 'HEAD']).catch(() => ({ stdout: '' }))).stdout.trim();
+            notify({ type: 'push-failed', remote: publishing.remote, branch: error.branch || publishing.branch, head, attempts: error.attempts, error: error.message.split('\n')[0] });
+            return false;
+        }
+        
+        // Only pushed commits are tagged: a rebase before the push would leave tags behind
+        if (publishing.tags) {
             try {
-                await execAsync(`git push origin main`, { cwd: GIT_REPO });
-                console.log(`✓ Pushed to GitHub (main branch)`);
-                return true;
-            } catch {
-                try {
-                    await execAsync(`git push origin master`, { cwd: GIT_REPO });
-                    console.log(`✓ Pushed to GitHub (master branch)`);
-                    return true;
-                } catch (error) {
-                    console.error(`✗ Git push failed: ${error.message}`);
-                    return false;
+                const tags = await tagVersions(git, GIT_REPO, CONFIG.endpoints.map(e => e.channel), { prefix: publishing.tagPrefix });
+                if (tags.length) {
+                    await git(['push', publishing.remote, ...tags.map(tag => `refs/tags/${tag}`)]);
+                    console.log(`✓ Tagged ${tags.join(', ')}`);
+                    committed.tags = tags;
                 }
+            } catch (error) {
+                console.error(`✗ Git tag failed: ${error.message}`);
+                committed.tagError = error.message;
             }
         }
+        return true;
     } catch (error) {
         console.error(`✗ Git commit failed: ${error.message}`);
+        noteCommit({ status: 'failed', error: error.message });
         return false;
     }
 }
 
 async function fetchVersion(version) {
+    // Versions listed in a file are no more trusted than remote ones
+    if (version !== 'latest' && !VERSION_NAME.test(version)) {
+        const message = `rejected: version ${JSON.stringify(version)} (not <date>-<git hash>)`;
+        console.log(message);
+        note('errors', { where: 'fetch', message });
+        return;
+    }
     console.log(`fetching: ${version}`);
-    for (const endpoint of ENDPOINTS) {
-        const [endpointHost, channel] = endpoint.split('/');
+    for (const { base, channel } of selectedEndpoints()) {
         const destDir = path.join(DIR, `${version}-${channel}`);
-        await fetch(endpointHost, channel, version, destDir);
+        await fetch(base, channel, version, destDir);
+        if (DRY_RUN) continue;
         await logVersion(version);
+        await diffVersion(version, channel);
         await extractAndRun(version, channel);
     }
+    await mirrorOffsite();
     // Commit and push after all operations complete (commitToGit checks for changes)
     await commitToGit();
 }
 
 async function checkForNewVersions() {
     // Auto-detect new versions
-    for (const endpoint of ENDPOINTS) {
-        const [endpointHost, channel] = endpoint.split('/');
+    for (const { base, channel } of selectedEndpoints()) {
         try {
-            const jsonUrl = `https://${endpointHost}/version/${channel}/launcher.json`;
-            const json = await new Promise((resolve, reject) => {
-                const protocol = https;
-                protocol.get(jsonUrl, (res) => {
-                    if (res.statusCode !== 200) return reject(new Error(`HTTP ${res.statusCode}`));
-                    let data = '';
-                    res.on('data', chunk => data += chunk);
-                    res.on('end', () => {
-                        try { resolve(JSON.parse(data)); } catch (e) { reject(e); }
-                    });
-                }).on('error', reject);
-            });
+            const json = await getLauncherJson(channel, `${base}/version/${channel}/launcher.json`);
+            if (!json) continue;
             
             const version = json.version;
+            // Goes into versions/, extracted/ and runtime-archives/ paths
+            if (typeof version !== 'string' || !VERSION_NAME.test(version)) {
+                const message = `rejected: version ${JSON.stringify(version)} from ${channel} (not <date>-<git hash>)`;
+                console.log(message);
+                note('errors', { where: channel, message });
+                continue;
+            }
             const versionDir = path.join(DIR, `${version}-${channel}`);
             
             try {
                 await fs.access(versionDir);
                 console.log(`already have: ${version}-${channel}`);
+                note('versions', { channel, version, new: false });
+                if (!DRY_RUN) await observe(channel, version);
                 continue;
             } catch {}
             
-            console.log(`found: ${version}-${channel}`);
-            await fetch(endpointHost, channel, version, versionDir);
-            await fetch(endpointHost, channel, 'latest', path.join(DIR, `latest-${channel}`));
+            console.log(`${DRY_RUN ? 'would fetch' : 'found'}: ${version}-${channel}`);
+            note('versions', { channel, version, new: true });
+            notify({ type: 'new-version', version, channel, platforms: launcherPlatforms(json).platforms });
+            await fetch(base, channel, version, versionDir, json);
+            if (DRY_RUN) continue;
+            await observe(channel, version);
+            await fetch(base, channel, 'latest', path.join(DIR, `latest-${channel}`), json);
             await logVersion(version);
+            await diffVersion(version, channel);
             await extractAndRun(version, channel);
         } catch (error) {
             console.error(`Error checking ${channel}: ${error.message}`);
+            note('errors', { where: channel, message: error.message });
         }
     }
     
+    // Retries come due whether or not anything new turned up
+    await mirrorOffsite();
     // Commit and push after checking all endpoints (commitToGit checks for changes)
     await commitToGit();
 }
 
+// Usage errors end here, before the config and the policy are loaded
+function readCommandLine() {
+    try {
+        return parseCommandLine(process.argv.slice(2));
+    } catch (error) {
+        if (error.code !== 'EUSAGE') throw error;
+        process.stderr.write(`${error.message}\nsee \`archive.js help\`\n`);
+        process.exit(EXIT.usage);
+    }
+}
+
+// Exit code of a journaled cycle: partial and failed work is visible to the caller
+function exitFor(finished) {
+    if (finished.outcome === 'failed') return EXIT.failed;
+    return finished.outcome === 'partial' ? EXIT.partial : EXIT.ok;
+}
+
+const worst = codes => [EXIT.failed, EXIT.partial].find(code => codes.includes(code)) || EXIT.ok;
+
+// Archived <version>-<channel> dirs, narrowed by --channel and an optional version
+async function archivedVersions(only) {
+    const channels = CONFIG.endpoints.map(e => e.channel);
+    const builds = [];
+    for (const name of (await fs.readdir(DIR).catch(() => [])).sort()) {
+        const parsed = parseVersionDir(name, channels);
+        if (!parsed || parsed.snapshot) continue;
+        if (only && parsed.version !== only) continue;
+        if (OPTIONS.channel && !OPTIONS.channel.includes(parsed.channel)) continue;
+        builds.push({ ...parsed, versionDir: path.join(DIR, name) });
+    }
+    return builds;
+}
+
+// Refresh every version's SHA256SUMS and, with signing.key, its signature
+async function signArchive() {
+    let key = null;
+    if (CONFIG.signing.key) {
+        try {
+            key = await loadSigningKey(CONFIG.signing.key);
+            await publishKey(GIT_REPO, key);
+        } catch (error) {
+            console.log(`skipped: signing (${error.message})`);
+            note('errors', { where: 'signing', message: error.message });
+        }
+    }
+    let written = 0;
+    let signed = 0;
+    const isRedacted = redactedByAudit(POLICY);
+    for (const build of await archivedVersions()) {
+        if (build.version === 'latest' || build.snapshot) continue;
+        const manifest = await readManifest(build.versionDir);
+        if (!manifest) continue;
+        // Runs after the audit: what it redacted is what gets committed, and signed
+        const redacted = await recordRedactions(GIT_REPO, manifest, isRedacted);
+        if (redacted) {
+            await writeManifest(build.versionDir, manifest);
+            console.log(`recorded: ${redacted} redacted file(s) in ${path.basename(build.versionDir)}`);
+        }
+        const result = await signVersion(GIT_REPO, build.versionDir, manifest, key);
+        if (result.sums) written++;
+        if (result.signed) signed++;
+    }
+    if (written || signed) console.log(`signing: ${written} ${SUMS} written, ${signed} signed`);
+}
+
+// Hash every stored artifact against its manifest entry and, for zips, the saved launcher.json;
+// then the extracted files, files nobody recorded, and each version's SHA256SUMS and signature.
+// `file` is relative to the version dir for artifacts and to the repository for everything else.
+async function verifyArchive(only) {
+    const results = [];
+    const keys = await publishedKeys(GIT_REPO);
+    const report = (build, result, detail = result.reason) => {
+        results.push({ version: build.version, channel: build.channel, ...result });
+        const where = result.kind === 'artifact' ? path.join(build.versionDir, result.file) : path.join(GIT_REPO, result.file);
+        console.log(`${result.status}: ${where}${detail ? ` (${detail})` : ''}`);
+    };
+    for (const build of await archivedVersions(only)) {
+        const manifest = await readManifest(build.versionDir);
+        if (!manifest) continue;
+        const json = await fs.readFile(path.join(build.versionDir, 'launcher.json'), 'utf8').then(JSON.parse).catch(() => null);
+        const official = officialHashes(json, build.version);
+        for (const [rel, entry] of Object.entries(manifest.files)) {
+            if (entry.platform && !wantPlatform(entry.platform)) continue;
+            const result = { kind: 'artifact', file: rel, expected: entry.sha256 };
+            const file = await resolveArtifact(build.versionDir, rel, manifest);
+            if (!file) {
+                report(build, { ...result, status: 'missing' });
+                continue;
+            }
+            result.actual = await sha256File(file);
+            const published = entry.format === 'zip' ? official[entry.platform] : undefined;
+            if (result.actual !== entry.sha256) {
+                const reason = await isLfsPointer(file) ? 'Git LFS pointer, not the file' : 'sha256 differs from manifest.json';
+                Object.assign(result, { status: 'mismatch', reason });
+            } else if (published && published !== result.actual) {
+                Object.assign(result, { status: 'mismatch', reason: 'sha256 differs from launcher.json', published });
+            } else {
+                result.status = 'ok';
+            }
+            report(build, result, result.status === 'ok' ? published && 'matches launcher.json' : result.reason);
+        }
+        for (const extraction of manifest.extractions) {
+            if (extraction.platform && !wantPlatform(extraction.platform)) continue;
+            for (const result of await verifyExtraction(GIT_REPO, extraction)) report(build, { kind: 'extracted', ...result });
+        }
+        const relDir = path.relative(GIT_REPO, build.versionDir).split(path.sep).join('/');
+        for (const rel of await extraFiles(build.versionDir, manifest)) report(build, { kind: 'artifact', file: rel, status: 'extra' });
+        const sums = await verifySums(GIT_REPO, build.versionDir, manifest, keys);
+        if (sums) report(build, { kind: 'signature', file: `${relDir}/${SUMS}`, ...sums }, sums.key ? `signed, ${sums.key}` : sums.reason);
+    }
+    return results;
+}
+
+// Each command resolves with { code, result }; `result` is what --json prints
+const COMMAND_HANDLERS = {
+    async daemon() {
+        if (DRY_RUN) return COMMAND_HANDLERS.check();
+        await lockOrExit();
+        // Cycles run back to back with interval ± jitter in between, never overlapping
+        const { interval, jitter, heartbeat } = CONFIG.daemon;
+        const poll = () => journaled('poll', {}, checkForNewVersions);
+        const daemon = createDaemon({ task: poll, interval, jitter, heartbeat, statusFile: STATUS });
+        for (const signal of ['SIGTERM', 'SIGINT']) process.once(signal, () => stopDaemon(daemon, signal));
+        console.log(`Running continuously, checking every ${interval / 1000}s (±${jitter / 1000}s), status in ${STATUS}`);
+        await daemon.run();
+        return { code: EXIT.ok };
+    },
+
+    async check() {
+        if (!DRY_RUN) await lockOrExit();
+        const finished = await journaled('poll', {}, checkForNewVersions);
+        return { code: exitFor(finished), result: finished };
+    },
+
+    async fetch(target) {
+        if (!DRY_RUN) await lockOrExit();
+        // A file lists one version per line
+        const content = await fs.readFile(target, 'utf8').catch(() => null);
+        const versions = content === null ? [target] : content.split('\n').map(line => line.trim()).filter(Boolean);
+        const cycles = [];
+        for (const version of versions) {
+            cycles.push(await journaled('fetch', { requested: version }, () => fetchVersion(version)));
+        }
+        return { code: worst(cycles.map(exitFor)), result: cycles };
+    },
+
+    async 'run-launcher'(version) {
+        const builds = await archivedVersions(version);
+        if (!builds.length) {
+            console.log(`not archived: ${version}`);
+            return { code: EXIT.failed };
+        }
+        if (DRY_RUN) {
+            for (const b of builds) console.log(`would run: launchers of ${b.version}-${b.channel}`);
+            return { code: EXIT.ok, result: builds.map(b => ({ version: b.version, channel: b.channel })) };
+        }
+        await lockOrExit();
+        const finished = await journaled('run', { requested: version }, async () => {
+            for (const b of builds) await extractAndRun(b.version, b.channel, { rerun: true });
+            await commitToGit();
+        });
+        return { code: exitFor(finished), result: finished };
+    },
+
+    async verify(version) {
+        const results = await verifyArchive(version);
+        const count = status => results.filter(r => r.status === status).length;
+        console.log(`${results.length} file(s): ${count('ok')} ok, ${count('mismatch')} mismatch, ${count('missing')} missing, ${count('extra')} extra, ${count('unsigned')} unsigned`);
+        return { code: count('mismatch') || count('missing') || count('extra') ? EXIT.failed : EXIT.ok, result: results };
+    },
+
+    async list() {
+        const list = [];
+        for (const build of await archivedVersions()) {
+            if (build.version === 'latest') continue;
+            const manifest = await readManifest(build.versionDir);
+            const files = manifest ? Object.values(manifest.files) : [];
+            const firstSeen = files.map(f => f.firstSeen).filter(Boolean).sort()[0] || (manifest && manifest.discoveredAt) || null;
+            const item = {
+                version: build.version,
+                channel: build.channel,
+                platforms: manifest ? manifest.platforms : [],
+                files: files.length,
+                firstSeen,
+                promotion: manifest && manifest.promotion ? manifest.promotion.status : null,
+                runtimeArchives: manifest ? manifest.runtimeArchives.length : 0,
+                migrated: !!manifest,
+            };
+            list.push(item);
+            if (!manifest) {
+                console.log(`${item.version} ${item.channel} (not migrated, run migrate)`);
+                continue;
+            }
+            console.log(`${item.version} ${item.channel}: ${item.platforms.join(', ') || 'no platforms'}, ${item.files} file(s), first seen ${firstSeen || 'unknown'}${item.promotion ? `, ${item.promotion}` : ''}${item.runtimeArchives ? `, ${item.runtimeArchives} launcher run(s)` : ''}`);
+        }
+        console.log(`${list.length} version(s)`);
+        return { code: EXIT.ok, result: list };
+    },
+
+    async status(limit) {
+        // Last N cycles from the journal and whatever is failing right now
+        limit = parseInt(limit) || 10;
+        const daemon = await fs.readFile(STATUS, 'utf8').then(JSON.parse).catch(() => null);
+        if (daemon) {
+            const age = Date.now() - Date.parse(daemon.heartbeatAt);
+            const stale = daemon.state !== 'stopped' && age > 3 * CONFIG.daemon.heartbeat ? ' (stale)' : '';
+            console.log(`daemon: ${daemon.state}, pid ${daemon.pid}, heartbeat ${daemon.heartbeatAt}${stale}${daemon.nextCycleAt ? `, next check ${daemon.nextCycleAt}` : ''}`);
+        }
+        // Streaks can run longer than the cycles shown
+        const cycles = await readCycles(JOURNAL, Math.max(limit, 1000));
+        const summary = summarize(cycles);
+        if (!cycles.length) console.log(`no cycles in ${JOURNAL}`);
+        for (const c of cycles.slice(-limit)) {
+            const count = status => c.artifacts.filter(a => a.status === status).length;
+            const newVersions = c.versions.filter(v => v.new).length;
+            const failed = c.endpoints.filter(e => e.error).length + count('failed') + count('quarantined');
+            const commit = c.commit ? `, commit ${c.commit.status}` : '';
+            console.log(`${c.startedAt} ${c.kind}${c.requested ? ` ${c.requested}` : ''} ${c.outcome} ${(c.durationMs / 1000).toFixed(1)}s: ${c.endpoints.length} endpoints, ${newVersions} new versions, ${count('downloaded')} downloaded, ${failed} failed, ${c.launcherRuns.length} launcher runs${commit}`);
+        }
+        console.log(`outcomes: ${Object.entries(summary.outcomes).map(([outcome, n]) => `${outcome} ${n}`).join(', ') || 'none'} (last ${summary.cycles} cycles)`);
+        for (const streak of summary.streaks) {
+            console.log(`streak: ${streak.key} failed ${streak.count} time(s) in a row since ${streak.since}${streak.lastError ? ` (${streak.lastError})` : ''}`);
+        }
+        const targets = await offsite.pending();
+        for (const t of targets) console.log(`offsite: ${t.target} ${t.queued} queued (${t.due} due), ${t.failed} given up${t.pausedUntil ? `, paused until ${t.pausedUntil}` : ''}`);
+        return { code: EXIT.ok, result: { daemon, cycles: cycles.slice(-limit), outcomes: summary.outcomes, streaks: summary.streaks, offsite: targets } };
+    },
+
+    async commit() {
+        if (DRY_RUN) {
+            // git add -n honours .gitignore the same way the real commit does
+            const { stdout } = await run('git', ['add', '--dry-run', '-A', '--', ...await archivePaths(), 'README.md'], { cwd: GIT_REPO });
+            const paths = stdout.split('\n').map(line => line.match(/^(?:add|remove) '(.*)'$/)).filter(Boolean).map(m => m[1]);
+            for (const p of paths) console.log(`would commit: ${p}`);
+            if (!paths.length) console.log('No changes to commit');
+            return { code: EXIT.ok, result: paths };
+        }
+        await lockOrExit();
+        const finished = await journaled('commit', {}, commitToGit);
+        return { code: exitFor(finished), result: finished.commit };
+    },
+
+    async migrate() {
+        // Convert legacy sidecars, url.txt dirs and extraction manifests into manifest.json
+        if (!DRY_RUN) await lockOrExit();
+        const summary = await migrateArchive({
+            repoRoot: GIT_REPO,
+            versionsDir: DIR,
+            channels: CONFIG.endpoints.map(e => e.channel),
+            execFile: run,
+            dryRun: DRY_RUN,
+        });
+        for (const v of summary.versions) console.log(`${DRY_RUN ? 'would migrate' : 'migrated'}: ${v.dir} (${v.converted} legacy files, ${v.moved} moved)`);
+        for (const e of summary.extractions) console.log(`${DRY_RUN ? 'would migrate' : 'migrated'}: ${e}`);
+        for (const r of summary.runtimeArchives) console.log(`linked: ${r}`);
+        for (const s of summary.skipped) console.log(`skipped: ${s} (no matching version)`);
+        return { code: EXIT.ok, result: summary };
+    },
+
+    async gc() {
+        // Move binaries into blobs/, fold timestamped snapshots into their version, drop orphans
+        if (!DRY_RUN) await lockOrExit();
+        const summary = await collectGarbage({
+            repoRoot: GIT_REPO,
+            versionsDir: DIR,
+            blobsDir: BLOBS,
+            channels: CONFIG.endpoints.map(e => e.channel),
+            mode: CONFIG.storage.mode,
+            dryRun: DRY_RUN,
+        });
+        const verb = (done, pending) => DRY_RUN ? pending : done;
+        for (const i of summary.ingested) console.log(`${verb('stored', 'would store')}: ${i.file}${i.duplicate ? ' (duplicate)' : ''}`);
+        for (const m of summary.mismatches) console.log(`skipped: ${m.file} (sha256 ${m.actual} does not match manifest)`);
+        for (const c of summary.collapsed) console.log(`${verb('collapsed', 'would collapse')}: ${c.snapshot} -> ${c.into}`);
+        for (const k of summary.kept) console.log(`kept: ${k.snapshot} (${k.reason})`);
+        for (const p of summary.pruned) console.log(`${verb('pruned', 'would prune')}: ${p}`);
+        console.log(`${verb('freed', 'would free')}: ${summary.bytesFreed} bytes`);
+        return { code: EXIT.ok, result: summary };
+    },
+
+    async audit() {
+        // Scan runtime-archives/ and friends for denied files and unredacted personal data
+        const fix = OPTIONS.fix && !DRY_RUN;
+        const violations = await auditArchive(fix);
+        console.log(`${violations.length} violation(s)${violations.length && !fix ? ', run with --fix to repair' : ''}`);
+        return { code: violations.some(v => !v.fixed) ? EXIT.failed : EXIT.ok, result: violations };
+    },
+
+    async diff(version) {
+        // Release diff reports for one version, or for every archived version without arguments
+        for (const build of await archivedVersions(version)) {
+            if (build.version !== 'latest') await diffVersion(build.version, build.channel);
+        }
+        return { code: EXIT.ok };
+    },
+
+    async inspect(version) {
+        // Executable metadata for one version, or for every archived version without arguments
+        for (const build of await archivedVersions(version)) await inspectVersion(build.version, build.channel);
+        return { code: EXIT.ok };
+    },
+
+    async promotions() {
+        const report = await updatePromotions();
+        for (const p of report.promotions) {
+            const match = p.match.version ? 'same version' : `${p.match.files} identical file(s)`;
+            console.log(`${p.from.version} -> ${p.to.version}: promoted ${p.promotedAt}, ${formatDuration(p.onStage)} on ${report.from} (${match})`);
+        }
+        for (const b of report.pending) console.log(`${b.version}: still on ${report.from} since ${b.firstSeen}`);
+        for (const b of report.stageOnly) console.log(`${b.version}: ${report.from} only, first seen ${b.firstSeen}`);
+        for (const b of report.releaseOnly) console.log(`${b.version}: straight to ${report.to}, first seen ${b.firstSeen}`);
+        console.log(`report: ${path.join(DIR, PROMOTIONS)}`);
+        return { code: EXIT.ok, result: report };
+    },
+
+    async timeline() {
+        // Launcher versions, channels, errors and new messages across all archived logs
+        const timeline = await updateTimeline();
+        for (const v of timeline.versions) {
+            console.log(`${v.version || 'unknown'} (${v.branches.join(', ') || 'no branch'}): first seen ${v.firstSeen}, ${v.sessions} session(s)`);
+            if (v.channels.length) console.log(`  channels: ${v.channels.join(', ')}`);
+            for (const [type, count] of Object.entries(v.errors)) console.log(`  error x${count}: ${type}`);
+            for (const message of v.newMessages) console.log(`  new: ${message}`);
+        }
+        console.log(`written: runtime-archives/${TIMELINE}`);
+        return { code: EXIT.ok, result: timeline };
+    },
+
+    async legal() {
+        // Which version carried which EULA and license file, and what changed in between
+        const history = await updateLegal();
+        for (const [name, doc] of Object.entries(history.documents)) {
+            for (const change of doc.changes) {
+                const meta = doc.revisions.find(r => r.sha256 === change.sha256).meta;
+                const label = Object.entries(meta).map(([key, value]) => `${key} ${value}`).join(', ');
+                console.log(`${name} ${change.sha256.slice(0, 12)}: ${change.from ? `changed in ${change.to}` : `first in ${change.to}`}${label ? ` (${label})` : ''}`);
+                if (change.diff) console.log(`  diff: ${change.diff}`);
+                const c = change.components;
+                if (!c) continue;
+                for (const component of c.added) console.log(`  added: ${component.package} ${component.version || ''} (${component.license})`);
+                for (const component of c.removed) console.log(`  removed: ${component.package} (${component.license})`);
+                for (const u of c.updated) {
+                    const what = ['version', 'license'].filter(key => u.from[key] !== u.to[key]).map(key => `${u.from[key]} -> ${u.to[key]}`);
+                    console.log(`  updated: ${u.package} ${what.join(', ')}`);
+                }
+            }
+        }
+        console.log(`written: ${LEGAL_DIR}/history.json`);
+        return { code: EXIT.ok, result: history };
+    },
+
+    async catalog() {
+        const summary = await updateCatalog();
+        for (const name of summary.written) console.log(`written: ${path.join(summary.dir, name)}`);
+        for (const name of summary.removed) console.log(`removed: ${path.join(summary.dir, name)}`);
+        return { code: EXIT.ok, result: summary };
+    },
+
+    async notify(type = 'new-version') {
+        // Goes to every target subscribed to it, delivered or not before, and is not recorded
+        const targets = CONFIG.notify.targets;
+        if (!targets.length) console.log('notify: no targets configured');
+        const tester = createNotifier({ targets, stateFile: null, retries: CONFIG.notify.retries, dryRun: DRY_RUN });
+        const failures = await tester.emit(sampleEvent(type));
+        return { code: failures.length ? EXIT.failed : EXIT.ok, result: { event: type, targets: targets.length, failures } };
+    },
+
+    async offsite(version) {
+        // Queue whatever has no capture yet (given-up jobs included), then keep going until nothing is due
+        const builds = (await archivedVersions(version)).filter(b => b.version !== 'latest');
+        if (version && !builds.length) {
+            console.log(`not archived: ${version}`);
+            return { code: EXIT.failed };
+        }
+        if (!offsite.targets.length) console.log('offsite: no targets configured');
+        if (!DRY_RUN) await lockOrExit();
+        const finished = await journaled('offsite', version ? { requested: version } : {}, async () => {
+            for (const b of builds) {
+                const manifest = await readManifest(b.versionDir);
+                if (!manifest) continue;
+                const files = [...Object.keys(manifest.files), ...(manifest.launcherJson ? ['launcher.json'] : [])];
+                await offsite.enqueue(path.basename(b.versionDir), files, { retryFailed: true });
+            }
+            await mirrorOffsite(Infinity);
+            await commitToGit();
+        });
+        const targets = await offsite.pending();
+        for (const t of targets) console.log(`offsite: ${t.target} ${t.queued} queued, ${t.failed} given up${t.pausedUntil ? `, paused until ${t.pausedUntil}` : ''}`);
+        return { code: exitFor(finished), result: { cycle: finished, targets } };
+    },
+
+    async export(version) {
+        // One reproducible tar per build of the version, with its .torrent and magnet link
+        const builds = (await archivedVersions(version)).filter(b => !b.snapshot);
+        if (!builds.length) {
+            console.log(`not archived: ${version}`);
+            return { code: EXIT.failed };
+        }
+        const { dir, trackers, webSeeds } = CONFIG.export;
+        const runtimeArchives = !!(OPTIONS.runtime || CONFIG.export.runtime);
+        const outDir = path.resolve(GIT_REPO, dir);
+        const mtime = parseInt(process.env.SOURCE_DATE_EPOCH) || 0;
+        const exported = [];
+        for (const build of builds) {
+            const manifest = await readManifest(build.versionDir);
+            if (!manifest) {
+                console.log(`skipped: ${build.versionDir} (no manifest.json, run migrate)`);
+                continue;
+            }
+            const name = `hytale-launcher-${build.version}-${build.channel}${runtimeArchives ? '-runtime' : ''}`;
+            if (DRY_RUN) {
+                const files = await collectFiles(GIT_REPO, build.versionDir, manifest, { runtimeArchives });
+                console.log(`would export: ${path.join(outDir, `${name}.tar`)} (${files.length} files)`);
+                exported.push({ version: build.version, channel: build.channel, name, files: files.length });
+                continue;
+            }
+            const bundle = await writeBundle({ repoRoot: GIT_REPO, versionDir: build.versionDir, manifest, outDir, name, runtimeArchives, mtime });
+            const comment = `Hytale launcher ${build.version} (${build.channel})`;
+            const { torrent, infohash, infohashV2, magnet } = await writeTorrent(bundle.file, { trackers, webSeeds, comment });
+            await fs.writeFile(path.join(outDir, `${name}.magnet`), magnet + '\n');
+            console.log(`exported: ${bundle.file} (${bundle.files} files, ${bundle.size} bytes)`);
+            console.log(`torrent: ${torrent} (btih ${infohash})`);
+            console.log(`magnet: ${magnet}`);
+            exported.push({ version: build.version, channel: build.channel, ...bundle, torrent, infohash, infohashV2, magnet });
+        }
+        return { code: exported.length ? EXIT.ok : EXIT.failed, result: exported };
+    },
+
+    async serve() {
+        const channels = CONFIG.endpoints.map(e => e.channel);
+        const pins = { ...CONFIG.mirror.pins };
+        for (const pin of OPTIONS.pin || []) {
+            const [channel, version] = pin.split('=');
+            pins[channel] = version;
+        }
+        for (const [channel, version] of Object.entries(pins)) {
+            const archived = await readManifest(path.join(DIR, `${version}-${channel}`));
+            console.log(`pinned: ${channel} -> ${version}${archived ? '' : ' (not archived, launcher.json will be 404)'}`);
+        }
+        const host = OPTIONS.host || CONFIG.mirror.host;
+        const port = OPTIONS.port !== undefined ? parseInt(OPTIONS.port) : CONFIG.mirror.port;
+        const server = createMirror({ versionsDir: DIR, channels, pins, log: line => console.log(`served: ${line}`) });
+        await new Promise((resolve, reject) => server.once('error', reject).listen(port, host, resolve));
+        const address = server.address();
+        const base = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+        for (const channel of channels) console.log(`serving: ${base}/version/${channel}/launcher.json`);
+        await new Promise(resolve => {
+            for (const signal of ['SIGTERM', 'SIGINT']) process.once(signal, () => server.close(resolve).closeAllConnections());
+        });
+        console.log('stopped');
+        return { code: EXIT.ok, result: { url: base, pins } };
+    },
+};
+
+// Commands that write reports and have no dry run of their own
+const NO_DRY_RUN = ['diff', 'inspect', 'promotions', 'timeline', 'legal', 'catalog', 'serve'];
+
 async function main() {
+    if (CLI.command === 'help') {
+        process.stdout.write(usage(CLI.args[0]));
+        return EXIT.ok;
+    }
+    const known = CONFIG.endpoints.map(e => e.channel);
+    const pinned = (OPTIONS.pin || []).map(pin => pin.split('=')[0]);
+    const unknown = [...OPTIONS.channel || [], ...pinned].filter(channel => !known.includes(channel));
+    let problem = unknown.length ? `unknown channel: ${unknown.join(', ')} (configured: ${known.join(', ')})` : null;
+    if (CLI.command === 'notify' && CLI.args.length && !NOTIFY_EVENTS.includes(CLI.args[0])) {
+        problem = `unknown event: ${CLI.args[0]} (known: ${NOTIFY_EVENTS.join(', ')})`;
+    }
+    if (DRY_RUN && NO_DRY_RUN.includes(CLI.command)) problem = `${CLI.command} has no --dry-run`;
+    if (problem) {
+        process.stderr.write(`${problem}\nsee \`archive.js help\`\n`);
+        return EXIT.usage;
+    }
+
     console.log('=== Hytale Launcher Archiver ===');
+    console.log(`Command: ${CLI.command}${CLI.args.length ? ` ${CLI.args.join(' ')}` : ''}${DRY_RUN ? ' (dry run)' : ''}`);
     console.log(`Platform: ${process.platform}`);
     console.log(`Git Repo: ${GIT_REPO}`);
+    console.log(`Config: ${CONFIG.file}`);
     console.log(`Versions Directory: ${path.resolve(DIR)}`);
     console.log(`Runtime Archives Directory: ${path.resolve(path.join(GIT_REPO, 'runtime-archives'))}`);
     console.log(`Run Launcher: ${RUN_LAUNCHER}`);
-    // console.log(`Archive to Wayback: ${ARCHIVE_WAYBACK}`);
+    console.log(`Off-site Targets: ${offsite.targets.join(', ') || 'none'}`);
     if (!IS_WINDOWS) {
         const wineAvailable = await checkWineAvailable();
         console.log(`Wine Available: ${wineAvailable}`);
@@ -574,52 +1606,72 @@ async function main() {
     }
     console.log('');
     
-    await fs.mkdir(DIR, { recursive: true });
-    await fs.mkdir(path.join(GIT_REPO, 'runtime-archives'), { recursive: true });
-    
-    const versionArg = process.argv[2];
-    const runOnce = process.argv.includes('--once');
+    if (!DRY_RUN) {
+        await fs.mkdir(DIR, { recursive: true });
+        await fs.mkdir(path.join(GIT_REPO, 'runtime-archives'), { recursive: true });
+    }
     
-    if (versionArg) {
-        // Check if it's a file
-        try {
-            const content = await fs.readFile(versionArg, 'utf8');
-            for (const line of content.split('\n')) {
-                const v = line.trim();
-                if (v) await fetchVersion(v);
-            }
-        } catch {
-            // Not a file, treat as version string
-            await fetchVersion(versionArg);
-        }
-        process.exit(0);
-    } else {
-        // Run once immediately
-        await checkForNewVersions();
-        
-        // If not --once, run continuously
-        if (!runOnce) {
-            const interval = 5 * 60 * 1000; // 5 minutes
-            console.log(`Running continuously, checking every ${interval / 1000}s`);
-            setInterval(checkForNewVersions, interval);
-        }
+    // daemon installs its own handlers, which also update the status file
+    if (LAUNCHING_COMMANDS.includes(CLI.command)) {
+        for (const signal of ['SIGTERM', 'SIGINT']) process.once(signal, () => stopCommand(signal));
+    }
+    const { code, result } = await COMMAND_HANDLERS[CLI.command](...CLI.args);
+    if (OPTIONS.json) process.stdout.write(JSON.stringify(result === undefined ? null : result, null, 2) + '\n');
+    return code;
+}
+
+// Another archiver on this repository means there is nothing to do; cron can simply retry.
+// The lock is released when the process exits.
+async function lockOrExit() {
+    try {
+        return await acquireLock(LOCK);
+    } catch (error) {
+        if (error.code !== 'ELOCKED') throw error;
+        console.log(`locked: ${error.message}`);
+        process.exit(EXIT.locked);
+    }
+}
+
+// Stop the launcher (and Wine) first, then let a commit that is under way finish
+async function stopWork() {
+    shuttingDown = true;
+    await stopAll();
+    if (wineStarted) {
+        await run('wineserver', ['-k'], { env: { ...process.env, WINEPREFIX: WINE_PREFIX }, timeout: 10000 }).catch(() => {});
+    }
+    if (committing) {
+        console.log('waiting: commit in progress');
+        await committing;
     }
+    await notifier.idle();
+}
+
+async function stopDaemon(daemon, signal) {
+    console.log(`stopping: ${signal}`);
+    await daemon.stop('stopping');
+    await stopWork();
+    await daemon.stop('stopped');
+    console.log('stopped');
+    process.exit(0);
+}
+
+// The other commands that can start a launcher; an interrupted run still counts as failed
+async function stopCommand(signal) {
+    console.log(`stopping: ${signal}`);
+    await stopWork();
+    console.log('stopped');
+    process.exit(EXIT.failed);
 }
 
 // Enhanced error handling for 24/7 operation
 // Wrap in try-catch to prevent crashes from killing the service
 (async () => {
     try {
-        await main();
+        process.exit(await main());
     } catch (error) {
         console.error('FATAL ERROR:', error);
         console.error('Stack:', error.stack);
-        // For continuous mode, setInterval will keep running
-        // Only exit if we're in single-run mode
-        if (process.argv.includes('--once') || process.argv[2]) {
-            process.exit(1);
-        }
-        // Otherwise, log and continue - setInterval will retry
-        console.error('Error logged, continuing operation...');
+        // Failed cycles are handled by the daemon; getting here means it never started
+        process.exit(EXIT.failed);
     }
 })();
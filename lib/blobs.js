@@ -0,0 +1,244 @@
+/**
+ * Content-addressed blob store
+ * Artifact bytes live once under blobs/sha256/<aa>/<sha256>. Version directories reference
+ * them through the "blob" field of manifest.json, or through hardlinks/symlinks when
+ * storage.mode asks for a browsable tree.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { sha256File } = require('./http');
+const { readManifest, writeManifest, upsertFile, migrateVersionDir } = require('./manifest');
+
+const MODES = ['manifest', 'hardlink', 'symlink'];
+
+const toPosix = p => p.split(path.sep).join('/');
+
+function blobPath(blobsDir, sha256) {
+    return path.join(blobsDir, 'sha256', sha256.slice(0, 2), sha256);
+}
+
+const lstat = p => fs.lstat(p).catch(() => null);
+
+// Move a complete file into the store. An existing blob with the same hash wins.
+async function storeBlob(blobsDir, file, sha256) {
+    const target = blobPath(blobsDir, sha256);
+    if (await lstat(target)) {
+        await fs.unlink(file);
+        return target;
+    }
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.rename(file, target);
+    return target;
+}
+
+// Make dest reflect the blob according to the storage mode
+async function materialize(blob, dest, mode) {
+    if (!MODES.includes(mode)) throw new Error(`unknown storage mode: ${mode}`);
+    const existing = await lstat(dest);
+    if (existing) {
+        const blobStat = await fs.stat(blob);
+        if (mode === 'hardlink' && existing.isFile() && existing.ino === blobStat.ino) return;
+        if (mode === 'symlink' && existing.isSymbolicLink()
+            && path.resolve(path.dirname(dest), await fs.readlink(dest)) === path.resolve(blob)) return;
+        await fs.unlink(dest);
+    }
+    if (mode === 'manifest') return;
+    await fs.mkdir(path.dirname(dest), { recursive: true });
+    if (mode === 'symlink') {
+        await fs.symlink(path.relative(path.dirname(dest), blob), dest);
+    } else {
+        // Hardlinks need the same filesystem; fall back to a copy
+        await fs.link(blob, dest).catch(() => fs.copyFile(blob, dest));
+    }
+}
+
+// Path that holds the bytes of versionDir/rel, whichever way they are stored
+async function resolveArtifact(versionDir, rel, manifest) {
+    const direct = path.join(versionDir, rel);
+    if (await fs.stat(direct).catch(() => null)) return direct;
+    manifest = manifest || await readManifest(versionDir);
+    const entry = manifest && manifest.files[rel];
+    if (!entry || !entry.blob) return null;
+    const blob = path.join(path.dirname(path.dirname(path.resolve(versionDir))), entry.blob);
+    return await fs.stat(blob).catch(() => null) ? blob : null;
+}
+
+async function listVersionDirs(versionsDir) {
+    const dirs = [];
+    for (const entry of await fs.readdir(versionsDir, { withFileTypes: true }).catch(() => [])) {
+        if (entry.isDirectory()) dirs.push(path.join(versionsDir, entry.name));
+    }
+    return dirs.sort();
+}
+
+async function listBlobs(blobsDir) {
+    const blobs = [];
+    const root = path.join(blobsDir, 'sha256');
+    for (const prefix of await fs.readdir(root).catch(() => [])) {
+        for (const name of await fs.readdir(path.join(root, prefix)).catch(() => [])) {
+            blobs.push(path.join(root, prefix, name));
+        }
+    }
+    return blobs;
+}
+
+// Move real files under one version dir into the store and point the manifest at them
+async function ingestVersionDir(dir, manifest, { repoRoot, blobsDir, mode, dryRun, summary }) {
+    let changed = false;
+    for (const [rel, entry] of Object.entries(manifest.files)) {
+        const file = path.join(dir, rel);
+        const stat = await lstat(file);
+        const blob = entry.sha256 ? blobPath(blobsDir, entry.sha256) : null;
+
+        if (stat && stat.isFile()) {
+            const blobStat = blob && await lstat(blob);
+            if (blobStat && blobStat.ino === stat.ino) {
+                // Already a hardlink into the store
+            } else {
+                const sha256 = await sha256File(file);
+                if (entry.sha256 && sha256 !== entry.sha256) {
+                    summary.mismatches.push({ file: toPosix(path.relative(repoRoot, file)), expected: entry.sha256, actual: sha256 });
+                    continue;
+                }
+                summary.ingested.push({ file: toPosix(path.relative(repoRoot, file)), bytes: stat.size, duplicate: !!blobStat });
+                if (!dryRun) {
+                    const stored = await storeBlob(blobsDir, file, sha256);
+                    await materialize(stored, file, mode);
+                }
+                entry.sha256 = sha256;
+                entry.size = stat.size;
+            }
+        }
+
+        const target = entry.sha256 && blobPath(blobsDir, entry.sha256);
+        if (target && (await lstat(target) || (dryRun && stat && stat.isFile()))) {
+            const reference = toPosix(path.relative(repoRoot, target));
+            if (entry.blob !== reference) {
+                entry.blob = reference;
+                changed = true;
+            }
+            if (!dryRun && await lstat(target)) await materialize(target, file, mode);
+        }
+    }
+    return changed;
+}
+
+// Fold a legacy timestamped snapshot into "<version>-<channel>" when the bytes agree
+async function collapseSnapshot(dir, manifest, { versionsDir, blobsDir, mode, dryRun, summary }) {
+    const canonicalDir = path.join(versionsDir, `${manifest.version}-${manifest.channel}`);
+    const canonical = await readManifest(canonicalDir);
+    const record = { snapshot: manifest.snapshot };
+    for (const key of ['discoveredAt', 'downloadDate', 'downloadTimestamp', 'sourceUrl']) {
+        if (manifest[key]) record[key] = manifest[key];
+    }
+
+    if (!canonical) {
+        // First copy of this build: it becomes the canonical directory
+        summary.collapsed.push({ snapshot: path.basename(dir), into: path.basename(canonicalDir), renamed: true });
+        if (dryRun) return;
+        const { snapshot, discoveredAt, downloadDate, downloadTimestamp, sourceUrl, ...rest } = manifest;
+        await fs.rename(dir, canonicalDir);
+        await writeManifest(canonicalDir, { ...rest, snapshots: [record] });
+        return;
+    }
+
+    const conflicts = Object.entries(manifest.files).filter(([rel, entry]) => {
+        const other = canonical.files[rel];
+        return other && other.sha256 && entry.sha256 && other.sha256 !== entry.sha256;
+    });
+    if (conflicts.length) {
+        summary.kept.push({ snapshot: path.basename(dir), reason: `different bytes: ${conflicts.map(c => c[0]).join(', ')}` });
+        return;
+    }
+
+    for (const [rel, entry] of Object.entries(manifest.files)) {
+        const { sources, platform, format, ...fields } = entry;
+        const merged = upsertFile(canonical, rel, fields, null);
+        for (const source of sources) {
+            const tagged = { ...source, snapshot: manifest.snapshot };
+            if (!merged.sources.some(s => s.snapshot === tagged.snapshot && s.url === tagged.url)) merged.sources.push(tagged);
+        }
+    }
+
+    // launcher.json: keep the snapshot's copy only when it says something different
+    const snapshotJson = await fs.readFile(path.join(dir, 'launcher.json')).catch(() => null);
+    const canonicalJson = await fs.readFile(path.join(canonicalDir, 'launcher.json')).catch(() => null);
+    let keepJsonAs = null;
+    if (snapshotJson && !canonicalJson) keepJsonAs = 'launcher.json';
+    else if (snapshotJson && !snapshotJson.equals(canonicalJson)) keepJsonAs = `launcher-${manifest.snapshot}.json`;
+    if (keepJsonAs && keepJsonAs !== 'launcher.json') record.launcherJson = keepJsonAs;
+    if (keepJsonAs === 'launcher.json') canonical.launcherJson = manifest.launcherJson;
+
+    canonical.snapshots = canonical.snapshots || [];
+    if (!canonical.snapshots.some(s => s.snapshot === record.snapshot)) canonical.snapshots.push(record);
+    canonical.snapshots.sort((a, b) => a.snapshot.localeCompare(b.snapshot));
+    for (const key of ['extractions', 'runtimeArchives']) {
+        for (const item of manifest[key] || []) {
+            if (!canonical[key].some(existing => existing.path === item.path)) canonical[key].push(item);
+        }
+    }
+
+    summary.collapsed.push({ snapshot: path.basename(dir), into: path.basename(canonicalDir), renamed: false });
+    if (dryRun) return;
+    if (keepJsonAs) await fs.copyFile(path.join(dir, 'launcher.json'), path.join(canonicalDir, keepJsonAs));
+    for (const [rel, entry] of Object.entries(canonical.files)) {
+        const blob = entry.blob && blobPath(blobsDir, entry.sha256);
+        if (blob && await lstat(blob)) await materialize(blob, path.join(canonicalDir, rel), mode);
+    }
+    await writeManifest(canonicalDir, canonical);
+    await fs.rm(dir, { recursive: true });
+}
+
+/**
+ * Deduplicate the archive:
+ *  1. move every artifact under versions/ into the blob store,
+ *  2. collapse legacy timestamped snapshots into their canonical version directory,
+ *  3. drop blobs no manifest references any more.
+ */
+async function collectGarbage({ repoRoot, versionsDir, blobsDir, channels, mode = 'manifest', dryRun = false }) {
+    const summary = { ingested: [], mismatches: [], collapsed: [], kept: [], pruned: [], bytesFreed: 0 };
+
+    for (const dir of await listVersionDirs(versionsDir)) {
+        if (!dryRun) await migrateVersionDir(dir, { channels, repoRoot });
+        const manifest = await readManifest(dir);
+        if (!manifest) continue;
+        if (await ingestVersionDir(dir, manifest, { repoRoot, blobsDir, mode, dryRun, summary }) && !dryRun) {
+            await writeManifest(dir, manifest);
+        }
+    }
+
+    for (const dir of await listVersionDirs(versionsDir)) {
+        const manifest = await readManifest(dir);
+        if (manifest && manifest.snapshot) await collapseSnapshot(dir, manifest, { versionsDir, blobsDir, mode, dryRun, summary });
+    }
+
+    const referenced = new Set();
+    for (const dir of await listVersionDirs(versionsDir)) {
+        const manifest = await readManifest(dir);
+        for (const entry of Object.values((manifest && manifest.files) || {})) {
+            if (entry.sha256) referenced.add(entry.sha256);
+        }
+    }
+    for (const blob of await listBlobs(blobsDir)) {
+        if (referenced.has(path.basename(blob))) continue;
+        const stat = await fs.stat(blob);
+        summary.pruned.push(toPosix(path.relative(repoRoot, blob)));
+        summary.bytesFreed += stat.size;
+        if (!dryRun) {
+            await fs.unlink(blob);
+            await fs.rmdir(path.dirname(blob)).catch(() => {});
+        }
+    }
+    for (const item of summary.ingested) if (item.duplicate) summary.bytesFreed += item.bytes;
+    return summary;
+}
+
+module.exports = {
+    MODES,
+    blobPath,
+    storeBlob,
+    materialize,
+    resolveArtifact,
+    collectGarbage,
+};
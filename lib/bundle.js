@@ -0,0 +1,199 @@
+/**
+ * Version bundles
+ * One tar per version with everything the repository holds for it, in the repository's own
+ * layout: versions/<dir>/ (artifacts, manifest.json, launcher.json, SHA256SUMS and its
+ * signature, diff reports), the blobs its manifest points to, extracted/<dir>/, the published
+ * keys/ and, optionally, its sanitized runtime archives. A SHA256SUMS at the top covers every
+ * file in the bundle.
+ *
+ * The tar is reproducible: entries sorted by path, mtime fixed (SOURCE_DATE_EPOCH or 0), owner
+ * 0:0 without names, modes 0644/0755. The same inputs always give the same bytes, so the
+ * .torrent made from it (see torrent.js) is the same wherever it is built.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sha256File } = require('./http');
+
+const BLOCK = 512;
+// GNU tar's default blocking factor; some readers expect the archive to fill whole records
+const RECORD = 20 * BLOCK;
+const MAX_OCTAL_SIZE = 8 ** 11 - 1;
+
+const toPosix = p => p.split(path.sep).join('/');
+
+// Regular files and symlinks under dir as [{ rel, full }]; directories are implied by their contents
+async function walk(dir, base = dir, out = []) {
+    for (const entry of await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => [])) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) await walk(full, base, out);
+        else if (entry.isFile() || entry.isSymbolicLink()) out.push({ rel: toPosix(path.relative(base, full)), full });
+    }
+    return out;
+}
+
+/**
+ * Repository-relative paths that make up a version's bundle: [{ path, full }], sorted and
+ * without duplicates. `runtimeArchives` adds the archives listed in the manifest.
+ */
+async function collectFiles(repoRoot, versionDir, manifest, { runtimeArchives = false } = {}) {
+    const files = new Map();
+    const add = (rel, full) => files.set(rel, { path: rel, full });
+    const under = async dir => {
+        for (const { rel, full } of await walk(path.join(repoRoot, dir))) add(`${dir}/${rel}`, full);
+    };
+    const versionRel = toPosix(path.relative(repoRoot, versionDir));
+    await under(versionRel);
+    // Artifacts kept as blobs (manifest mode) or linked to one (symlink mode) bring the blob along
+    for (const [rel, entry] of Object.entries(manifest.files)) {
+        if (!entry.blob) continue;
+        const stat = await fs.promises.lstat(path.join(versionDir, rel)).catch(() => null);
+        if (stat && stat.isFile()) continue;
+        const blob = path.join(repoRoot, entry.blob);
+        if (await fs.promises.stat(blob).catch(() => null)) add(entry.blob, blob);
+    }
+    for (const extraction of manifest.extractions || []) await under(extraction.path);
+    await under('keys');
+    if (runtimeArchives) {
+        for (const archive of manifest.runtimeArchives || []) await under(archive.path);
+    }
+    // Logs are never committed, only their parsed events (see commitChanges)
+    return [...files.values()].filter(f => !f.path.endsWith('.log'))
+        .sort((a, b) => Buffer.compare(Buffer.from(a.path), Buffer.from(b.path)));
+}
+
+function octal(value, length) {
+    return value.toString(8).padStart(length - 1, '0') + '\0';
+}
+
+// "<len> key=value\n" where len counts the whole record, its own digits included
+function paxRecord(key, value) {
+    const body = Buffer.byteLength(` ${key}=${value}\n`);
+    let length = body;
+    while (length !== body + String(length).length) length = body + String(length).length;
+    return `${length} ${key}=${value}\n`;
+}
+
+// Split a path into ustar's prefix (155) and name (100); null when it does not fit
+function splitName(name) {
+    if (Buffer.byteLength(name) <= 100) return { prefix: '', name };
+    for (let i = name.indexOf('/'); i >= 0; i = name.indexOf('/', i + 1)) {
+        const prefix = name.slice(0, i);
+        const rest = name.slice(i + 1);
+        if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) return { prefix, name: rest };
+    }
+    return null;
+}
+
+function header({ name, size = 0, mode, type, linkname = '', mtime }) {
+    const block = Buffer.alloc(BLOCK);
+    const split = splitName(name) || { prefix: '', name: name.slice(0, 100) };
+    block.write(split.name, 0, 100);
+    block.write(octal(mode, 8), 100);
+    block.write(octal(0, 8), 108);
+    block.write(octal(0, 8), 116);
+    block.write(octal(Math.min(size, MAX_OCTAL_SIZE), 12), 124);
+    block.write(octal(mtime, 12), 136);
+    block.write(' '.repeat(8), 148);
+    block.write(type, 156);
+    block.write(linkname.slice(0, 100), 157);
+    block.write('ustar\0' + '00', 257);
+    block.write(split.prefix, 345, 155);
+    let sum = 0;
+    for (const byte of block) sum += byte;
+    block.write(octal(sum, 7) + ' ', 148);
+    return block;
+}
+
+// Headers for one entry: a pax header first when the path, link or size does not fit ustar
+function headers(entry) {
+    const records = [];
+    if (!splitName(entry.name)) records.push(paxRecord('path', entry.name));
+    if (Buffer.byteLength(entry.linkname || '') > 100) records.push(paxRecord('linkpath', entry.linkname));
+    if (entry.size > MAX_OCTAL_SIZE) records.push(paxRecord('size', entry.size));
+    const out = [];
+    if (records.length) {
+        const pax = Buffer.from(records.join(''));
+        const paxName = `PaxHeader/${path.posix.basename(entry.name)}`.slice(0, 100);
+        out.push(header({ name: paxName, size: pax.length, mode: 0o644, type: 'x', mtime: entry.mtime }), pad(pax));
+    }
+    out.push(header(entry));
+    return out;
+}
+
+const pad = buffer => Buffer.concat([buffer, Buffer.alloc((BLOCK - buffer.length % BLOCK) % BLOCK)]);
+
+/**
+ * Write `files` ([{ path, full } | { path, content }]) as a tar to `dest` under `root`/.
+ * Resolves with the tar's size.
+ */
+async function writeTar(dest, root, files, { mtime = 0 } = {}) {
+    const out = fs.createWriteStream(dest);
+    const write = buffer => new Promise((resolve, reject) => out.write(buffer, error => error ? reject(error) : resolve()));
+    let written = 0;
+    const emit = async buffer => {
+        await write(buffer);
+        written += buffer.length;
+    };
+    try {
+        for (const file of files) {
+            const name = `${root}/${file.path}`;
+            if (file.content !== undefined) {
+                const content = Buffer.from(file.content);
+                for (const block of headers({ name, size: content.length, mode: 0o644, type: '0', mtime })) await emit(block);
+                await emit(pad(content));
+                continue;
+            }
+            const stat = await fs.promises.lstat(file.full);
+            if (stat.isSymbolicLink()) {
+                const linkname = toPosix(await fs.promises.readlink(file.full));
+                for (const block of headers({ name, mode: 0o777, type: '2', linkname, mtime })) await emit(block);
+                continue;
+            }
+            const mode = stat.mode & 0o100 ? 0o755 : 0o644;
+            for (const block of headers({ name, size: stat.size, mode, type: '0', mtime })) await emit(block);
+            for await (const chunk of fs.createReadStream(file.full)) await emit(chunk);
+            const rest = (BLOCK - stat.size % BLOCK) % BLOCK;
+            if (rest) await emit(Buffer.alloc(rest));
+        }
+        // Two zero blocks end the archive; then fill the last record
+        await emit(Buffer.alloc(2 * BLOCK));
+        const rest = (RECORD - written % RECORD) % RECORD;
+        if (rest) await emit(Buffer.alloc(rest));
+    } finally {
+        await new Promise(resolve => out.end(resolve));
+    }
+    return written;
+}
+
+// SHA256SUMS for the bundle root; symlinks are listed by their targets' contents
+async function bundleSums(files) {
+    const lines = [];
+    for (const file of files) {
+        const stat = await fs.promises.stat(file.full).catch(() => null);
+        if (stat && stat.isFile()) lines.push(`${await sha256File(file.full)}  ${file.path}\n`);
+    }
+    return lines.join('');
+}
+
+/**
+ * Write <outDir>/<name>.tar for one version. Resolves with { file, name, size, files }.
+ */
+async function writeBundle({ repoRoot, versionDir, manifest, outDir, name, runtimeArchives = false, mtime = 0 }) {
+    const files = await collectFiles(repoRoot, versionDir, manifest, { runtimeArchives });
+    const sums = await bundleSums(files);
+    const entries = [...files, { path: 'SHA256SUMS', content: sums }]
+        .sort((a, b) => Buffer.compare(Buffer.from(a.path), Buffer.from(b.path)));
+    await fs.promises.mkdir(outDir, { recursive: true });
+    const file = path.join(outDir, `${name}.tar`);
+    // Written next to the result and renamed, so a failed export leaves nothing that looks complete
+    const size = await writeTar(`${file}.tmp`, name, entries, { mtime });
+    await fs.promises.rename(`${file}.tmp`, file);
+    return { file, name, size, files: entries.length };
+}
+
+module.exports = {
+    collectFiles,
+    writeTar,
+    writeBundle,
+};
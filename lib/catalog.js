@@ -0,0 +1,264 @@
+/**
+ * Static catalog
+ * Generated from versions/, extracted/ and runtime-archives/ into catalog/:
+ *   index.html               versions by channel and date
+ *   <version>-<channel>.html downloads per platform with size, sha256 and verification status,
+ *                            runtime archives, extractions and diff reports
+ *   index.json               the same data for scripts
+ *   feed.xml                 Atom feed of new versions
+ * Nothing in the output depends on when it was generated, so regenerating it before every
+ * commit only changes files when the archive changed.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseVersionDir, readManifest, migrateVersionDir, firstCommitTimes } = require('./manifest');
+
+const RUNTIME_ARCHIVE = /^(.+)-(linux|windows)-runtime-([\dT-]+)$/;
+const FEED_ENTRIES = 50;
+
+const toPosix = p => p.split(path.sep).join('/');
+const exists = p => fs.stat(p).then(() => true, () => false);
+const earliest = values => values.filter(Boolean).sort()[0] || null;
+
+const escape = value => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// 1536 -> "1.5 KiB"
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return '';
+    const units = ['B', 'KiB', 'MiB', 'GiB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+}
+
+async function listDirs(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    return entries.filter(e => e.isDirectory()).map(e => e.name).sort();
+}
+
+/**
+ * Everything the pages are made of. Legacy version dirs without manifest.json are read
+ * through a dry-run migration, so they are listed without being converted; `execFile` lets
+ * it date their files by the commit that added them.
+ */
+async function collectCatalog({ repoRoot, versionsDir, channels, execFile }) {
+    const rel = p => toPosix(path.relative(repoRoot, p));
+    let firstCommitted = null;
+    const legacyManifest = async dir => {
+        if (!firstCommitted) firstCommitted = execFile ? await firstCommitTimes(repoRoot, execFile) : {};
+        const migrated = await migrateVersionDir(dir, { channels, repoRoot, firstCommitted, dryRun: true }).catch(() => null);
+        return migrated && migrated.manifest;
+    };
+    const runtimeDirs = await listDirs(path.join(repoRoot, 'runtime-archives'));
+    const extractedDirs = new Set(await listDirs(path.join(repoRoot, 'extracted')));
+    const linkedRuntime = new Set();
+    const versions = [];
+
+    for (const name of await listDirs(versionsDir)) {
+        const parsed = parseVersionDir(name, channels);
+        if (!parsed || parsed.snapshot || parsed.version === 'latest') continue;
+        const dir = path.join(versionsDir, name);
+        const manifest = await readManifest(dir) || await legacyManifest(dir);
+        if (!manifest) continue;
+
+        const files = [];
+        for (const [file, entry] of Object.entries(manifest.files).sort()) {
+            const local = path.join(dir, file);
+            let href = null;
+            if (await exists(local)) href = rel(local);
+            else if (entry.blob && await exists(path.join(repoRoot, entry.blob))) href = entry.blob;
+            const verification = entry.verification || null;
+            files.push({
+                path: file,
+                platform: entry.platform || file.split('/').slice(0, 2).join('/'),
+                format: entry.format || null,
+                size: entry.size === undefined ? null : entry.size,
+                sha256: entry.sha256 || null,
+                verification: verification ? verification.status : null,
+                verificationReason: verification ? verification.reason || null : null,
+                url: entry.url || null,
+                href,
+                firstSeen: entry.firstSeen || null,
+            });
+        }
+
+        const runtimeArchives = (manifest.runtimeArchives || []).map(r => ({ platform: r.platform, path: r.path, archivedAt: r.archivedAt || null }));
+        for (const runtime of runtimeDirs) {
+            const match = runtime.match(RUNTIME_ARCHIVE);
+            if (!match || match[1] !== name) continue;
+            linkedRuntime.add(runtime);
+            if (!runtimeArchives.some(r => r.path === `runtime-archives/${runtime}`)) {
+                runtimeArchives.push({ platform: match[2], path: `runtime-archives/${runtime}`, archivedAt: null });
+            }
+        }
+        const extractions = (manifest.extractions || []).map(e => ({ platform: e.platform, path: e.path }));
+        if (!extractions.length && extractedDirs.has(name)) extractions.push({ platform: null, path: `extracted/${name}` });
+        extractedDirs.delete(name);
+
+        const offered = manifest.offered || [];
+        versions.push({
+            version: parsed.version,
+            channel: parsed.channel,
+            dir: name,
+            firstSeen: earliest([offered.length ? offered[0].since : null, ...files.map(f => f.firstSeen), manifest.discoveredAt, manifest.downloadDate]),
+            platforms: [...new Set(files.map(f => f.platform))].sort(),
+            promotion: manifest.promotion ? manifest.promotion.status : null,
+            launcherJson: manifest.launcherJson ? `${rel(dir)}/${manifest.launcherJson.path}` : null,
+            files,
+            runtimeArchives: runtimeArchives.sort((a, b) => a.path.localeCompare(b.path)),
+            extractions,
+            diffs: (manifest.diffs || []).map(d => ({
+                platform: d.platform,
+                against: d.against,
+                json: `${rel(dir)}/${d.json}`,
+                markdown: `${rel(dir)}/${d.markdown}`,
+            })),
+        });
+    }
+
+    // Newest first; undated builds last
+    versions.sort((a, b) => (b.firstSeen || '').localeCompare(a.firstSeen || '') || b.dir.localeCompare(a.dir));
+    return {
+        channels,
+        versions,
+        otherRuntimeArchives: runtimeDirs.filter(r => !linkedRuntime.has(r) && RUNTIME_ARCHIVE.test(r)).map(r => `runtime-archives/${r}`),
+        otherExtractions: [...extractedDirs].map(e => `extracted/${e}`),
+    };
+}
+
+function page(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escape(title)}</title>
+<link rel="alternate" type="application/atom+xml" href="feed.xml">
+<style>
+body { font-family: sans-serif; margin: 2em auto; max-width: 72em; padding: 0 1em; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 1.5em; }
+th, td { text-align: left; padding: .3em .6em; border-bottom: 1px solid #ddd; vertical-align: top; }
+code { font-size: .85em; word-break: break-all; }
+.verified { color: #186a1f; } .unverified { color: #8a6d00; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function renderIndex(catalog, { title, prefix }) {
+    const link = p => escape(`${prefix}${p}`);
+    const sections = [`<h1>${escape(title)}</h1>`, `<p>${catalog.versions.length} versions. <a href="index.json">index.json</a> · <a href="feed.xml">Atom feed</a></p>`];
+    for (const channel of catalog.channels) {
+        const rows = catalog.versions.filter(v => v.channel === channel).map(v => `<tr><td><a href="${escape(v.dir)}.html">${escape(v.version)}</a></td><td>${escape((v.firstSeen || '').slice(0, 10))}</td><td>${escape(v.platforms.join(', '))}</td><td>${v.files.length}</td><td>${escape(v.promotion || '')}</td><td>${v.runtimeArchives.length || ''}</td></tr>`);
+        if (!rows.length) continue;
+        sections.push(`<h2>${escape(channel)}</h2>`, '<table>', '<tr><th>Version</th><th>First seen</th><th>Platforms</th><th>Files</th><th>Promotion</th><th>Launcher runs</th></tr>', ...rows, '</table>');
+    }
+    if (catalog.otherRuntimeArchives.length || catalog.otherExtractions.length) {
+        sections.push('<h2>Other archives</h2>', '<ul>');
+        for (const p of [...catalog.otherRuntimeArchives, ...catalog.otherExtractions]) sections.push(`<li><a href="${link(p)}">${escape(p)}</a></li>`);
+        sections.push('</ul>');
+    }
+    return page(title, sections.join('\n'));
+}
+
+function renderVersion(v, { title, prefix }) {
+    const link = p => escape(`${prefix}${p}`);
+    const sections = [
+        `<p><a href="index.html">${escape(title)}</a></p>`,
+        `<h1>${escape(v.version)} <small>(${escape(v.channel)})</small></h1>`,
+        `<p>First seen ${escape(v.firstSeen || 'unknown')}${v.promotion ? `, ${escape(v.promotion)}` : ''}${v.launcherJson ? ` · <a href="${link(v.launcherJson)}">launcher.json</a>` : ''}</p>`,
+        '<h2>Downloads</h2>',
+        '<table>',
+        '<tr><th>Platform</th><th>File</th><th>Size</th><th>sha256</th><th>Verification</th></tr>',
+    ];
+    for (const f of v.files) {
+        const name = path.posix.basename(f.path);
+        const file = f.href ? `<a href="${link(f.href)}">${escape(name)}</a>` : escape(name);
+        const upstream = f.url ? ` <a href="${escape(f.url)}">(upstream)</a>` : '';
+        const status = f.verification ? `<span class="${escape(f.verification)}" title="${escape(f.verificationReason || '')}">${escape(f.verification)}</span>` : '';
+        sections.push(`<tr><td>${escape(f.platform)}</td><td>${file}${upstream}</td><td>${escape(formatBytes(f.size))}</td><td><code>${escape(f.sha256 || '')}</code></td><td>${status}</td></tr>`);
+    }
+    sections.push('</table>');
+    const list = (heading, items) => {
+        if (!items.length) return;
+        sections.push(`<h2>${heading}</h2>`, '<ul>', ...items, '</ul>');
+    };
+    list('Diff reports', v.diffs.map(d => `<li>${escape(d.platform)} against ${escape(d.against)}: <a href="${link(d.markdown)}">report</a> · <a href="${link(d.json)}">json</a></li>`));
+    list('Runtime archives', v.runtimeArchives.map(r => `<li>${escape(r.platform || '')} <a href="${link(r.path)}">${escape(r.path)}</a></li>`));
+    list('Extracted', v.extractions.map(e => `<li>${escape(e.platform || '')} <a href="${link(e.path)}">${escape(e.path)}</a></li>`));
+    return page(`${v.version} (${v.channel}) - ${title}`, sections.join('\n'));
+}
+
+function renderFeed(catalog, { title, baseUrl }) {
+    const base = baseUrl ? `${baseUrl.replace(/\/+$/, '')}/` : '';
+    const entries = catalog.versions.filter(v => v.firstSeen).slice(0, FEED_ENTRIES);
+    const updated = entries.length ? entries[0].firstSeen : '1970-01-01T00:00:00.000Z';
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom"${base ? ` xml:base="${escape(base)}"` : ''}>`,
+        `  <title>${escape(title)}</title>`,
+        '  <id>urn:hytale-launcher-archives:catalog</id>',
+        `  <author><name>${escape(title)}</name></author>`,
+        `  <updated>${escape(updated)}</updated>`,
+        '  <link rel="alternate" href="index.html"/>',
+    ];
+    for (const v of entries) {
+        lines.push(
+            '  <entry>',
+            `    <title>${escape(`${v.version} (${v.channel})`)}</title>`,
+            `    <id>urn:hytale-launcher-archives:${escape(v.dir)}</id>`,
+            `    <updated>${escape(v.firstSeen)}</updated>`,
+            `    <link rel="alternate" href="${escape(v.dir)}.html"/>`,
+            `    <summary>${escape(`${v.platforms.join(', ') || 'no platforms'}; ${v.files.length} file(s)`)}</summary>`,
+            '  </entry>',
+        );
+    }
+    lines.push('</feed>', '');
+    return lines.join('\n');
+}
+
+/**
+ * Regenerate the catalog in `outDir`. Files are only rewritten when their content changes and
+ * pages of versions that are gone are removed. Resolves with { versions, written, removed }.
+ */
+async function writeCatalog({ repoRoot, versionsDir, channels, execFile, outDir, title = 'Hytale Launcher Archives', baseUrl = null }) {
+    const catalog = await collectCatalog({ repoRoot, versionsDir, channels, execFile });
+    const prefix = `${toPosix(path.relative(outDir, repoRoot)) || '.'}/`;
+    const outputs = new Map([
+        ['index.html', renderIndex(catalog, { title, prefix })],
+        ['index.json', JSON.stringify(catalog, null, 2) + '\n'],
+        ['feed.xml', renderFeed(catalog, { title, baseUrl })],
+    ]);
+    for (const v of catalog.versions) outputs.set(`${v.dir}.html`, renderVersion(v, { title, prefix }));
+
+    await fs.mkdir(outDir, { recursive: true });
+    const written = [];
+    for (const [name, content] of outputs) {
+        const file = path.join(outDir, name);
+        if (await fs.readFile(file, 'utf8').catch(() => null) === content) continue;
+        await fs.writeFile(file, content);
+        written.push(name);
+    }
+    const removed = [];
+    for (const name of await fs.readdir(outDir)) {
+        if (outputs.has(name) || !name.endsWith('.html')) continue;
+        await fs.unlink(path.join(outDir, name));
+        removed.push(name);
+    }
+    return { versions: catalog.versions.length, written, removed };
+}
+
+module.exports = {
+    collectCatalog,
+    writeCatalog,
+    formatBytes,
+};
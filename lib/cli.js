@@ -0,0 +1,138 @@
+/**
+ * Command line
+ * `node archive.js [command] [arguments] [options]`. Without a command the archiver runs as a
+ * daemon; a bare version or a file of versions still means `fetch`, as it always has.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+// min/max positional arguments; `usage` is the argument part of the help line
+const COMMANDS = {
+    daemon: { max: 0, summary: 'check every daemon.interval until stopped (the default)' },
+    check: { max: 0, summary: 'check every channel once and archive new versions' },
+    fetch: { min: 1, max: 1, usage: '<version|file>', summary: 'archive one version, or every version listed in a file' },
+    'run-launcher': { min: 1, max: 1, usage: '<version>', summary: 'run the launcher of an archived version again and archive its data' },
+    verify: { max: 1, usage: '[version]', summary: 'hash artifacts and extracted files, report extra files, check signed SHA256SUMS' },
+    list: { max: 0, summary: 'list archived versions' },
+    status: { max: 1, usage: '[N]', summary: 'last N cycles from the journal and current error streaks' },
+    commit: { max: 0, summary: 'commit and push the archive directories' },
+    migrate: { max: 0, summary: 'convert legacy sidecar layouts to manifest.json' },
+    gc: { max: 0, summary: 'move binaries into blobs/, fold snapshots, prune unreferenced blobs' },
+    audit: { max: 0, summary: 'check the tree against sanitize-policy.json (--fix repairs it)' },
+    diff: { max: 1, usage: '[version]', summary: 'write release diff reports' },
+    inspect: { max: 1, usage: '[version]', summary: 'record executable metadata' },
+    promotions: { max: 0, summary: 'stage-to-release promotion timeline' },
+    timeline: { max: 0, summary: 'launcher log timeline across runtime archives' },
+    legal: { max: 0, summary: 'EULA and third-party license history across runtime archives' },
+    offsite: { max: 1, usage: '[version]', summary: 'queue archived versions without an off-site copy and mirror whatever is due' },
+    notify: { max: 1, usage: '[event]', summary: 'send a made-up event (default new-version) to every notify target' },
+    catalog: { max: 0, summary: 'regenerate the static catalog, index.json and Atom feed' },
+    export: { min: 1, max: 1, usage: '<version>', summary: 'write a reproducible bundle of a version with a .torrent and magnet link' },
+    serve: { max: 0, summary: 'serve the archive over HTTP with the upstream URL layout' },
+    help: { max: 1, usage: '[command]', summary: 'show this help' },
+};
+
+const OPTIONS = {
+    'dry-run': { type: 'boolean', help: 'show what would happen without downloading, writing or committing' },
+    config: { type: 'string', arg: '<file>', help: 'config file (ARCHIVER_CONFIG)' },
+    'no-commit': { type: 'boolean', help: 'leave changes uncommitted' },
+    json: { type: 'boolean', help: 'print the result as JSON on stdout; progress goes to stderr' },
+    channel: { type: 'string', multiple: true, arg: '<channel>', help: 'only this channel (repeatable)' },
+    platform: { type: 'string', multiple: true, arg: '<os[/arch]>', help: 'only this platform (repeatable)' },
+    'no-launcher': { type: 'boolean', help: 'do not run launchers (RUN_LAUNCHER=false)' },
+    'launcher-wait': { type: 'string', arg: '<ms>', help: 'how long to wait for the launcher (LAUNCHER_WAIT)' },
+    wine: { type: 'boolean', help: 'run the Windows launcher through Wine (USE_WINE=true)' },
+    'no-wine': { type: 'boolean', help: 'never use Wine (USE_WINE=false)' },
+    'wine-prefix': { type: 'string', arg: '<dir>', help: 'Wine prefix (WINE_PREFIX)' },
+    repo: { type: 'string', arg: '<dir>', help: 'git repository to commit to (GIT_REPO_PATH)' },
+    fix: { type: 'boolean', help: 'audit: repair what it finds' },
+    once: { type: 'boolean', help: 'same as `check`' },
+    host: { type: 'string', arg: '<address>', help: 'serve: address to listen on (mirror.host)' },
+    port: { type: 'string', arg: '<port>', help: 'serve: port to listen on (mirror.port)' },
+    pin: { type: 'string', multiple: true, arg: '<channel=version>', help: 'serve: offer this version as the channel\'s launcher.json (repeatable)' },
+    runtime: { type: 'boolean', help: 'export: include the sanitized runtime archives (export.runtime)' },
+    help: { type: 'boolean', short: 'h', help: 'show this help' },
+};
+
+// Process exit codes
+const EXIT = {
+    ok: 0,
+    failed: 1,
+    usage: 2,
+    partial: 3,  // some of the work failed
+    locked: 4,   // another archiver holds the lock
+};
+
+// <date>-<git hash>; also what a version from a remote launcher.json has to look like before it
+// goes into a path
+const VERSION_NAME = /^\d{4}\.\d{2}\.\d{2}-[0-9a-f]{7,40}$/;
+const VERSION = /^(\d{4}\.\d{2}\.\d{2}-[0-9a-f]{7,40}|latest)$/;
+
+const usageError = message => Object.assign(new Error(message), { code: 'EUSAGE' });
+
+/**
+ * argv (without node and the script) -> { command, args, options }.
+ * Throws with code EUSAGE on anything that does not parse.
+ */
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        // parseArgs rejects keys it does not know, so hand it everything but the help text
+        const options = {};
+        for (const [name, { arg, help, ...option }] of Object.entries(OPTIONS)) options[name] = option;
+        parsed = parseArgs({ args: argv, options, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw usageError(error.message);
+    }
+    const options = parsed.values;
+    let [command, ...args] = parsed.positionals;
+    if (options.help) {
+        args = command ? [command] : [];
+        command = 'help';
+    } else if (!command) {
+        command = options.once ? 'check' : 'daemon';
+    } else if (!COMMANDS[command]) {
+        // Older invocations: `archive.js <version>` and `archive.js <file of versions>`
+        if (!VERSION.test(command) && !fs.existsSync(command)) throw usageError(`unknown command: ${command}`);
+        args = [command, ...args];
+        command = 'fetch';
+    }
+    const spec = COMMANDS[command];
+    if (args.length < (spec.min || 0) || args.length > spec.max) {
+        throw usageError(`usage: archive.js ${command}${spec.usage ? ` ${spec.usage}` : ''}`);
+    }
+    if (options.wine && options['no-wine']) throw usageError('--wine and --no-wine contradict each other');
+    if (options['launcher-wait'] !== undefined && !(parseInt(options['launcher-wait']) > 0)) {
+        throw usageError('--launcher-wait needs a number of milliseconds');
+    }
+    if (options.port !== undefined && !(parseInt(options.port) >= 0 && parseInt(options.port) < 65536)) {
+        throw usageError('--port needs a port number');
+    }
+    for (const pin of options.pin || []) {
+        if (!/^[^=]+=[^=]+$/.test(pin)) throw usageError(`--pin needs <channel>=<version>, not ${pin}`);
+    }
+    return { command, args, options };
+}
+
+function usage(command) {
+    const spec = COMMANDS[command];
+    if (spec) return `archive.js ${command}${spec.usage ? ` ${spec.usage}` : ''}\n  ${spec.summary}\n`;
+    const width = Math.max(...Object.entries(COMMANDS).map(([name, s]) => `${name} ${s.usage || ''}`.length));
+    const flag = (name, o) => `--${name}${o.arg ? ` ${o.arg}` : ''}`;
+    const optionWidth = Math.max(...Object.entries(OPTIONS).map(([name, o]) => flag(name, o).length));
+    const lines = ['usage: archive.js [command] [arguments] [options]', '', 'commands:'];
+    for (const [name, s] of Object.entries(COMMANDS)) lines.push(`  ${`${name} ${s.usage || ''}`.padEnd(width)}  ${s.summary}`);
+    lines.push('', 'options:');
+    for (const [name, o] of Object.entries(OPTIONS)) lines.push(`  ${flag(name, o).padEnd(optionWidth)}  ${o.help}`);
+    lines.push('', `exit codes: ${Object.entries(EXIT).map(([name, code]) => `${code} ${name}`).join(', ')}`);
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    COMMANDS,
+    EXIT,
+    VERSION_NAME,
+    parseCommandLine,
+    usage,
+};
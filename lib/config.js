@@ -0,0 +1,150 @@
+/**
+ * Archiver configuration
+ * Endpoints, known platforms and download name patterns, read from archiver.config.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateTargets } = require('./notify');
+const { validateTargets: validateOffsite } = require('./offsite');
+const { noiseFilter } = require('./snapshot');
+
+const STORAGE_MODES = ['manifest', 'hardlink', 'symlink'];
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'archiver.config.json');
+
+const DEFAULTS = {
+    // Polled in order; base is everything before /version/<channel>/launcher.json
+    endpoints: [
+        { base: 'https://launcher.hytale.com', channel: 'release' },
+        { base: 'https://launcher.arcanitegames.ca', channel: 'stage' },
+    ],
+    // Always probed, even when launcher.json does not list them
+    platforms: {
+        'linux/amd64': ['zip', 'flatpak'],
+        'darwin/arm64': ['zip', 'dmg'],
+        'windows/amd64': ['zip', 'exe'],
+    },
+    // File name per format; {version}, {os} and {arch} are substituted
+    formats: {
+        zip: 'hytale-launcher-{version}.zip',
+        flatpak: 'hytale-launcher-{version}.flatpak',
+        dmg: 'hytale-launcher-{version}.dmg',
+        exe: 'hytale-launcher-installer-{version}.exe',
+    },
+    // Formats probed next to the zip for platforms discovered in launcher.json
+    siblings: {
+        linux: ['flatpak'],
+        darwin: ['dmg'],
+        windows: ['exe'],
+    },
+    // Additional names to try: { "name": "<pattern>", "os": "<optional os filter>" }
+    extraProbes: [],
+    // How version directories hold artifact bytes stored under blobs/:
+    // "manifest" (referenced from manifest.json only), "hardlink" or "symlink"
+    storage: { mode: 'manifest' },
+    // Limits applied to every extraction (entries, total uncompressed bytes, compression ratio)
+    extraction: { maxEntries: 20000, maxBytes: 4294967296, maxRatio: 1000 },
+    // Launcher runs: headless is "auto" (when there is no DISPLAY), "always" or "never".
+    // The run counts as ready once a marker shows up in logFile; settle is the wait after that.
+    launcher: {
+        headless: 'auto',
+        logFile: 'hytale-launcher.log',
+        readyMarkers: ['app initialized'],
+        settle: 30000,
+    },
+    // Daemon mode: pause between cycles, random spread added to it, status file refresh (ms)
+    daemon: { interval: 300000, jitter: 30000, heartbeat: 30000 },
+    // Builds on the "from" channel that later appear on "to" count as promoted
+    promotion: { from: 'stage', to: 'release' },
+    // Publishing: remote and branch to push to (null branch = the checked-out one), pushes retried
+    // after a rebase, one commit per version, annotated tags, Git LFS for the artifact bytes
+    git: {
+        remote: 'origin',
+        branch: null,
+        pushRetries: 3,
+        splitCommits: false,
+        tags: true,
+        tagPrefix: 'archive/',
+        lfs: false,
+        lfsPatterns: ['blobs/sha256/**', '*.zip', '*.dmg', '*.flatpak', '*.exe'],
+    },
+    // `serve`: where to listen and, per channel, the version to offer instead of the newest
+    mirror: { host: '127.0.0.1', port: 8080, pins: {} },
+    // Static catalog regenerated before every commit; baseUrl makes the Atom feed links absolute
+    catalog: { dir: 'catalog', title: 'Hytale Launcher Archives', baseUrl: null },
+    // Where events are announced (see notify.js); retries are per HTTP delivery
+    notify: { targets: [], retries: 3 },
+    // Off-site copies of archived files (see offsite.js); drainTime caps the ms a check spends on them
+    offsite: { targets: [], drainTime: 120000 },
+    // Launcher run snapshots (see snapshot.js): noise profiles plus extra globs; "keep" overrides both
+    snapshot: { profiles: ['common', 'webview2', 'webkit'], noise: [], keep: [] },
+    // Ed25519 private key (PEM, kept outside the repository) that signs each version's SHA256SUMS
+    signing: { key: null },
+    // `export` bundles: where they go, whether runtime archives are in them, and what the .torrent announces
+    export: { dir: 'exports', runtime: false, trackers: [], webSeeds: [] },
+};
+
+function loadConfig(file = process.env.ARCHIVER_CONFIG || DEFAULT_FILE) {
+    let overrides = {};
+    try {
+        overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw new Error(`invalid config ${file}: ${error.message}`);
+    }
+    const config = { ...DEFAULTS, ...overrides, file };
+    for (const endpoint of config.endpoints) {
+        if (!endpoint.base || !endpoint.channel) {
+            throw new Error(`invalid config ${file}: endpoints need a base and a channel`);
+        }
+        endpoint.base = endpoint.base.replace(/\/+$/, '');
+    }
+    config.storage = { ...DEFAULTS.storage, ...config.storage };
+    config.extraction = { ...DEFAULTS.extraction, ...config.extraction };
+    config.launcher = { ...DEFAULTS.launcher, ...config.launcher };
+    config.daemon = { ...DEFAULTS.daemon, ...config.daemon };
+    config.promotion = { ...DEFAULTS.promotion, ...config.promotion };
+    config.git = { ...DEFAULTS.git, ...config.git };
+    config.mirror = { ...DEFAULTS.mirror, ...config.mirror };
+    config.catalog = { ...DEFAULTS.catalog, ...config.catalog };
+    config.notify = { ...DEFAULTS.notify, ...config.notify };
+    config.offsite = { ...DEFAULTS.offsite, ...config.offsite };
+    config.snapshot = { ...DEFAULTS.snapshot, ...config.snapshot };
+    config.signing = { ...DEFAULTS.signing, ...config.signing };
+    config.export = { ...DEFAULTS.export, ...config.export };
+    if (config.signing.key !== null && typeof config.signing.key !== 'string') {
+        throw new Error(`invalid config ${file}: signing.key must be a path or null`);
+    }
+    for (const key of ['trackers', 'webSeeds']) {
+        const list = config.export[key];
+        if (!Array.isArray(list) || list.some(url => typeof url !== 'string')) {
+            throw new Error(`invalid config ${file}: export.${key} must be a list of URLs`);
+        }
+    }
+    if (!STORAGE_MODES.includes(config.storage.mode)) {
+        throw new Error(`invalid config ${file}: storage.mode must be one of ${STORAGE_MODES.join(', ')}`);
+    }
+    try {
+        validateTargets(config.notify.targets);
+        validateOffsite(config.offsite.targets);
+        noiseFilter(config.snapshot);
+    } catch (error) {
+        throw new Error(`invalid config ${file}: ${error.message}`);
+    }
+    return config;
+}
+
+function expand(pattern, vars) {
+    return pattern.replace(/\{(version|os|arch)\}/g, (_, key) => vars[key]);
+}
+
+function fileName(config, format, vars) {
+    return expand(config.formats[format] || `hytale-launcher-{version}.${format}`, vars);
+}
+
+module.exports = {
+    DEFAULTS,
+    loadConfig,
+    expand,
+    fileName,
+};
@@ -0,0 +1,136 @@
+/**
+ * Daemon mode
+ * One archiver per repository: a PID lock held for the life of the process, a scheduler that
+ * only plans the next cycle once the previous one has finished, and a status file with a
+ * heartbeat for whatever supervises the process (cron, systemd, a monitoring check).
+ *
+ * Status file:
+ * { "pid": 123, "state": "running|idle|stopping|stopped", "startedAt": "<iso>", "heartbeatAt": "<iso>",
+ *   "cycles": 4, "currentCycle": { "startedAt": "<iso>" }, "nextCycleAt": "<iso>",
+ *   "lastCycle": { "startedAt": "<iso>", "finishedAt": "<iso>", "durationMs": 1234, "ok": true, "error": "..." } }
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+
+const now = () => new Date().toISOString();
+
+// EPERM means the process exists but belongs to someone else
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Take the lock file or reject with code ELOCKED and the holder attached. A lock left by a
+ * process that no longer exists on this host is replaced. The lock is dropped on exit.
+ */
+async function acquireLock(file) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const mine = { pid: process.pid, host: os.hostname(), startedAt: now() };
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            await fs.writeFile(file, JSON.stringify(mine) + '\n', { flag: 'wx' });
+            // Synchronous so it also works from the 'exit' handler; a lock someone else took over stays
+            const release = () => {
+                try {
+                    if (JSON.parse(fsSync.readFileSync(file, 'utf8')).pid === mine.pid) fsSync.unlinkSync(file);
+                } catch {}
+            };
+            process.once('exit', release);
+            return { file, release };
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+        const holder = await fs.readFile(file, 'utf8').then(JSON.parse).catch(() => null);
+        // Another host's process cannot be checked from here, so its lock always counts
+        if (holder && (holder.host !== mine.host || isAlive(holder.pid))) {
+            throw Object.assign(new Error(`${file} is held by pid ${holder.pid} on ${holder.host} since ${holder.startedAt}`), { code: 'ELOCKED', holder });
+        }
+        await fs.unlink(file).catch(() => {});
+    }
+    throw Object.assign(new Error(`${file} could not be taken`), { code: 'ELOCKED', holder: null });
+}
+
+/**
+ * Run `task` forever: one cycle, then wait interval ± jitter, then the next. Cycles never
+ * overlap, a failed cycle is recorded and the schedule continues. run() resolves after stop().
+ */
+function createDaemon({ task, interval, jitter = 0, heartbeat = 30000, statusFile }) {
+    const status = { pid: process.pid, state: 'starting', startedAt: now(), heartbeatAt: null, cycles: 0, interval, jitter };
+    let stopping = false;
+    let wake = null;
+    let writes = Promise.resolve();
+
+    // Writes are chained so heartbeats and state changes never interleave in the temp file
+    const write = () => {
+        status.heartbeatAt = now();
+        const snapshot = JSON.stringify(status, null, 2) + '\n';
+        writes = writes.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(statusFile), { recursive: true });
+            await fs.writeFile(`${statusFile}.tmp`, snapshot);
+            await fs.rename(`${statusFile}.tmp`, statusFile);
+        });
+        return writes;
+    };
+    const beat = setInterval(write, heartbeat);
+    beat.unref();
+
+    async function run() {
+        while (!stopping) {
+            const cycle = { startedAt: now() };
+            Object.assign(status, { state: 'running', currentCycle: cycle, nextCycleAt: null });
+            await write();
+            try {
+                await task();
+                cycle.ok = true;
+            } catch (error) {
+                cycle.ok = false;
+                cycle.error = error.message;
+                console.error(`failed: cycle (${error.message})`);
+            }
+            cycle.finishedAt = now();
+            cycle.durationMs = Date.parse(cycle.finishedAt) - Date.parse(cycle.startedAt);
+            status.cycles++;
+            status.lastCycle = cycle;
+            delete status.currentCycle;
+            if (stopping) break;
+
+            const delay = Math.max(0, interval + Math.round((Math.random() * 2 - 1) * jitter));
+            Object.assign(status, { state: 'idle', nextCycleAt: new Date(Date.now() + delay).toISOString() });
+            await write();
+            console.log(`next: ${status.nextCycleAt}`);
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, delay);
+                wake = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            });
+            wake = null;
+        }
+    }
+
+    // "stopping" while the shutdown is under way, "stopped" once it is done
+    async function stop(state = 'stopped') {
+        stopping = true;
+        if (wake) wake();
+        if (state === 'stopped') clearInterval(beat);
+        Object.assign(status, { state, nextCycleAt: null });
+        await write();
+    }
+
+    return { run, stop, status };
+}
+
+module.exports = {
+    isAlive,
+    acquireLock,
+    createDaemon,
+};
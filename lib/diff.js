@@ -0,0 +1,244 @@
+/**
+ * Release diffs
+ * Compares the entries of a launcher zip with the previous build of the same channel and
+ * platform: added, removed and modified files with sizes and hashes, plus unified diffs for
+ * small text resources. Reports are written as diff-<os>-<arch>.json and .md in the version dir.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { listZip } = require('./extract');
+const { parseVersionDir, readManifest } = require('./manifest');
+
+const TEXT_EXTENSIONS = new Set(['.txt', '.json', '.md', '.html', '.htm', '.css', '.js', '.mjs', '.xml', '.plist',
+    '.yml', '.yaml', '.ini', '.cfg', '.conf', '.toml', '.properties', '.desktop', '.sh', '.ps1', '.bat', '.svg', '.csv', '.lang']);
+const MAX_TEXT_BYTES = 64 * 1024;
+const MAX_TEXT_LINES = 2000;
+const CONTEXT = 3;
+
+const isTextCandidate = entry => entry.size <= MAX_TEXT_BYTES && TEXT_EXTENSIONS.has(path.extname(entry.name).toLowerCase());
+
+// By first-seen time when both builds have one, else by version name (which starts with the
+// date); an ISO time and a version name never go into the same comparison
+function isEarlier(a, b) {
+    if (a.firstSeen && b.firstSeen && a.firstSeen !== b.firstSeen) return a.firstSeen < b.firstSeen;
+    return a.version < b.version;
+}
+
+/**
+ * The build this one should be compared against: the most recent earlier version dir of the
+ * same channel with a zip for the same platform. Timestamped snapshots and latest-* are skipped.
+ * Resolves with { version, versionDir, rel, entry, manifest } or null.
+ */
+async function findPrevious(versionsDir, channels, { version, channel, platform, firstSeen }) {
+    let best = null;
+    for (const name of await fs.readdir(versionsDir).catch(() => [])) {
+        const parsed = parseVersionDir(name, channels);
+        if (!parsed || parsed.snapshot || parsed.version === 'latest' || parsed.channel !== channel || parsed.version === version) continue;
+        const versionDir = path.join(versionsDir, name);
+        const manifest = await readManifest(versionDir);
+        if (!manifest) continue;
+        for (const [rel, entry] of Object.entries(manifest.files)) {
+            if (entry.platform !== platform || entry.format !== 'zip') continue;
+            const candidate = { firstSeen: entry.firstSeen, version: parsed.version };
+            if (!isEarlier(candidate, { firstSeen, version })) continue;
+            if (!best || isEarlier(best.candidate, candidate)) best = { candidate, previous: { version: parsed.version, versionDir, rel, entry, manifest } };
+        }
+    }
+    return best ? best.previous : null;
+}
+
+// Line diff by longest common subsequence; null when either side is too long to bother
+function diffLines(before, after, { maxLines = MAX_TEXT_LINES } = {}) {
+    const lines = text => text ? text.replace(/\r?\n$/, '').split(/\r?\n/) : [];
+    const a = lines(before);
+    const b = lines(after);
+    if (a.length > maxLines || b.length > maxLines) return null;
+    // Equal leading lines are matched first anyway and need no table
+    let head = 0;
+    while (head < a.length && head < b.length && a[head] === b[head]) head++;
+    const width = b.length + 1;
+    const lcs = new Uint32Array((a.length - head + 1) * width);
+    const at = (i, j) => (i - head) * width + j;
+    for (let i = a.length - 1; i >= head; i--) {
+        for (let j = b.length - 1; j >= head; j--) {
+            lcs[at(i, j)] = a[i] === b[j]
+                ? lcs[at(i + 1, j + 1)] + 1
+                : Math.max(lcs[at(i + 1, j)], lcs[at(i, j + 1)]);
+        }
+    }
+    const ops = a.slice(0, head).map(line => ({ op: ' ', line }));
+    let i = head;
+    let j = head;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            ops.push({ op: ' ', line: a[i++] });
+            j++;
+        } else if (i < a.length && (j === b.length || lcs[at(i + 1, j)] >= lcs[at(i, j + 1)])) {
+            ops.push({ op: '-', line: a[i++] });
+        } else {
+            ops.push({ op: '+', line: b[j++] });
+        }
+    }
+    return ops;
+}
+
+// Unified diff text with CONTEXT lines around each change
+function unifiedDiff(before, after, name, options) {
+    const ops = diffLines(before, after, options);
+    if (!ops) return null;
+    const changed = ops.map((o, index) => o.op !== ' ' ? index : -1).filter(index => index >= 0);
+    if (!changed.length) return '';
+    const hunks = [];
+    for (const index of changed) {
+        const last = hunks[hunks.length - 1];
+        if (last && index - last.end <= CONTEXT * 2) last.end = index;
+        else hunks.push({ start: index, end: index });
+    }
+    const lines = [`--- a/${name}`, `+++ b/${name}`];
+    for (const hunk of hunks) {
+        const from = Math.max(0, hunk.start - CONTEXT);
+        const to = Math.min(ops.length - 1, hunk.end + CONTEXT);
+        const slice = ops.slice(from, to + 1);
+        const oldCount = slice.filter(o => o.op !== '+').length;
+        const newCount = slice.filter(o => o.op !== '-').length;
+        // Line numbers of the first line in the hunk on each side
+        const oldStart = ops.slice(0, from).filter(o => o.op !== '+').length + (oldCount ? 1 : 0);
+        const newStart = ops.slice(0, from).filter(o => o.op !== '-').length + (newCount ? 1 : 0);
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        for (const o of slice) lines.push(`${o.op}${o.line}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+const isText = buffer => !buffer.subarray(0, 8192).includes(0);
+const strip = ({ content, ...entry }) => entry;
+
+/**
+ * Compare two zips. before/after are { version, file, rel, sha256, size }.
+ * Resolves with the report object that is written as JSON.
+ */
+async function diffBuilds(before, after, { platform, channel, limits } = {}) {
+    const [oldEntries, newEntries] = await Promise.all([
+        listZip(before.file, { limits, keep: isTextCandidate }),
+        listZip(after.file, { limits, keep: isTextCandidate }),
+    ]);
+    const oldByPath = new Map(oldEntries.map(e => [e.path, e]));
+    const newByPath = new Map(newEntries.map(e => [e.path, e]));
+
+    const added = newEntries.filter(e => !oldByPath.has(e.path)).map(strip);
+    const removed = oldEntries.filter(e => !newByPath.has(e.path)).map(strip);
+    const modified = [];
+    let unchanged = 0;
+    for (const next of newEntries) {
+        const prev = oldByPath.get(next.path);
+        if (!prev) continue;
+        if (prev.type === next.type && prev.sha256 === next.sha256 && prev.target === next.target) {
+            unchanged++;
+            continue;
+        }
+        const change = {
+            path: next.path,
+            before: strip(prev),
+            after: strip(next),
+            sizeDelta: (next.size || 0) - (prev.size || 0),
+        };
+        delete change.before.path;
+        delete change.after.path;
+        if (prev.content && next.content && isText(prev.content) && isText(next.content)) {
+            const text = unifiedDiff(prev.content.toString('utf8'), next.content.toString('utf8'), next.path);
+            if (text === null) change.textDiff = { skipped: `more than ${MAX_TEXT_LINES} lines` };
+            else change.textDiff = { unified: text };
+        }
+        modified.push(change);
+    }
+
+    const total = entries => entries.reduce((sum, e) => sum + (e.size || 0), 0);
+    const side = ({ version, rel, sha256, size }) => ({ version, file: rel, sha256, size });
+    return {
+        platform,
+        channel,
+        from: side(before),
+        to: side(after),
+        summary: {
+            added: added.length,
+            removed: removed.length,
+            modified: modified.length,
+            unchanged,
+            sizeDelta: total(newEntries) - total(oldEntries),
+        },
+        added,
+        removed,
+        modified,
+    };
+}
+
+function formatBytes(n) {
+    const sign = n < 0 ? '-' : '+';
+    const abs = Math.abs(n);
+    if (abs < 1024) return `${sign}${abs} B`;
+    if (abs < 1024 * 1024) return `${sign}${(abs / 1024).toFixed(1)} KiB`;
+    return `${sign}${(abs / 1024 / 1024).toFixed(1)} MiB`;
+}
+
+const short = sha => sha ? sha.slice(0, 12) : '';
+const cell = text => String(text).replace(/\|/g, '\\|');
+
+// Markdown rendering of a diffBuilds() report
+function toMarkdown(report) {
+    const { summary } = report;
+    const lines = [
+        `# ${report.platform}: ${report.from.version} → ${report.to.version} (${report.channel})`,
+        '',
+        `${summary.added} added, ${summary.removed} removed, ${summary.modified} modified, ${summary.unchanged} unchanged; uncompressed size ${formatBytes(summary.sizeDelta)}`,
+        '',
+        `- From: \`${report.from.file}\` (sha256 \`${short(report.from.sha256)}\`)`,
+        `- To: \`${report.to.file}\` (sha256 \`${short(report.to.sha256)}\`)`,
+    ];
+    const table = (title, header, rows) => {
+        if (!rows.length) return;
+        lines.push('', `## ${title}`, '', `| ${header.join(' | ')} |`, `| ${header.map(() => '---').join(' | ')} |`);
+        for (const row of rows) lines.push(`| ${row.map(cell).join(' | ')} |`);
+    };
+    const describe = e => e.type === 'symlink' ? `→ ${e.target}` : `${e.size} B`;
+    table('Added', ['Path', 'Size', 'SHA256'], report.added.map(e => [`\`${e.path}\``, describe(e), short(e.sha256)]));
+    table('Removed', ['Path', 'Size', 'SHA256'], report.removed.map(e => [`\`${e.path}\``, describe(e), short(e.sha256)]));
+    table('Modified', ['Path', 'Before', 'After', 'Delta'], report.modified.map(e => [
+        `\`${e.path}\``,
+        `${describe(e.before)} ${short(e.before.sha256)}`,
+        `${describe(e.after)} ${short(e.after.sha256)}`,
+        formatBytes(e.sizeDelta),
+    ]));
+    const texts = report.modified.filter(e => e.textDiff);
+    if (texts.length) {
+        lines.push('', '## Text changes');
+        for (const e of texts) {
+            lines.push('', `### \`${e.path}\``, '');
+            if (e.textDiff.skipped) lines.push(`Not shown: ${e.textDiff.skipped}.`);
+            else lines.push('```diff', e.textDiff.unified.trimEnd(), '```');
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+// File names for one platform's report: diff-linux-amd64.json / .md
+function reportNames(platform) {
+    const base = `diff-${platform.replace(/\//g, '-')}`;
+    return { json: `${base}.json`, markdown: `${base}.md` };
+}
+
+async function writeReport(versionDir, report) {
+    const names = reportNames(report.platform);
+    await fs.writeFile(path.join(versionDir, names.json), JSON.stringify(report, null, 2) + '\n');
+    await fs.writeFile(path.join(versionDir, names.markdown), toMarkdown(report));
+    return names;
+}
+
+module.exports = {
+    findPrevious,
+    unifiedDiff,
+    diffBuilds,
+    toMarkdown,
+    reportNames,
+    writeReport,
+};
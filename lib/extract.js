@@ -0,0 +1,445 @@
+/**
+ * Artifact extraction
+ * Zips are read in-process. dmg and flatpak bundles go through 7z / flatpak+ostree when those
+ * are installed, and their output is checked the same way before it is moved into place.
+ * Every extraction is staged next to its destination and only renamed in once it passed.
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { Readable, Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { run, which } = require('./process');
+
+const LIMITS = {
+    maxEntries: 20000,
+    maxBytes: 4 * 1024 ** 3,
+    // Uncompressed/compressed; anything above this is treated as a zip bomb
+    maxRatio: 1000,
+};
+
+const S_IFMT = 0o170000;
+const S_IFDIR = 0o040000;
+const S_IFLNK = 0o120000;
+
+const toPosix = p => p.split(path.sep).join('/');
+
+// Archive entry name -> path inside root. Absolute names, drive letters and ".." are refused.
+function safeJoin(root, name) {
+    const normalized = name.replace(/\\/g, '/');
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized) || normalized.includes('\0')) {
+        throw new Error(`unsafe entry name: ${name}`);
+    }
+    const parts = normalized.split('/').filter(part => part && part !== '.');
+    if (parts.includes('..')) throw new Error(`unsafe entry name: ${name}`);
+    if (!parts.length) return null;
+    const target = path.join(root, ...parts);
+    const rel = path.relative(root, target);
+    if (rel.startsWith('..') || path.isAbsolute(rel)) throw new Error(`unsafe entry name: ${name}`);
+    return { target, rel: parts.join('/') };
+}
+
+const MAX_HOPS = 40;
+
+/**
+ * Where `target`, seen from the directory `from`, ends up inside root: symlinks already on disk
+ * are followed component by component the way the OS would, missing components are taken as
+ * they are. Null once it leaves root, so "b -> a/.." is caught when "a -> ." exists.
+ */
+async function resolveInside(root, from, target, hops = { count: 0 }) {
+    if (path.isAbsolute(target) || /^[a-zA-Z]:/.test(target)) return null;
+    let current = from;
+    for (const part of target.split(/[\\/]/)) {
+        if (!part || part === '.') continue;
+        if (part === '..') {
+            if (current === root) return null;
+            current = path.dirname(current);
+            continue;
+        }
+        const next = path.join(current, part);
+        const stat = await fsp.lstat(next).catch(() => null);
+        if (!stat || !stat.isSymbolicLink()) {
+            current = next;
+            continue;
+        }
+        if (++hops.count > MAX_HOPS) return null;
+        current = await resolveInside(root, current, await fsp.readlink(next), hops);
+        if (current === null) return null;
+    }
+    return current;
+}
+
+// A symlink is acceptable when its target resolves inside root
+async function linkStaysInside(root, link, target) {
+    root = path.resolve(root);
+    const dir = path.dirname(path.resolve(link));
+    // The link's own directory must not be reached through another link
+    if (await resolveInside(root, root, path.relative(root, dir)) !== dir) return false;
+    return await resolveInside(root, dir, target) !== null;
+}
+
+async function read(handle, length, position) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    if (bytesRead !== length) throw new Error('unexpected end of archive');
+    return buffer;
+}
+
+async function readCentralDirectory(handle, size, limits) {
+    const tailLength = Math.min(size, 22 + 0xffff);
+    const tail = await read(handle, tailLength, size - tailLength);
+    let eocd = -1;
+    for (let i = tailLength - 22; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('not a zip archive (no end of central directory)');
+
+    let count = tail.readUInt16LE(eocd + 10);
+    let cdSize = tail.readUInt32LE(eocd + 12);
+    let cdOffset = tail.readUInt32LE(eocd + 16);
+    if (count === 0xffff || cdSize === 0xffffffff || cdOffset === 0xffffffff) {
+        // ZIP64: the locator sits right before the classic end record
+        const locator = eocd - 20;
+        if (locator < 0 || tail.readUInt32LE(locator) !== 0x07064b50) throw new Error('corrupt zip64 locator');
+        const record = await read(handle, 56, Number(tail.readBigUInt64LE(locator + 8)));
+        if (record.readUInt32LE(0) !== 0x06064b50) throw new Error('corrupt zip64 end of central directory');
+        count = Number(record.readBigUInt64LE(32));
+        cdSize = Number(record.readBigUInt64LE(40));
+        cdOffset = Number(record.readBigUInt64LE(48));
+    }
+    if (count > limits.maxEntries) throw new Error(`too many entries: ${count} > ${limits.maxEntries}`);
+    if (cdOffset + cdSize > size) throw new Error('central directory runs past end of file');
+
+    const cd = await read(handle, cdSize, cdOffset);
+    const entries = [];
+    let p = 0;
+    for (let i = 0; i < count; i++) {
+        if (p + 46 > cd.length || cd.readUInt32LE(p) !== 0x02014b50) throw new Error('corrupt central directory');
+        const host = cd.readUInt16LE(p + 4) >> 8;
+        const flags = cd.readUInt16LE(p + 8);
+        const nameLength = cd.readUInt16LE(p + 28);
+        const extraLength = cd.readUInt16LE(p + 30);
+        const commentLength = cd.readUInt16LE(p + 32);
+        const entry = {
+            name: cd.toString(flags & 0x800 ? 'utf8' : 'latin1', p + 46, p + 46 + nameLength),
+            flags,
+            method: cd.readUInt16LE(p + 10),
+            crc: cd.readUInt32LE(p + 16),
+            compressedSize: cd.readUInt32LE(p + 20),
+            size: cd.readUInt32LE(p + 24),
+            offset: cd.readUInt32LE(p + 42),
+            // Unix mode bits only exist when the archive was made on a Unix host
+            mode: host === 3 ? cd.readUInt32LE(p + 38) >>> 16 : 0,
+        };
+        let e = p + 46 + nameLength;
+        const extraEnd = e + extraLength;
+        while (e + 4 <= extraEnd) {
+            const id = cd.readUInt16LE(e);
+            const length = cd.readUInt16LE(e + 2);
+            if (id === 0x0001) {
+                let q = e + 4;
+                for (const field of ['size', 'compressedSize', 'offset']) {
+                    if (entry[field] !== 0xffffffff) continue;
+                    entry[field] = Number(cd.readBigUInt64LE(q));
+                    q += 8;
+                }
+            }
+            e += 4 + length;
+        }
+        entries.push(entry);
+        p = extraEnd + commentLength;
+    }
+    return entries;
+}
+
+// Bytes of one entry's compressed data, past its local header
+async function dataStart(handle, entry) {
+    const header = await read(handle, 30, entry.offset);
+    if (header.readUInt32LE(0) !== 0x04034b50) throw new Error(`corrupt local header: ${entry.name}`);
+    return entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+}
+
+// Counts, hashes and CRCs what passes through; fails as soon as a limit is crossed
+function meter(entry, budget) {
+    const hash = crypto.createHash('sha256');
+    const state = { size: 0, crc: 0, sha256: null };
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            state.size += chunk.length;
+            budget.bytes += chunk.length;
+            if (state.size > entry.size) return callback(new Error(`${entry.name}: more data than declared`));
+            if (budget.bytes > budget.max) return callback(new Error(`extracted size exceeds ${budget.max} bytes`));
+            state.crc = zlib.crc32(chunk, state.crc);
+            hash.update(chunk);
+            callback(null, chunk);
+        },
+        flush(callback) {
+            state.sha256 = hash.digest('hex');
+            callback();
+        },
+    });
+    return { stream, state };
+}
+
+async function extractEntry(file, handle, entry, target, budget) {
+    const start = await dataStart(handle, entry);
+    const { stream, state } = meter(entry, budget);
+    const stages = entry.compressedSize
+        ? [fs.createReadStream(file, { start, end: start + entry.compressedSize - 1 })]
+        : [Readable.from([])];
+    if (entry.method === 8 && entry.compressedSize) stages.push(zlib.createInflateRaw());
+    stages.push(stream, fs.createWriteStream(target, { flags: 'wx', mode: entry.mode & 0o111 ? 0o755 : 0o644 }));
+    await pipeline(...stages);
+    if (state.size !== entry.size) throw new Error(`${entry.name}: size ${state.size} does not match declared ${entry.size}`);
+    if ((state.crc >>> 0) !== entry.crc) throw new Error(`${entry.name}: crc mismatch`);
+    return state;
+}
+
+async function readEntry(file, handle, entry) {
+    const start = await dataStart(handle, entry);
+    const raw = await read(handle, entry.compressedSize, start);
+    return entry.method === 8 ? zlib.inflateRawSync(raw) : raw;
+}
+
+/**
+ * Extract a zip into staging with zip-slip, symlink and size checks.
+ * Returns the sorted list of { path, type, size, sha256 | target }.
+ */
+async function extractZip(file, staging, limits) {
+    const handle = await fsp.open(file, 'r');
+    try {
+        const { size } = await handle.stat();
+        const entries = await readCentralDirectory(handle, size, limits);
+        const declared = entries.reduce((sum, e) => sum + e.size, 0);
+        if (declared > limits.maxBytes) throw new Error(`declared size ${declared} exceeds ${limits.maxBytes} bytes`);
+
+        const budget = { bytes: 0, max: limits.maxBytes };
+        const seen = new Set();
+        const links = [];
+        const out = [];
+        for (const entry of entries) {
+            const resolved = safeJoin(staging, entry.name);
+            if (!resolved) continue;
+            if (seen.has(resolved.rel.toLowerCase())) throw new Error(`duplicate entry: ${entry.name}`);
+            seen.add(resolved.rel.toLowerCase());
+            if (entry.flags & 0x1) throw new Error(`encrypted entry: ${entry.name}`);
+            if (entry.method !== 0 && entry.method !== 8) throw new Error(`unsupported compression method ${entry.method}: ${entry.name}`);
+            if (entry.compressedSize && entry.size / entry.compressedSize > limits.maxRatio) {
+                throw new Error(`${entry.name}: compression ratio above ${limits.maxRatio}`);
+            }
+
+            const type = entry.mode & S_IFMT;
+            if (entry.name.endsWith('/') || type === S_IFDIR) {
+                await fsp.mkdir(resolved.target, { recursive: true });
+            } else if (type === S_IFLNK) {
+                // Created after all regular files so nothing is ever written through a link
+                if (entry.size > 4096) throw new Error(`${entry.name}: symlink target too long`);
+                const target = (await readEntry(file, handle, entry)).toString('utf8');
+                links.push({ rel: resolved.rel, link: resolved.target, target });
+            } else {
+                await fsp.mkdir(path.dirname(resolved.target), { recursive: true });
+                const state = await extractEntry(file, handle, entry, resolved.target, budget);
+                out.push({ path: resolved.rel, type: 'file', size: state.size, sha256: state.sha256 });
+            }
+        }
+        // Each link is checked against the links made before it, then all of them once more:
+        // a dangling one can start resolving through a link that came later
+        for (const link of links) {
+            if (!await linkStaysInside(staging, link.link, link.target)) {
+                throw new Error(`${link.rel}: symlink points outside the archive (${link.target})`);
+            }
+            await fsp.mkdir(path.dirname(link.link), { recursive: true });
+            await fsp.symlink(link.target, link.link);
+        }
+        for (const link of links) {
+            if (!await linkStaysInside(staging, link.link, link.target)) {
+                throw new Error(`${link.rel}: symlink points outside the archive (${link.target})`);
+            }
+        }
+        return out.concat(links.map(link => ({ path: link.rel, type: 'symlink', target: link.target })))
+            .sort((a, b) => a.path.localeCompare(b.path));
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Entries of a zip without writing anything: sorted { path, type, size, sha256 | target }.
+ * `keep(entry)` picks entries whose bytes are also returned as `content` (text diffs).
+ */
+async function listZip(file, { limits = LIMITS, keep = () => false } = {}) {
+    const handle = await fsp.open(file, 'r');
+    try {
+        const { size } = await handle.stat();
+        const entries = await readCentralDirectory(handle, size, limits);
+        const budget = { bytes: 0, max: limits.maxBytes };
+        const out = [];
+        for (const entry of entries) {
+            const type = entry.mode & S_IFMT;
+            if (entry.name.endsWith('/') || type === S_IFDIR) continue;
+            if (entry.flags & 0x1) throw new Error(`encrypted entry: ${entry.name}`);
+            if (entry.method !== 0 && entry.method !== 8) throw new Error(`unsupported compression method ${entry.method}: ${entry.name}`);
+            if (type === S_IFLNK) {
+                out.push({ path: entry.name, type: 'symlink', target: (await readEntry(file, handle, entry)).toString('utf8') });
+                continue;
+            }
+            const start = await dataStart(handle, entry);
+            const { stream, state } = meter(entry, budget);
+            const chunks = keep(entry) ? [] : null;
+            const stages = entry.compressedSize
+                ? [fs.createReadStream(file, { start, end: start + entry.compressedSize - 1 })]
+                : [Readable.from([])];
+            if (entry.method === 8 && entry.compressedSize) stages.push(zlib.createInflateRaw());
+            stages.push(stream, new Writable({
+                write(chunk, encoding, callback) {
+                    if (chunks) chunks.push(chunk);
+                    callback();
+                },
+            }));
+            await pipeline(...stages);
+            if ((state.crc >>> 0) !== entry.crc) throw new Error(`${entry.name}: crc mismatch`);
+            const item = { path: entry.name, type: 'file', size: state.size, sha256: state.sha256 };
+            if (chunks) item.content = Buffer.concat(chunks);
+            out.push(item);
+        }
+        return out.sort((a, b) => a.path.localeCompare(b.path));
+    } finally {
+        await handle.close();
+    }
+}
+
+// Walk a tree written by an external tool: hash files, drop links that leave it, enforce limits
+async function checkTree(root, limits) {
+    const entries = [];
+    const rejected = [];
+    let bytes = 0;
+    async function walk(dir) {
+        for (const dirent of await fsp.readdir(dir, { withFileTypes: true })) {
+            const full = path.join(dir, dirent.name);
+            const rel = toPosix(path.relative(root, full));
+            if (entries.length + rejected.length >= limits.maxEntries) throw new Error(`too many entries: > ${limits.maxEntries}`);
+            if (dirent.isSymbolicLink()) {
+                const target = await fsp.readlink(full);
+                if (await linkStaysInside(root, full, target)) {
+                    entries.push({ path: rel, type: 'symlink', target });
+                } else {
+                    await fsp.unlink(full);
+                    rejected.push({ path: rel, reason: `symlink points outside the archive (${target})` });
+                }
+            } else if (dirent.isDirectory()) {
+                await walk(full);
+            } else if (dirent.isFile()) {
+                const { size } = await fsp.stat(full);
+                bytes += size;
+                if (bytes > limits.maxBytes) throw new Error(`extracted size exceeds ${limits.maxBytes} bytes`);
+                const hash = crypto.createHash('sha256');
+                await pipeline(fs.createReadStream(full), hash);
+                entries.push({ path: rel, type: 'file', size, sha256: hash.digest('hex') });
+            } else {
+                await fsp.unlink(full);
+                rejected.push({ path: rel, reason: 'not a regular file' });
+            }
+        }
+    }
+    await walk(root);
+    return { entries: entries.sort((a, b) => a.path.localeCompare(b.path)), rejected };
+}
+
+// UDIF trailer ("koly") and the partition names from its XML plist
+async function inspectDmg(file) {
+    const handle = await fsp.open(file, 'r');
+    try {
+        const { size } = await handle.stat();
+        if (size < 512) throw new Error('too small to be a dmg');
+        const koly = await read(handle, 512, size - 512);
+        if (koly.toString('latin1', 0, 4) !== 'koly') throw new Error('no UDIF trailer (not a dmg)');
+        const info = {
+            udifVersion: koly.readUInt32BE(4),
+            dataForkLength: Number(koly.readBigUInt64BE(32)),
+            partitions: [],
+        };
+        const xmlOffset = Number(koly.readBigUInt64BE(0xd8));
+        const xmlLength = Number(koly.readBigUInt64BE(0xe0));
+        if (xmlLength && xmlOffset + xmlLength <= size && xmlLength < 64 * 1024 ** 2) {
+            const xml = (await read(handle, xmlLength, xmlOffset)).toString('utf8');
+            for (const match of xml.matchAll(/<key>(?:CFName|Name)<\/key>\s*<string>([^<]*)<\/string>/g)) {
+                if (!info.partitions.includes(match[1])) info.partitions.push(match[1]);
+            }
+        }
+        return info;
+    } finally {
+        await handle.close();
+    }
+}
+
+async function extractDmg(file, staging) {
+    const info = await inspectDmg(file);
+    const sevenZip = await which('7z') || await which('7zz');
+    if (!sevenZip) return { skipped: '7z not found on PATH', info };
+    await fsp.mkdir(staging, { recursive: true });
+    await run(sevenZip, ['x', '-y', `-o${staging}`, file], { timeout: 10 * 60 * 1000 });
+    return { tool: path.basename(sevenZip), info };
+}
+
+// A .flatpak is a single-file OSTree delta: import it into a scratch repo, then check out the commit
+async function extractFlatpak(file, staging, scratch) {
+    const flatpak = await which('flatpak');
+    const ostree = await which('ostree');
+    if (!flatpak || !ostree) return { skipped: 'flatpak and ostree are needed on PATH' };
+    const repo = path.join(scratch, 'repo');
+    await fsp.mkdir(scratch, { recursive: true });
+    await run(ostree, ['init', `--repo=${repo}`, '--mode=bare-user-only']);
+    await run(flatpak, ['build-import-bundle', '--no-update-summary', repo, file], { timeout: 10 * 60 * 1000 });
+    const refs = (await run(ostree, ['refs', `--repo=${repo}`])).stdout.split('\n').map(s => s.trim()).filter(Boolean);
+    if (!refs.length) throw new Error('bundle contained no ref');
+    const { stdout } = await run(ostree, ['rev-parse', `--repo=${repo}`, refs[0]]);
+    await run(ostree, ['checkout', `--repo=${repo}`, '-U', refs[0], staging]);
+    return { tool: 'flatpak', info: { ref: refs[0], commit: stdout.trim() } };
+}
+
+/**
+ * Extract file into dest according to format (zip, dmg or flatpak).
+ * Resolves with { format, entries, rejected, tool, info } or { format, skipped, info } when the
+ * required tool is missing. dest must not exist yet.
+ */
+async function extractArtifact(file, dest, { format, limits = {} } = {}) {
+    limits = { ...LIMITS, ...limits };
+    if (await fsp.lstat(dest).catch(() => null)) throw new Error(`${dest} already exists`);
+    const staging = `${dest}.partial`;
+    const scratch = `${dest}.scratch`;
+    await fsp.rm(staging, { recursive: true, force: true });
+    await fsp.rm(scratch, { recursive: true, force: true });
+    await fsp.mkdir(path.dirname(dest), { recursive: true });
+    try {
+        let result;
+        if (format === 'zip') {
+            await fsp.mkdir(staging);
+            result = { tool: 'builtin', entries: await extractZip(file, staging, limits), rejected: [] };
+        } else if (format === 'dmg' || format === 'flatpak') {
+            const outcome = format === 'dmg' ? await extractDmg(file, staging) : await extractFlatpak(file, staging, scratch);
+            if (outcome.skipped) return { format, ...outcome };
+            result = { ...outcome, ...await checkTree(staging, limits) };
+        } else {
+            throw new Error(`no extractor for ${format}`);
+        }
+        await fsp.rename(staging, dest);
+        return { format, ...result };
+    } finally {
+        await fsp.rm(staging, { recursive: true, force: true });
+        await fsp.rm(scratch, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    LIMITS,
+    extractArtifact,
+    extractZip,
+    listZip,
+    inspectDmg,
+};
@@ -0,0 +1,250 @@
+/**
+ * Shared HTTP client
+ * Redirects, bounded retries with jitter, resumable downloads and hashing while streaming
+ */
+
+const https = require('https');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const TIMEOUT = parseInt(process.env.HTTP_TIMEOUT) || 30000;
+const RETRIES = process.env.HTTP_RETRIES !== undefined ? parseInt(process.env.HTTP_RETRIES) : 3;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'hytale-launcher-archiver';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter: 1-2s, 2-4s, 4-8s, ...
+function backoff(attempt) {
+    const base = 1000 * 2 ** attempt;
+    return base + Math.random() * base;
+}
+
+function isRetryable(statusCode) {
+    return statusCode === 429 || statusCode >= 500;
+}
+
+// One request, following redirects. Resolves with the response of the final hop.
+// A body is only sent again after a 307/308, which keep the method. A function body is
+// called for every hop and returns a readable stream, for uploads too big to buffer.
+function send(url, { method = 'GET', headers = {}, body = null, timeout = TIMEOUT } = {}, redirects = 0) {
+    return new Promise((resolve, reject) => {
+        const protocol = new URL(url).protocol === 'https:' ? https : http;
+        const req = protocol.request(url, { method, headers: { 'User-Agent': USER_AGENT, ...headers } }, (res) => {
+            if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+                res.resume();
+                if (redirects >= MAX_REDIRECTS) return reject(new Error(`too many redirects: ${url}`));
+                const next = new URL(res.headers.location, url).toString();
+                const keep = [307, 308].includes(res.statusCode);
+                const nextMethod = keep || method === 'HEAD' ? method : (res.statusCode === 303 || method === 'POST' ? 'GET' : method);
+                return resolve(send(next, { method: nextMethod, headers, body: keep ? body : null, timeout }, redirects + 1));
+            }
+            res.url = url;
+            resolve(res);
+        });
+        req.on('error', reject);
+        // Socket inactivity, so it also covers a body that stops arriving
+        req.setTimeout(timeout, () => req.destroy(new Error(`timeout after ${timeout}ms: ${url}`)));
+        if (typeof body === 'function') body().on('error', error => req.destroy(error)).pipe(req);
+        else req.end(body === null ? undefined : body);
+    });
+}
+
+// send() with retries on network errors, 429 and 5xx. Other statuses are returned as-is.
+async function request(url, options = {}) {
+    const retries = options.retries !== undefined ? options.retries : RETRIES;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const res = await send(url, options);
+            if (!isRetryable(res.statusCode) || attempt >= retries) return res;
+            res.resume();
+        } catch (error) {
+            if (attempt >= retries) throw error;
+        }
+        await sleep(backoff(attempt));
+    }
+}
+
+async function head(url, options = {}) {
+    const res = await request(url, { ...options, method: 'HEAD' });
+    res.resume();
+    return { statusCode: res.statusCode, headers: res.headers, url: res.url };
+}
+
+async function getText(url, options = {}) {
+    const res = await request(url, options);
+    if (res.statusCode !== 200) {
+        res.resume();
+        throw Object.assign(new Error(`HTTP ${res.statusCode}`), { statusCode: res.statusCode });
+    }
+    let data = '';
+    res.setEncoding('utf8');
+    for await (const chunk of res) data += chunk;
+    return data;
+}
+
+async function getJson(url, options = {}) {
+    return JSON.parse(await getText(url, options));
+}
+
+// POST a JSON body. Resolves with { statusCode, body } on 2xx, rejects with statusCode otherwise.
+async function postJson(url, payload, options = {}) {
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...options.headers };
+    const res = await request(url, { ...options, method: 'POST', headers, body });
+    let text = '';
+    res.setEncoding('utf8');
+    for await (const chunk of res) text += chunk;
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+        throw Object.assign(new Error(`HTTP ${res.statusCode}${text ? `: ${text.trim().slice(0, 200)}` : ''}`), { statusCode: res.statusCode });
+    }
+    return { statusCode: res.statusCode, body: text };
+}
+
+// Feed a file into an existing hash object without reading it into memory
+function hashFile(file, hash) {
+    return new Promise((resolve, reject) => {
+        fs.createReadStream(file)
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash));
+    });
+}
+
+async function sha256File(file) {
+    return (await hashFile(file, crypto.createHash('sha256'))).digest('hex');
+}
+
+async function fileSize(file) {
+    return fs.promises.stat(file).then(s => s.size).catch(() => 0);
+}
+
+// First byte of a "bytes <start>-<end>/<size>" Content-Range, or null
+function contentRangeStart(header) {
+    const match = /^bytes (\d+)-\d+\/(?:\d+|\*)$/.exec((header || '').trim());
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Stream url into `partial`, resuming from its current size with a Range request.
+ * The validators of an in-progress file are kept in `<partial>.json` and sent as If-Range,
+ * so a resource that changed mid-download restarts from zero instead of being spliced.
+ * Resolves with { statusCode, sha256, size, etag, lastModified } once `partial` holds the
+ * complete body; moving it into place is left to the caller.
+ */
+async function downloadFile(url, partial, { headers = {}, retries = RETRIES } = {}) {
+    await fs.promises.mkdir(path.dirname(partial), { recursive: true });
+    const metaFile = `${partial}.json`;
+    
+    for (let attempt = 0; ; attempt++) {
+        const meta = await fs.promises.readFile(metaFile, 'utf8').then(JSON.parse).catch(() => null);
+        let offset = await fileSize(partial);
+        if (offset && (!meta || meta.url !== url || !(meta.etag || meta.lastModified))) offset = 0;
+        
+        const reqHeaders = { ...headers };
+        if (offset) {
+            reqHeaders.Range = `bytes=${offset}-`;
+            reqHeaders['If-Range'] = meta.etag || meta.lastModified;
+        }
+        
+        try {
+            const res = await send(url, { headers: reqHeaders });
+            
+            if (res.statusCode === 416) {
+                res.resume();
+                await fs.promises.unlink(partial).catch(() => {});
+                if (attempt >= retries) {
+                    await fs.promises.unlink(metaFile).catch(() => {});
+                    return { statusCode: 416 };
+                }
+                continue;
+            }
+            if (res.statusCode !== 200 && res.statusCode !== 206) {
+                res.resume();
+                if (isRetryable(res.statusCode) && attempt < retries) {
+                    await sleep(backoff(attempt));
+                    continue;
+                }
+                await fs.promises.unlink(partial).catch(() => {});
+                await fs.promises.unlink(metaFile).catch(() => {});
+                return { statusCode: res.statusCode };
+            }
+            if (res.statusCode === 200) offset = 0;
+            // Only a range that starts where the partial file ends can be appended to it
+            const range = res.statusCode === 206 && contentRangeStart(res.headers['content-range']);
+            if (res.statusCode === 206 && range !== offset) {
+                res.resume();
+                await fs.promises.unlink(partial).catch(() => {});
+                await fs.promises.unlink(metaFile).catch(() => {});
+                if (attempt >= retries) throw new Error(`unexpected Content-Range: ${res.headers['content-range'] || 'none'} for offset ${offset}`);
+                continue;
+            }
+            
+            const etag = res.headers.etag || null;
+            const lastModified = res.headers['last-modified'] || null;
+            await fs.promises.writeFile(metaFile, JSON.stringify({ url, etag, lastModified }));
+            
+            const hash = crypto.createHash('sha256');
+            if (offset) {
+                await hashFile(partial, hash);
+                console.log(`resuming: ${url} at ${offset} bytes`);
+            }
+            
+            let received = 0;
+            const hasher = new Transform({
+                transform(chunk, encoding, callback) {
+                    hash.update(chunk);
+                    received += chunk.length;
+                    callback(null, chunk);
+                },
+            });
+            await pipeline(res, hasher, fs.createWriteStream(partial, { flags: offset ? 'a' : 'w' }));
+            
+            const expected = parseInt(res.headers['content-length']);
+            if (!isNaN(expected) && received !== expected) {
+                throw new Error(`incomplete body: ${received} of ${expected} bytes`);
+            }
+            
+            await fs.promises.unlink(metaFile).catch(() => {});
+            return { statusCode: 200, sha256: hash.digest('hex'), size: offset + received, etag, lastModified };
+        } catch (error) {
+            // The partial file stays in place so the next attempt resumes it
+            if (attempt >= retries) throw error;
+            await sleep(backoff(attempt));
+        }
+    }
+}
+
+// Run at most `limit` of the queued async functions at once
+function createLimiter(limit) {
+    let active = 0;
+    const queue = [];
+    const next = () => {
+        if (active >= limit || !queue.length) return;
+        active++;
+        const { fn, resolve, reject } = queue.shift();
+        Promise.resolve().then(fn).then(resolve, reject).finally(() => {
+            active--;
+            next();
+        });
+    };
+    return fn => new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        next();
+    });
+}
+
+module.exports = {
+    request,
+    head,
+    getText,
+    getJson,
+    postJson,
+    downloadFile,
+    sha256File,
+    createLimiter,
+};
@@ -0,0 +1,402 @@
+/**
+ * Executable metadata
+ * Reads ELF, PE and Mach-O headers without running anything: architecture, build ids,
+ * PE version resources and link time, Mach-O load commands, and the Go buildinfo blob the
+ * launcher carries (Go version, module path, dependency versions, VCS revision).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { listZip } = require('./extract');
+
+const ELF_MACHINES = { 3: 'x86', 40: 'arm', 62: 'x86_64', 183: 'aarch64' };
+const ELF_TYPES = { 1: 'relocatable', 2: 'executable', 3: 'shared', 4: 'core' };
+const PE_MACHINES = { 0x14c: 'x86', 0x8664: 'x86_64', 0x1c4: 'arm', 0xaa64: 'arm64' };
+const PE_SUBSYSTEMS = { 2: 'windows-gui', 3: 'windows-console' };
+const MACHO_CPUS = { 7: 'x86', 0x01000007: 'x86_64', 12: 'arm', 0x0100000c: 'arm64' };
+const MACHO_TYPES = { 1: 'object', 2: 'executable', 6: 'dylib', 8: 'bundle' };
+const MACHO_PLATFORMS = { 1: 'macos', 2: 'ios', 3: 'tvos', 4: 'watchos' };
+const GO_MAGIC = Buffer.from('\xff Go buildinf:', 'latin1');
+
+const cstring = (buf, offset) => {
+    const end = buf.indexOf(0, offset);
+    return buf.toString('utf8', offset, end < 0 ? buf.length : end);
+};
+
+// "elf" | "pe" | "macho" | "macho-fat" | null, from the first bytes
+function detect(buf) {
+    if (buf.length < 64) return null;
+    if (buf.readUInt32BE(0) === 0x7f454c46) return 'elf';
+    if (buf[0] === 0x4d && buf[1] === 0x5a) return 'pe';
+    const le = buf.readUInt32LE(0);
+    if (le === 0xfeedface || le === 0xfeedfacf) return 'macho';
+    // Java class files share 0xcafebabe; they have a large version number where fat has an arch count
+    if (buf.readUInt32BE(0) === 0xcafebabe && buf.readUInt32BE(4) < 20) return 'macho-fat';
+    return null;
+}
+
+function inspectElf(buf) {
+    const is64 = buf[4] === 2;
+    const le = buf[5] === 1;
+    const u16 = o => le ? buf.readUInt16LE(o) : buf.readUInt16BE(o);
+    const u32 = o => le ? buf.readUInt32LE(o) : buf.readUInt32BE(o);
+    const addr = o => is64 ? Number(le ? buf.readBigUInt64LE(o) : buf.readBigUInt64BE(o)) : u32(o);
+
+    const info = {
+        format: 'elf',
+        class: is64 ? 64 : 32,
+        endian: le ? 'little' : 'big',
+        type: ELF_TYPES[u16(16)] || u16(16),
+        machine: ELF_MACHINES[u16(18)] || u16(18),
+        interpreter: null,
+        buildId: null,
+        goBuildId: null,
+        needed: [],
+    };
+
+    const phoff = addr(is64 ? 32 : 28);
+    const phentsize = u16(is64 ? 54 : 42);
+    for (let i = 0; i < u16(is64 ? 56 : 44); i++) {
+        const base = phoff + i * phentsize;
+        if (u32(base) !== 3) continue; // PT_INTERP
+        const offset = is64 ? addr(base + 8) : u32(base + 4);
+        info.interpreter = cstring(buf, offset);
+    }
+
+    const shoff = addr(is64 ? 40 : 32);
+    const shentsize = u16(is64 ? 58 : 46);
+    const shnum = u16(is64 ? 60 : 48);
+    const sections = [];
+    for (let i = 0; i < shnum && shoff; i++) {
+        const base = shoff + i * shentsize;
+        sections.push({
+            name: u32(base),
+            type: u32(base + 4),
+            offset: addr(base + (is64 ? 24 : 16)),
+            size: addr(base + (is64 ? 32 : 20)),
+            link: u32(base + (is64 ? 40 : 24)),
+        });
+    }
+
+    for (const section of sections) {
+        if (section.type === 7) { // SHT_NOTE
+            let p = section.offset;
+            const end = section.offset + section.size;
+            while (p + 12 <= end) {
+                const namesz = u32(p);
+                const descsz = u32(p + 4);
+                const type = u32(p + 8);
+                const name = buf.toString('latin1', p + 12, p + 12 + namesz).replace(/\0+$/, '');
+                const desc = p + 12 + Math.ceil(namesz / 4) * 4;
+                if (name === 'GNU' && type === 3) info.buildId = buf.toString('hex', desc, desc + descsz);
+                if (name === 'Go' && type === 4) info.goBuildId = buf.toString('latin1', desc, desc + descsz).replace(/\0+$/, '');
+                p = desc + Math.ceil(descsz / 4) * 4;
+            }
+        }
+        if (section.type === 6 && sections[section.link]) { // SHT_DYNAMIC
+            const strtab = sections[section.link].offset;
+            const entsize = is64 ? 16 : 8;
+            for (let p = section.offset; p + entsize <= section.offset + section.size; p += entsize) {
+                const tag = addr(p);
+                if (tag === 0) break;
+                if (tag === 1) info.needed.push(cstring(buf, strtab + addr(p + entsize / 2))); // DT_NEEDED
+            }
+        }
+    }
+    return info;
+}
+
+// VS_VERSIONINFO: fixed file/product versions plus the StringFileInfo table
+function parseVersionInfo(buf, offset) {
+    const align = n => (n + 3) & ~3;
+    const block = at => {
+        const length = buf.readUInt16LE(at);
+        const valueLength = buf.readUInt16LE(at + 2);
+        const type = buf.readUInt16LE(at + 4);
+        let end = at + 6;
+        while (end + 1 < buf.length && buf.readUInt16LE(end)) end += 2;
+        const key = buf.toString('utf16le', at + 6, end);
+        const value = align(end + 2);
+        const children = align(value + (type === 1 ? valueLength * 2 : valueLength));
+        return { key, type, value, valueLength, children, end: at + length };
+    };
+    const childrenOf = parent => {
+        const out = [];
+        for (let at = parent.children; at + 6 <= parent.end; ) {
+            const child = block(at);
+            if (child.end <= at) break;
+            out.push(child);
+            at = align(child.end);
+        }
+        return out;
+    };
+    const quad = (ms, ls) => `${ms >>> 16}.${ms & 0xffff}.${ls >>> 16}.${ls & 0xffff}`;
+
+    const root = block(offset);
+    const out = { fileVersion: null, productVersion: null, strings: {} };
+    if (root.valueLength >= 52 && buf.readUInt32LE(root.value) === 0xfeef04bd) {
+        out.fileVersion = quad(buf.readUInt32LE(root.value + 8), buf.readUInt32LE(root.value + 12));
+        out.productVersion = quad(buf.readUInt32LE(root.value + 16), buf.readUInt32LE(root.value + 20));
+    }
+    for (const info of childrenOf(root)) {
+        if (info.key !== 'StringFileInfo') continue;
+        for (const table of childrenOf(info)) {
+            for (const string of childrenOf(table)) {
+                const chars = string.valueLength ? string.valueLength - 1 : 0;
+                out.strings[string.key] = buf.toString('utf16le', string.value, string.value + chars * 2).replace(/\0+$/, '');
+            }
+        }
+    }
+    return out;
+}
+
+function inspectPe(buf) {
+    const pe = buf.readUInt32LE(0x3c);
+    if (pe + 24 > buf.length || buf.readUInt32LE(pe) !== 0x00004550) return { format: 'pe', error: 'no PE header (DOS executable)' };
+    const coff = pe + 4;
+    const machine = buf.readUInt16LE(coff);
+    const sectionCount = buf.readUInt16LE(coff + 2);
+    const timestamp = buf.readUInt32LE(coff + 4);
+    const optionalSize = buf.readUInt16LE(coff + 16);
+    const characteristics = buf.readUInt16LE(coff + 18);
+    const opt = coff + 20;
+    const plus = buf.readUInt16LE(opt) === 0x20b;
+
+    const info = {
+        format: 'pe',
+        machine: PE_MACHINES[machine] || machine,
+        pe32plus: plus,
+        dll: !!(characteristics & 0x2000),
+        subsystem: PE_SUBSYSTEMS[buf.readUInt16LE(opt + 68)] || buf.readUInt16LE(opt + 68),
+        // Go links with a zero timestamp; anything else is the link time
+        timestamp: timestamp ? new Date(timestamp * 1000).toISOString() : null,
+        versionInfo: null,
+    };
+
+    const sections = [];
+    for (let i = 0; i < sectionCount; i++) {
+        const base = opt + optionalSize + i * 40;
+        sections.push({
+            name: cstring(buf.subarray(base, base + 8), 0),
+            virtualSize: buf.readUInt32LE(base + 8),
+            virtualAddress: buf.readUInt32LE(base + 12),
+            rawSize: buf.readUInt32LE(base + 16),
+            rawOffset: buf.readUInt32LE(base + 20),
+        });
+    }
+    const toOffset = rva => {
+        const s = sections.find(s => rva >= s.virtualAddress && rva < s.virtualAddress + Math.max(s.virtualSize, s.rawSize));
+        return s ? rva - s.virtualAddress + s.rawOffset : null;
+    };
+
+    const directories = opt + (plus ? 112 : 96);
+    const count = buf.readUInt32LE(opt + (plus ? 108 : 92));
+    if (count <= 2) return info;
+    const resources = toOffset(buf.readUInt32LE(directories + 16));
+    if (resources === null) return info;
+
+    // Resource tree: type -> name -> language -> data entry; take RT_VERSION (16), first name/language
+    const entries = at => {
+        const named = buf.readUInt16LE(at + 12);
+        const ids = buf.readUInt16LE(at + 14);
+        const out = [];
+        for (let i = 0; i < named + ids; i++) {
+            const e = at + 16 + i * 8;
+            out.push({ id: buf.readUInt32LE(e), target: buf.readUInt32LE(e + 4) });
+        }
+        return out;
+    };
+    const subdir = entry => entry.target & 0x80000000 ? resources + (entry.target & 0x7fffffff) : null;
+    const type = entries(resources).find(e => e.id === 16 && subdir(e) !== null);
+    if (!type) return info;
+    const name = entries(subdir(type))[0];
+    const language = name && subdir(name) !== null ? entries(subdir(name))[0] : null;
+    if (!language || subdir(language) !== null) return info;
+    const data = toOffset(buf.readUInt32LE(resources + language.target));
+    if (data !== null) info.versionInfo = parseVersionInfo(buf, data);
+    return info;
+}
+
+function inspectMachO(buf) {
+    const is64 = buf.readUInt32LE(0) === 0xfeedfacf;
+    const cpu = buf.readUInt32LE(4);
+    const info = {
+        format: 'macho',
+        cpu: MACHO_CPUS[cpu] || cpu,
+        type: MACHO_TYPES[buf.readUInt32LE(12)] || buf.readUInt32LE(12),
+        uuid: null,
+        platform: null,
+        minOS: null,
+        sdk: null,
+        signed: false,
+        dylibs: [],
+        segments: [],
+    };
+    const version = v => `${v >>> 16}.${(v >> 8) & 0xff}.${v & 0xff}`;
+    let p = is64 ? 32 : 28;
+    for (let i = 0; i < buf.readUInt32LE(16) && p + 8 <= buf.length; i++) {
+        const cmd = buf.readUInt32LE(p);
+        const size = buf.readUInt32LE(p + 4);
+        if (cmd === 0x1b) {
+            const hex = buf.toString('hex', p + 8, p + 24);
+            info.uuid = `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`.toUpperCase();
+        } else if (cmd === 0x32) { // LC_BUILD_VERSION
+            info.platform = MACHO_PLATFORMS[buf.readUInt32LE(p + 8)] || buf.readUInt32LE(p + 8);
+            info.minOS = version(buf.readUInt32LE(p + 12));
+            info.sdk = version(buf.readUInt32LE(p + 16));
+        } else if (cmd === 0x24) { // LC_VERSION_MIN_MACOSX
+            info.platform = 'macos';
+            info.minOS = version(buf.readUInt32LE(p + 8));
+            info.sdk = version(buf.readUInt32LE(p + 12));
+        } else if (cmd === 0xc || cmd === 0x80000018 || cmd === 0x8000001f) { // load, weak, reexport dylib
+            info.dylibs.push(cstring(buf, p + buf.readUInt32LE(p + 8)));
+        } else if (cmd === 0x1d) { // LC_CODE_SIGNATURE
+            info.signed = true;
+        } else if (cmd === 0x19 || cmd === 0x1) {
+            info.segments.push(cstring(buf.subarray(p + 8, p + 24), 0));
+        }
+        if (size < 8) break;
+        p += size;
+    }
+    return info;
+}
+
+function inspectFat(buf) {
+    const slices = [];
+    for (let i = 0; i < buf.readUInt32BE(4); i++) {
+        const base = 8 + i * 20;
+        const offset = buf.readUInt32BE(base + 8);
+        const size = buf.readUInt32BE(base + 12);
+        const slice = buf.subarray(offset, offset + size);
+        slices.push(detect(slice) === 'macho' ? inspectMachO(slice) : { format: null, cpu: MACHO_CPUS[buf.readUInt32BE(base)] || null });
+    }
+    return { format: 'macho-fat', slices };
+}
+
+function uvarint(buf, at) {
+    let value = 0;
+    let shift = 0;
+    for (let i = at; i < buf.length; i++) {
+        value += (buf[i] & 0x7f) * 2 ** shift;
+        if (!(buf[i] & 0x80)) return { value, next: i + 1 };
+        shift += 7;
+    }
+    throw new Error('truncated varint');
+}
+
+// "path\t…", "mod\t…", "dep\t…", "=>\t…" (replacement of the line before) and "build\tkey=value"
+function parseModInfo(text) {
+    const out = { path: null, main: null, deps: [], settings: {} };
+    const toModule = fields => ({ path: fields[0], version: fields[1] || null, sum: fields[2] || null });
+    let last = null;
+    for (const line of text.split('\n')) {
+        const [kind, ...fields] = line.split('\t');
+        if (kind === 'path') out.path = fields[0];
+        else if (kind === 'mod') last = out.main = toModule(fields);
+        else if (kind === 'dep') out.deps.push(last = toModule(fields));
+        else if (kind === '=>' && last) last.replace = toModule(fields);
+        else if (kind === 'build') {
+            const setting = fields.join('\t');
+            const eq = setting.indexOf('=');
+            if (eq > 0) out.settings[setting.slice(0, eq)] = setting.slice(eq + 1);
+        }
+    }
+    return out;
+}
+
+/**
+ * The buildinfo blob the Go linker embeds. Only the inline layout (Go 1.18+) is decoded;
+ * older binaries point into their data segment and are reported as such.
+ */
+function goBuildInfo(buf) {
+    let at = buf.indexOf(GO_MAGIC);
+    while (at >= 0) {
+        const pointerSize = buf[at + 14];
+        const flags = buf[at + 15];
+        if (pointerSize === 4 || pointerSize === 8) {
+            if (!(flags & 0x2)) return { goVersion: null, unsupported: 'buildinfo before Go 1.18' };
+            const version = uvarint(buf, at + 32);
+            const goVersion = buf.toString('utf8', version.next, version.next + version.value);
+            const mod = uvarint(buf, version.next + version.value);
+            let text = buf.toString('utf8', mod.next, mod.next + mod.value);
+            // Module info is wrapped in two 16-byte sentinels
+            if (text.length >= 33 && text[text.length - 17] === '\n') text = text.slice(16, -16);
+            return { goVersion, ...parseModInfo(text) };
+        }
+        at = buf.indexOf(GO_MAGIC, at + 1);
+    }
+    return null;
+}
+
+/**
+ * Everything known about one executable image, or null when it is not ELF/PE/Mach-O.
+ * Parse errors are reported in `error` rather than thrown; a truncated header is still data.
+ */
+function inspectBinary(buf) {
+    const format = detect(buf);
+    if (!format) return null;
+    let info;
+    try {
+        if (format === 'elf') info = inspectElf(buf);
+        else if (format === 'pe') info = inspectPe(buf);
+        else if (format === 'macho') info = inspectMachO(buf);
+        else info = inspectFat(buf);
+    } catch (error) {
+        info = { format, error: error.message };
+    }
+    try {
+        const go = goBuildInfo(buf);
+        if (go) info.go = go;
+    } catch (error) {
+        info.go = { error: error.message };
+    }
+    return info;
+}
+
+// Does the VCS revision baked into the binary start with the hash in "2026.01.10-48c60e3"?
+function revisionMatches(version, info) {
+    const revision = info && info.go && info.go.settings && info.go.settings['vcs.revision'];
+    const hash = (version.match(/-([0-9a-f]{7,40})$/) || [])[1];
+    if (!revision || !hash) return null;
+    return revision.startsWith(hash);
+}
+
+// Executables have no extension (ELF, Contents/MacOS/*) or a native one
+const mayBeExecutable = name => {
+    const base = path.posix.basename(name);
+    return !base.includes('.') || /\.(exe|dll|so(\.\d+)*|dylib)$/i.test(base);
+};
+
+const describe = (item, buffer, version) => {
+    const info = inspectBinary(buffer);
+    if (!info) return null;
+    const match = revisionMatches(version, info);
+    return { path: item.path, size: item.size, sha256: item.sha256, ...info, ...(match === null ? {} : { revisionMatches: match }) };
+};
+
+// Executables inside a launcher zip, read in memory
+async function inspectZip(file, version, { limits } = {}) {
+    const entries = await listZip(file, { limits, keep: entry => entry.size >= 64 && mayBeExecutable(entry.name) });
+    return entries.filter(e => e.content).map(e => describe(e, e.content, version)).filter(Boolean);
+}
+
+// Executables in an extracted tree; entries as recorded by extractArtifact()
+async function inspectTree(dir, entries, version) {
+    const out = [];
+    for (const entry of entries) {
+        if (entry.type !== 'file' || entry.size < 64 || !mayBeExecutable(entry.path)) continue;
+        const buffer = await fs.readFile(path.join(dir, entry.path)).catch(() => null);
+        const described = buffer && describe(entry, buffer, version);
+        if (described) out.push(described);
+    }
+    return out;
+}
+
+module.exports = {
+    detect,
+    inspectBinary,
+    goBuildInfo,
+    revisionMatches,
+    inspectZip,
+    inspectTree,
+};
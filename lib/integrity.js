@@ -0,0 +1,219 @@
+/**
+ * Archive integrity
+ * Everything a manifest vouches for can be checked again: the extracted entries under
+ * extracted/ against their recorded hashes, and the version directory itself for files no
+ * manifest knows about. (Artifacts are checked in archive.js against manifest.json and
+ * launcher.json.)
+ *
+ * Each archived version gets versions/<dir>/SHA256SUMS, in `sha256sum -c` format with paths
+ * relative to the repository root, covering its artifacts, launcher.json and extracted files.
+ * With `signing.key` (an Ed25519 private key in PEM) it is signed into SHA256SUMS.sig, a raw
+ * 64-byte signature, and the public key is published as keys/ed25519-<id>.pub. Offline:
+ *
+ *   openssl pkeyutl -verify -pubin -inkey keys/ed25519-<id>.pub -rawin -in SHA256SUMS -sigfile SHA256SUMS.sig
+ *   sha256sum -c versions/<dir>/SHA256SUMS   (from the repository root)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { sha256File } = require('./http');
+const { resolveArtifact } = require('./blobs');
+
+const SUMS = 'SHA256SUMS';
+const SIGNATURE = 'SHA256SUMS.sig';
+const KEYS_DIR = 'keys';
+// Files in a version directory that are not artifacts
+const METADATA = [/^manifest\.json$/, /^launcher\.json$/, /^diff-[\w-]+\.(json|md)$/, /^SHA256SUMS(\.sig)?$/];
+const LFS_POINTER = 'version https://git-lfs.github.com/spec/';
+
+const toPosix = p => p.split(path.sep).join('/');
+
+async function walk(dir, base = dir, out = []) {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true }).catch(() => [])) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) await walk(full, base, out);
+        else if (entry.isFile()) out.push(toPosix(path.relative(base, full)));
+    }
+    return out;
+}
+
+// Files under versionDir that are neither listed in manifest.files nor version metadata
+async function extraFiles(versionDir, manifest) {
+    return (await walk(versionDir)).filter(rel => !manifest.files[rel] && !METADATA.some(re => re.test(rel))).sort();
+}
+
+// A checkout without `git lfs pull` leaves small text pointers where the bytes should be
+async function isLfsPointer(file) {
+    const handle = await fs.open(file, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(LFS_POINTER.length), 0, LFS_POINTER.length, 0);
+        return buffer.toString('utf8', 0, bytesRead) === LFS_POINTER;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Re-hash the entries of one extraction: [{ file, expected, actual?, status, reason? }] with
+ * status ok, mismatch, missing or extra (on disk but not recorded).
+ */
+async function verifyExtraction(repoRoot, extraction) {
+    const dir = path.join(repoRoot, extraction.path);
+    const results = [];
+    const recorded = new Set();
+    for (const entry of extraction.entries || []) {
+        if (entry.type !== 'file' || !entry.sha256) continue;
+        recorded.add(entry.path);
+        const file = path.join(dir, entry.path);
+        const result = { file: `${extraction.path}/${entry.path}`, expected: entry.sha256 };
+        results.push(result);
+        if (!await fs.stat(file).catch(() => null)) {
+            result.status = 'missing';
+            continue;
+        }
+        result.actual = await sha256File(file);
+        result.status = result.actual === entry.sha256 ? 'ok' : 'mismatch';
+        if (result.status === 'mismatch') result.reason = await isLfsPointer(file) ? 'Git LFS pointer, not the file' : 'sha256 differs from manifest.json';
+    }
+    // Legacy extractions without entries cannot tell what is extra
+    if (extraction.entries) {
+        for (const rel of await walk(dir)) {
+            if (!recorded.has(rel)) results.push({ file: `${extraction.path}/${rel}`, status: 'extra' });
+        }
+    }
+    return results;
+}
+
+/**
+ * Re-record the extracted files the audit redacts in place (`isRedacted` tests repo-relative
+ * paths): their recorded hash becomes that of the redacted copy, marked `redacted`, so the
+ * SHA256SUMS signed afterwards and `verify` agree with what is committed. Resolves with the
+ * number of entries changed.
+ */
+async function recordRedactions(repoRoot, manifest, isRedacted) {
+    let changed = 0;
+    for (const extraction of manifest.extractions || []) {
+        for (const entry of extraction.entries || []) {
+            const rel = `${extraction.path}/${entry.path}`;
+            if (entry.type !== 'file' || !entry.sha256 || !isRedacted(rel)) continue;
+            const file = path.join(repoRoot, rel);
+            const stat = await fs.stat(file).catch(() => null);
+            if (!stat) continue;
+            const sha256 = await sha256File(file);
+            if (sha256 === entry.sha256) continue;
+            Object.assign(entry, { sha256, size: stat.size, redacted: true });
+            changed++;
+        }
+    }
+    return changed;
+}
+
+/**
+ * SHA256SUMS text for one version: recorded hashes of its artifacts (at the path that holds the
+ * bytes, which is the blob in blob storage) and extracted files, plus launcher.json as it is now.
+ */
+async function buildSums(repoRoot, versionDir, manifest) {
+    const lines = [];
+    const rel = file => toPosix(path.relative(repoRoot, file));
+    for (const [name, entry] of Object.entries(manifest.files)) {
+        const file = await resolveArtifact(versionDir, name, manifest);
+        if (file) lines.push([entry.sha256, rel(file)]);
+    }
+    const launcherJson = path.join(versionDir, 'launcher.json');
+    if (await fs.stat(launcherJson).catch(() => null)) lines.push([await sha256File(launcherJson), rel(launcherJson)]);
+    for (const extraction of manifest.extractions || []) {
+        for (const entry of extraction.entries || []) {
+            if (entry.type === 'file' && entry.sha256) lines.push([entry.sha256, `${extraction.path}/${entry.path}`]);
+        }
+    }
+    lines.sort((a, b) => a[1].localeCompare(b[1]));
+    return lines.map(([sha256, file]) => `${sha256}  ${file}\n`).join('');
+}
+
+// Ed25519 private key from a PEM file; throws on any other key type
+async function loadSigningKey(file) {
+    const key = crypto.createPrivateKey(await fs.readFile(file));
+    if (key.asymmetricKeyType !== 'ed25519') throw new Error(`${file}: expected an Ed25519 key, got ${key.asymmetricKeyType}`);
+    return key;
+}
+
+// First 16 hex digits of the SHA256 of the raw public key
+function keyId(publicKey) {
+    const raw = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+    return crypto.createHash('sha256').update(raw).digest('hex').slice(0, 16);
+}
+
+// Write the public half of `key` to keys/ed25519-<id>.pub unless it is there. Resolves with its path.
+async function publishKey(repoRoot, key) {
+    const publicKey = crypto.createPublicKey(key);
+    const file = path.join(repoRoot, KEYS_DIR, `ed25519-${keyId(publicKey)}.pub`);
+    if (!await fs.stat(file).catch(() => null)) {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, publicKey.export({ format: 'pem', type: 'spki' }));
+    }
+    return file;
+}
+
+// Every published public key: [{ id, file, key }]
+async function publishedKeys(repoRoot) {
+    const keys = [];
+    const dir = path.join(repoRoot, KEYS_DIR);
+    for (const name of (await fs.readdir(dir).catch(() => [])).sort()) {
+        const match = name.match(/^ed25519-([0-9a-f]+)\.pub$/);
+        if (!match) continue;
+        const key = crypto.createPublicKey(await fs.readFile(path.join(dir, name)));
+        keys.push({ id: match[1], file: `${KEYS_DIR}/${name}`, key });
+    }
+    return keys;
+}
+
+/**
+ * Rewrite SHA256SUMS when it is out of date and sign it when `key` is given and the signature
+ * does not verify with it. Resolves with { sums, signed } saying what was written.
+ */
+async function signVersion(repoRoot, versionDir, manifest, key = null) {
+    const content = await buildSums(repoRoot, versionDir, manifest);
+    const sumsFile = path.join(versionDir, SUMS);
+    const sigFile = path.join(versionDir, SIGNATURE);
+    const sums = await fs.readFile(sumsFile, 'utf8').catch(() => null) !== content;
+    if (sums) await fs.writeFile(sumsFile, content);
+    if (!key) return { sums, signed: false };
+    const signature = await fs.readFile(sigFile).catch(() => null);
+    const data = Buffer.from(content);
+    if (signature && crypto.verify(null, data, crypto.createPublicKey(key), signature)) return { sums, signed: false };
+    await fs.writeFile(sigFile, crypto.sign(null, data, key));
+    return { sums, signed: true };
+}
+
+/**
+ * Check a version's SHA256SUMS against what its manifest records now and its signature against
+ * the published keys. Resolves with null when the version has no SHA256SUMS, else
+ * { status: 'ok' | 'mismatch' | 'unsigned', reason?, key? }.
+ */
+async function verifySums(repoRoot, versionDir, manifest, keys) {
+    const content = await fs.readFile(path.join(versionDir, SUMS), 'utf8').catch(() => null);
+    if (content === null) return null;
+    if (content !== await buildSums(repoRoot, versionDir, manifest)) return { status: 'mismatch', reason: `${SUMS} differs from manifest.json` };
+    const signature = await fs.readFile(path.join(versionDir, SIGNATURE)).catch(() => null);
+    if (!signature) return { status: 'unsigned' };
+    const signer = keys.find(k => crypto.verify(null, Buffer.from(content), k.key, signature));
+    return signer ? { status: 'ok', key: signer.file } : { status: 'mismatch', reason: `${SIGNATURE} does not verify with any key in ${KEYS_DIR}/` };
+}
+
+module.exports = {
+    SUMS,
+    SIGNATURE,
+    KEYS_DIR,
+    extraFiles,
+    isLfsPointer,
+    verifyExtraction,
+    recordRedactions,
+    buildSums,
+    loadSigningKey,
+    keyId,
+    publishKey,
+    publishedKeys,
+    signVersion,
+    verifySums,
+};
@@ -0,0 +1,141 @@
+/**
+ * Run journal
+ * One JSON line per poll, fetch, launcher run, commit or off-site run: endpoints polled with
+ * their HTTP status, versions seen, the outcome of every artifact, launcher runs, off-site
+ * captures, the commit result and any other error.
+ * `status` reads it back, so "nothing new upstream" and "everything failed" look different.
+ *
+ * { "kind": "poll|fetch|run|commit|offsite", "startedAt": "<iso>", "finishedAt": "<iso>", "durationMs": 1234, "outcome": "changed|unchanged|partial|failed",
+ *   "endpoints": [{ "channel": "release", "url": "...", "status": 200, "version": "...", "error": "..." }],
+ *   "versions": [{ "channel": "release", "version": "...", "new": true }],
+ *   "artifacts": [{ "path": "<version>-<channel>/<os>/<arch>/<file>", "status": "downloaded|unchanged|missing|failed|quarantined|available", "httpStatus": 200, "reason": "..." }],
+ *   "launcherRuns": [{ "version": "...", "platform": "linux", "reason": "ready", "exitCode": null, "archived": "runtime-archives/..." }],
+ *   "offsite": [{ "target": "wayback", "job": "<version>-<channel>/<file>", "status": "captured|retry|failed|pending", "attempts": 1, "error": "..." }],
+ *   "commit": { "status": "committed|unchanged|skipped|failed", "commits": [{ "sha": "...", "subject": "...", "versions": [...] }],
+ *               "pushed": "main", "attempts": 1, "rebased": 0, "pushError": "...", "tags": [...], "tagError": "...", "error": "..." },
+ *   "errors": [{ "where": "...", "message": "..." }] }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// The journal is rotated to <file>.1 past this size; status reads both
+const MAX_BYTES = 16 * 1024 * 1024;
+
+function createCycle(kind, fields = {}) {
+    return {
+        kind,
+        ...fields,
+        startedAt: new Date().toISOString(),
+        endpoints: [],
+        versions: [],
+        artifacts: [],
+        launcherRuns: [],
+        offsite: [],
+        commit: null,
+        errors: [],
+    };
+}
+
+const FAILED_ARTIFACTS = ['failed', 'quarantined'];
+const FAILED_RUNS = ['spawn failed', 'preflight failed', 'exited'];
+
+// Every attempt in a cycle keyed by what was attempted, with whether it worked
+function results(cycle) {
+    const out = new Map();
+    for (const e of cycle.endpoints) out.set(`endpoint ${e.channel}`, { ok: !e.error, error: e.error });
+    for (const a of cycle.artifacts) {
+        if (a.status === 'missing') continue;
+        out.set(`artifact ${a.path}`, { ok: !FAILED_ARTIFACTS.includes(a.status), error: a.reason });
+    }
+    for (const r of cycle.launcherRuns) {
+        const failed = FAILED_RUNS.includes(r.reason) && !(r.reason === 'exited' && r.exitCode === 0);
+        out.set(`launcher ${r.platform}`, { ok: !failed, error: r.error || r.reason });
+    }
+    // A job waiting for its next attempt is not settled either way
+    for (const o of cycle.offsite || []) {
+        if (o.status !== 'pending') out.set(`offsite ${o.target} ${o.job}`, { ok: o.status === 'captured', error: o.error });
+    }
+    if (cycle.commit) {
+        out.set('commit', { ok: cycle.commit.status !== 'failed', error: cycle.commit.error });
+        if (cycle.commit.status === 'committed') out.set('push', { ok: !!cycle.commit.pushed, error: cycle.commit.pushError });
+        if (cycle.commit.tagError) out.set('tags', { ok: false, error: cycle.commit.tagError });
+    }
+    for (const e of cycle.errors) out.set(`error ${e.where}`, { ok: false, error: e.message });
+    return out;
+}
+
+function finishCycle(cycle) {
+    cycle.finishedAt = new Date().toISOString();
+    cycle.durationMs = Date.parse(cycle.finishedAt) - Date.parse(cycle.startedAt);
+    const attempts = [...results(cycle).values()];
+    const failures = attempts.filter(a => !a.ok).length;
+    const changed = cycle.artifacts.some(a => a.status === 'downloaded') || (cycle.commit && cycle.commit.status === 'committed');
+    const unreachable = cycle.endpoints.length && cycle.endpoints.every(e => e.error);
+    if (failures && (unreachable || !attempts.some(a => a.ok))) cycle.outcome = 'failed';
+    else if (failures) cycle.outcome = 'partial';
+    else cycle.outcome = changed ? 'changed' : 'unchanged';
+    return cycle;
+}
+
+async function appendCycle(file, cycle) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const stat = await fs.stat(file).catch(() => null);
+    if (stat && stat.size > MAX_BYTES) await fs.rename(file, `${file}.1`);
+    await fs.appendFile(file, JSON.stringify(cycle) + '\n');
+}
+
+// The last `limit` cycles, oldest first; lines that do not parse (a torn write) are skipped
+async function readCycles(file, limit = 10) {
+    const cycles = [];
+    for (const source of [file, `${file}.1`]) {
+        const text = await fs.readFile(source, 'utf8').catch(() => '');
+        const lines = text.split('\n').filter(Boolean).reverse();
+        for (const line of lines) {
+            if (cycles.length >= limit) break;
+            try {
+                cycles.push(JSON.parse(line));
+            } catch {}
+        }
+        if (cycles.length >= limit) break;
+    }
+    return cycles.reverse();
+}
+
+/**
+ * Outcome counts and current error streaks: for everything that failed in the latest cycle
+ * that attempted it, how many attempts in a row have failed and since when.
+ */
+function summarize(cycles) {
+    const outcomes = {};
+    for (const cycle of cycles) outcomes[cycle.outcome] = (outcomes[cycle.outcome] || 0) + 1;
+    const streaks = new Map();
+    const settled = new Set();
+    for (const cycle of [...cycles].reverse()) {
+        for (const [key, result] of results(cycle)) {
+            if (settled.has(key)) continue;
+            if (result.ok) {
+                settled.add(key);
+                continue;
+            }
+            const streak = streaks.get(key) || { key, count: 0, lastError: result.error || null };
+            streak.count++;
+            streak.since = cycle.startedAt;
+            streaks.set(key, streak);
+        }
+    }
+    return {
+        cycles: cycles.length,
+        outcomes,
+        last: cycles[cycles.length - 1] || null,
+        streaks: [...streaks.values()].sort((a, b) => b.count - a.count),
+    };
+}
+
+module.exports = {
+    createCycle,
+    finishCycle,
+    appendCycle,
+    readCycles,
+    summarize,
+};
@@ -0,0 +1,152 @@
+/**
+ * Launcher runs
+ * Preflight checks before starting an extracted launcher, optional headless start under
+ * xvfb-run, readiness taken from the launcher's own log and a structured result per run.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { run, start, stop, which } = require('./process');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Shared libraries ldd cannot resolve; null when ldd itself is unavailable
+async function missingLibraries(binary) {
+    const ldd = await which('ldd');
+    if (!ldd) return null;
+    const { stdout, stderr } = await run(ldd, [binary], { okCodes: [0, 1], timeout: 30000 });
+    if (/not a dynamic executable/.test(stdout + stderr)) return [];
+    return stdout.split('\n')
+        .map(line => line.match(/^\s*(\S+)\s+=>\s+not found/))
+        .filter(Boolean)
+        .map(match => match[1]);
+}
+
+function useHeadless(mode) {
+    if (mode === 'always') return true;
+    return mode === 'auto' && process.platform !== 'win32' && !process.env.DISPLAY;
+}
+
+/**
+ * Everything that would make a launch pointless: missing binary, unresolved shared
+ * libraries (Linux), no wine, no xvfb-run when headless. Resolves with
+ * { ok, problems, missingLibraries }.
+ */
+async function preflight(binary, { platform, wine = false, headless = false }) {
+    const problems = [];
+    let missing = [];
+    const stat = await fs.stat(binary).catch(() => null);
+    if (!stat || !stat.isFile() || !stat.size) problems.push(`launcher binary missing or empty: ${binary}`);
+
+    if (stat && platform === 'linux' && process.platform === 'linux') {
+        const libraries = await missingLibraries(binary).catch(error => {
+            problems.push(`ldd failed: ${error.message}`);
+            return [];
+        });
+        if (libraries === null) {
+            console.log(`preflight: ldd not found, shared libraries not checked`);
+        } else if (libraries.length) {
+            missing = libraries;
+            problems.push(`missing shared libraries: ${libraries.join(', ')}`);
+        }
+    }
+    if (wine && !await which('wine')) problems.push('wine not found on PATH');
+    if (headless && !await which('xvfb-run')) problems.push('xvfb-run not found on PATH');
+    return { ok: !problems.length, problems, missingLibraries: missing };
+}
+
+async function sizeOf(file) {
+    const stat = await fs.stat(file).catch(() => null);
+    return stat ? stat.size : 0;
+}
+
+// New text appended to file since offset
+async function readFrom(file, offset) {
+    const handle = await fs.open(file, 'r').catch(() => null);
+    if (!handle) return { text: '', offset };
+    try {
+        const { size } = await handle.stat();
+        // Rotated or truncated: start over
+        if (size < offset) offset = 0;
+        if (size === offset) return { text: '', offset };
+        const buffer = Buffer.alloc(size - offset);
+        await handle.read(buffer, 0, buffer.length, offset);
+        return { text: buffer.toString('utf8'), offset: size };
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Start the launcher and wait until one of its log files shows a ready marker, the process
+ * exits or `timeout` passes. stdout/stderr go to outputDir. Resolves with the running
+ * child (if any) and a result:
+ * { command, args, headless, startedAt, readyAt, marker, logFile, exitCode, signal, durationMs, reason }
+ * where reason is "ready", "exited", "timeout" or "spawn failed".
+ */
+async function launch({ command, args = [], cwd, env, headless = false, logFiles = [], markers = [], timeout, outputDir, interval = 1000 }) {
+    await fs.mkdir(outputDir, { recursive: true });
+    // Only lines written by this run count, so remember where each log ends now
+    const offsets = {};
+    for (const file of logFiles) offsets[file] = await sizeOf(file);
+
+    const [cmd, argv] = headless ? ['xvfb-run', ['-a', command, ...args]] : [command, args];
+    const stdout = await fs.open(path.join(outputDir, 'stdout.txt'), 'w');
+    const stderr = await fs.open(path.join(outputDir, 'stderr.txt'), 'w');
+    const startedAt = Date.now();
+    const result = { command: cmd, args: argv, headless, startedAt: new Date(startedAt).toISOString() };
+
+    const child = start(cmd, argv, { cwd, env, stdio: ['ignore', stdout.fd, stderr.fd] });
+    const exit = new Promise(resolve => {
+        child.once('exit', (code, signal) => resolve({ code, signal }));
+        child.once('error', error => resolve({ error }));
+    });
+    let exited = null;
+    exit.then(value => { exited = value; });
+
+    const close = async () => {
+        await stdout.close().catch(() => {});
+        await stderr.close().catch(() => {});
+    };
+    const finish = (reason, extra = {}) => Object.assign(result, extra, { reason, durationMs: Date.now() - startedAt });
+
+    while (Date.now() - startedAt < timeout) {
+        if (exited) {
+            await close();
+            if (exited.error) return { child: null, result: finish('spawn failed', { error: exited.error.message }) };
+            return { child: null, result: finish('exited', { exitCode: exited.code, signal: exited.signal }) };
+        }
+        for (const file of logFiles) {
+            const { text, offset } = await readFrom(file, offsets[file]);
+            offsets[file] = offset;
+            const marker = markers.find(m => text.includes(m));
+            if (marker) {
+                result.readyAt = new Date().toISOString();
+                return { child, exit, close, result: finish('ready', { marker, logFile: file }) };
+            }
+        }
+        await Promise.race([exit, sleep(interval)]);
+    }
+    return { child, exit, close, result: finish('timeout') };
+}
+
+// Stop a launch() that is still running and fill in how it ended
+async function shutdown(launched) {
+    if (!launched.child) return launched.result;
+    await stop(launched.child);
+    const { code, signal } = await Promise.race([launched.exit, sleep(1000).then(() => ({}))]);
+    await launched.close();
+    return Object.assign(launched.result, {
+        exitCode: code === undefined ? null : code,
+        signal: signal || null,
+        stoppedAt: new Date().toISOString(),
+        durationMs: Date.now() - Date.parse(launched.result.startedAt),
+    });
+}
+
+module.exports = {
+    useHeadless,
+    preflight,
+    launch,
+    shutdown,
+};
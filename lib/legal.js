@@ -0,0 +1,224 @@
+/**
+ * Legal documents
+ * The launcher writes eula.txt and third-party-licenses.txt into its data directory ("creating
+ * legal file" in its log). Every copy found in runtime-archives/ is stored once per content hash
+ * under legal/<name>/<sha256>.txt, and legal/history.json says which version carried which
+ * revision. When a document changes from one version to the next the change gets a unified
+ * diff in legal/<name>/diffs/; for the licenses also the components that were added, removed
+ * or updated, parsed from the "Package:" / "URL:" / "License:" headers.
+ *
+ * legal/history.json:
+ * { "documents": { "eula.txt": {
+ *     "revisions": [{ "sha256": "...", "size": 123, "path": "legal/eula/<sha256>.txt", "meta": { "version": "2.1", "effectiveDate": "..." },
+ *                     "components": null, "versions": ["<version>-<channel>", ...] }],
+ *     "versions": [{ "version": "<version>-<channel>", "sha256": "...", "archives": ["runtime-archives/..."] }],
+ *     "changes": [{ "from": null, "to": "<version>-<channel>", "previous": null, "sha256": "...", "diff": null, "components": null }] } } }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { sha256File } = require('./http');
+const { unifiedDiff } = require('./diff');
+const { readManifest } = require('./manifest');
+
+const LEGAL_DIR = 'legal';
+const HISTORY = 'history.json';
+const DOCUMENTS = ['eula.txt', 'third-party-licenses.txt'];
+const LICENSES = 'third-party-licenses.txt';
+
+const RUNTIME_ARCHIVE = /^(.+)-(linux|windows)-runtime-([\dT-]+)$/;
+// The licenses file runs to thousands of lines
+const MAX_DIFF_LINES = 20000;
+
+const stem = name => path.basename(name, path.extname(name));
+const text = raw => raw.replace(/^\uFEFF/, '');
+
+// "Version: 2.1" and "Effective Date: December 23, 2025" near the top of the EULA
+function parseMeta(content) {
+    const meta = {};
+    for (const line of text(content).split(/\r?\n/).slice(0, 40)) {
+        const match = line.match(/^\W*(Version|Effective Date|Last Updated)\W*:\W*(.+?)\s*$/i);
+        if (!match) continue;
+        const key = match[1].toLowerCase().replace(/ (\w)/g, (_, c) => c.toUpperCase());
+        if (!meta[key]) meta[key] = match[2];
+    }
+    return meta;
+}
+
+/**
+ * [{ package, version, license, url }] from the header block in front of each license text.
+ * The version is the ref in a .../blob/<ref>/LICENSE URL, when there is one.
+ */
+function parseComponents(content) {
+    const components = [];
+    let current = null;
+    for (const line of text(content).split(/\r?\n/)) {
+        const match = line.match(/^(Package|URL|License):\s*(.*?)\s*$/);
+        if (!match) {
+            current = null;
+            continue;
+        }
+        const [, key, value] = match;
+        if (key === 'Package') {
+            current = { package: value, version: null, license: null, url: null };
+            components.push(current);
+        } else if (current) {
+            current[key.toLowerCase()] = value;
+            if (key === 'URL') current.version = (value.match(/\/blob\/([^/]+)\//) || [])[1] || null;
+        }
+    }
+    return components.sort((a, b) => a.package.localeCompare(b.package));
+}
+
+// Components added, removed and updated (version or license) between two revisions
+function compareComponents(before, after) {
+    const old = new Map(before.map(c => [c.package, c]));
+    const now = new Map(after.map(c => [c.package, c]));
+    const updated = [];
+    for (const c of after) {
+        const previous = old.get(c.package);
+        if (previous && (previous.version !== c.version || previous.license !== c.license)) {
+            updated.push({ package: c.package, from: { version: previous.version, license: previous.license }, to: { version: c.version, license: c.license } });
+        }
+    }
+    return {
+        added: after.filter(c => !old.has(c.package)),
+        removed: before.filter(c => !now.has(c.package)),
+        updated,
+    };
+}
+
+// When a version was first seen: its earliest artifact, as an ISO time; null for legacy manifests
+async function firstSeen(versionsDir, dir) {
+    const manifest = await readManifest(path.join(versionsDir, dir)).catch(() => null);
+    const times = Object.values((manifest && manifest.files) || {}).map(f => f.firstSeen).filter(Boolean).sort();
+    return times[0] || null;
+}
+
+/**
+ * Every copy of a legal document in the runtime archives, in release order: by when its version
+ * was first seen (same-day builds only differ in their git hash), else by its earliest runtime
+ * archive, then by when the copy was archived: [{ name, version, archivedAt, archive, file }].
+ */
+async function findDocuments(repoRoot, { versionsDir = path.join(repoRoot, 'versions') } = {}) {
+    const found = [];
+    const runtimeDir = path.join(repoRoot, 'runtime-archives');
+    for (const archive of (await fs.readdir(runtimeDir).catch(() => [])).sort()) {
+        const match = archive.match(RUNTIME_ARCHIVE);
+        if (!match) continue;
+        // "2026-01-10T19-11-03" -> ISO, so it compares with first-seen times
+        const archivedAt = match[3].replace(/T(\d{2})-(\d{2})-(\d{2})$/, 'T$1:$2:$3Z');
+        for (const name of DOCUMENTS) {
+            const file = path.join(runtimeDir, archive, 'appdata', name);
+            if (await fs.stat(file).catch(() => null)) found.push({ name, version: match[1], archivedAt, archive: `runtime-archives/${archive}`, file });
+        }
+    }
+    const released = new Map();
+    for (const version of new Set(found.map(copy => copy.version))) {
+        const archived = found.filter(copy => copy.version === version).map(copy => copy.archivedAt).sort()[0];
+        released.set(version, await firstSeen(versionsDir, version) || archived);
+    }
+    return found.sort((a, b) => released.get(a.version).localeCompare(released.get(b.version))
+        || a.version.localeCompare(b.version) || a.archivedAt.localeCompare(b.archivedAt));
+}
+
+// Write `content` unless the file already has it
+async function writeIfChanged(file, content) {
+    if (await fs.readFile(file, 'utf8').catch(() => null) === content) return false;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content);
+    return true;
+}
+
+// Delete stored revisions and diffs of one document that history.json no longer points to
+async function prune(dir, keep) {
+    const removed = [];
+    for (const sub of ['', 'diffs']) {
+        for (const name of await fs.readdir(path.join(dir, sub)).catch(() => [])) {
+            const file = path.join(dir, sub, name);
+            const stored = sub ? name.endsWith('.diff') : /^[0-9a-f]{64}\.(txt|json)$/.test(name);
+            if (!stored || keep.has(file)) continue;
+            await fs.unlink(file);
+            removed.push(file);
+        }
+    }
+    return removed;
+}
+
+/**
+ * Store every revision, diff consecutive ones, write legal/history.json and delete what no
+ * version refers to any more. Resolves with { history, changes, removed } where changes are the
+ * ones history.json did not have yet.
+ */
+async function writeLegalHistory(repoRoot, { versionsDir } = {}) {
+    const legalDir = path.join(repoRoot, LEGAL_DIR);
+    const historyFile = path.join(legalDir, HISTORY);
+    const known = await fs.readFile(historyFile, 'utf8').then(JSON.parse).catch(() => ({ documents: {} }));
+    const rel = file => path.relative(repoRoot, file).split(path.sep).join('/');
+
+    const history = { documents: {} };
+    const fresh = [];
+    const removed = [];
+    const copies = await findDocuments(repoRoot, { versionsDir });
+    for (const name of DOCUMENTS) {
+        const doc = { revisions: [], versions: [], changes: [] };
+        const revisions = new Map();
+        const contents = new Map();
+        for (const copy of copies.filter(c => c.name === name)) {
+            const sha256 = await sha256File(copy.file);
+            if (!revisions.has(sha256)) {
+                const content = await fs.readFile(copy.file, 'utf8');
+                const stored = path.join(legalDir, stem(name), `${sha256}.txt`);
+                await writeIfChanged(stored, content);
+                const components = name === LICENSES ? parseComponents(content) : null;
+                if (components) await writeIfChanged(path.join(legalDir, stem(name), `${sha256}.json`), JSON.stringify({ components }, null, 2) + '\n');
+                revisions.set(sha256, { sha256, size: Buffer.byteLength(content), path: rel(stored), meta: parseMeta(content), components: components && components.length, versions: [] });
+                contents.set(sha256, { content, components });
+            }
+            const revision = revisions.get(sha256);
+            if (!revision.versions.includes(copy.version)) revision.versions.push(copy.version);
+
+            // A version keeps one entry per revision it was seen with
+            const previous = doc.versions[doc.versions.length - 1];
+            if (previous && previous.version === copy.version && previous.sha256 === sha256) {
+                previous.archives.push(copy.archive);
+                continue;
+            }
+            doc.versions.push({ version: copy.version, sha256, archives: [copy.archive] });
+            if (previous && previous.sha256 === sha256) continue;
+
+            const change = { from: previous ? previous.version : null, to: copy.version, previous: previous ? previous.sha256 : null, sha256, diff: null, components: null };
+            if (previous) {
+                const before = contents.get(previous.sha256);
+                const after = contents.get(sha256);
+                const diffFile = path.join(legalDir, stem(name), 'diffs', `${previous.sha256.slice(0, 12)}..${sha256.slice(0, 12)}.diff`);
+                const diff = unifiedDiff(text(before.content), text(after.content), name, { maxLines: MAX_DIFF_LINES });
+                if (diff) {
+                    await writeIfChanged(diffFile, diff);
+                    change.diff = rel(diffFile);
+                }
+                if (after.components) change.components = compareComponents(before.components, after.components);
+            }
+            doc.changes.push(change);
+            const seen = (known.documents[name] || { changes: [] }).changes.some(c => c.to === change.to && c.sha256 === change.sha256);
+            if (!seen) fresh.push({ document: name, ...change });
+        }
+        doc.revisions = [...revisions.values()];
+        history.documents[name] = doc;
+        const keep = new Set([...doc.revisions.map(r => r.path), ...doc.changes.map(c => c.diff)].filter(Boolean).map(p => path.join(repoRoot, p)));
+        for (const r of doc.revisions.filter(r => contents.get(r.sha256).components)) keep.add(path.join(legalDir, stem(name), `${r.sha256}.json`));
+        removed.push(...(await prune(path.join(legalDir, stem(name)), keep)).map(rel));
+    }
+    await writeIfChanged(historyFile, JSON.stringify(history, null, 2) + '\n');
+    return { history, changes: fresh, removed };
+}
+
+module.exports = {
+    LEGAL_DIR,
+    DOCUMENTS,
+    parseMeta,
+    parseComponents,
+    compareComponents,
+    findDocuments,
+    writeLegalHistory,
+};
@@ -0,0 +1,234 @@
+/**
+ * Launcher logs
+ * Parses the launcher's logfmt log (`time=… level=… msg=… key=value`) into events, splits it
+ * into sessions at each "starting hytale-launcher" line and builds a timeline across archives:
+ * launcher versions and branches, channels offered, errors by type and when each message first
+ * appeared.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const EVENTS = 'launcher-events.json';
+const TIMELINE = 'launcher-timeline.json';
+const START = 'starting hytale-launcher';
+
+const toPosix = p => p.split(path.sep).join('/');
+
+/**
+ * One logfmt line -> { time, level, msg, fields } or null. Values are bare up to the next space
+ * or double-quoted with \" and \\ escapes; bare values keep their backslashes (Windows paths).
+ */
+function parseLine(line) {
+    const pairs = {};
+    let i = 0;
+    while (i < line.length) {
+        while (line[i] === ' ') i++;
+        if (i >= line.length) break;
+        const eq = line.indexOf('=', i);
+        const space = line.indexOf(' ', i);
+        if (eq < 0 || (space >= 0 && space < eq)) return null;
+        const key = line.slice(i, eq);
+        i = eq + 1;
+        let value = '';
+        if (line[i] === '"') {
+            i++;
+            while (i < line.length && line[i] !== '"') {
+                if (line[i] === '\\' && i + 1 < line.length) i++;
+                value += line[i++];
+            }
+            if (line[i] !== '"') return null;
+            i++;
+        } else {
+            const end = line.indexOf(' ', i);
+            value = line.slice(i, end < 0 ? line.length : end);
+            i = end < 0 ? line.length : end;
+        }
+        pairs[key] = value;
+    }
+    if (!('msg' in pairs)) return null;
+    const { time = null, level = null, msg, ...fields } = pairs;
+    return { time, level, msg, fields };
+}
+
+// Lines that are not logfmt (panics, stack traces) are counted, not dropped silently
+function parseLog(text) {
+    const events = [];
+    let unparsed = 0;
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        const event = parseLine(line);
+        if (event) events.push({ line: index + 1, ...event });
+        else unparsed++;
+    });
+    return { events, unparsed };
+}
+
+// Message text with the variable parts (UUIDs, addresses, numbers) replaced, so repeats group
+function normalize(text) {
+    return text
+        .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+        .replace(/\b(?:\d{1,3}\.){3}\d{1,3}(?::\d+)?\b/g, '<addr>')
+        .replace(/(?<![\w.-])\d+(?![\w.-])/g, '<n>');
+}
+
+// "error checking for update: no patchline available for channel pre-release"
+function errorType(event) {
+    const detail = event.fields.error;
+    return normalize(detail ? `${event.msg}: ${detail}` : event.msg);
+}
+
+const isError = event => event.level === 'ERROR' || event.level === 'WARN';
+const isChannel = value => value && value !== '<nil>';
+
+// Events before the first start line belong to a session with an unknown version
+function sessions(events) {
+    const out = [];
+    let current = null;
+    for (const event of events) {
+        if (event.msg === START || !current) {
+            current = {
+                version: event.msg === START ? event.fields.version || null : null,
+                branch: event.msg === START ? event.fields.branch || null : null,
+                startedAt: event.time,
+                events: [],
+            };
+            out.push(current);
+        }
+        current.events.push(event);
+    }
+    return out;
+}
+
+function summarizeEvents(events) {
+    const channels = new Set();
+    const errors = {};
+    const messages = {};
+    const levels = {};
+    for (const event of events) {
+        levels[event.level] = (levels[event.level] || 0) + 1;
+        if (isChannel(event.fields.channel)) channels.add(event.fields.channel);
+        if (isError(event)) {
+            const type = errorType(event);
+            errors[type] = (errors[type] || 0) + 1;
+        }
+        const key = normalize(event.msg);
+        if (!messages[key]) messages[key] = { count: 0, firstAt: event.time, level: event.level };
+        messages[key].count++;
+    }
+    return { levels, channels: [...channels].sort(), errors, messages };
+}
+
+// Summary for one log: its sessions plus everything summarizeEvents() reports
+function summarize(events) {
+    return {
+        sessions: sessions(events).map(s => ({ version: s.version, branch: s.branch, startedAt: s.startedAt, events: s.events.length })),
+        ...summarizeEvents(events),
+    };
+}
+
+/**
+ * Launcher logs to parse: runtime-archives/<archive>/appdata/<logFile> and the legacy
+ * top-level data directories (<dir>/Hytale/<logFile>). Each source's events file is
+ * written next to the data, in the archive directory.
+ */
+async function findLogs(repoRoot, logFile) {
+    const sources = [];
+    const runtimeDir = path.join(repoRoot, 'runtime-archives');
+    for (const name of await fs.readdir(runtimeDir).catch(() => [])) {
+        const log = path.join(runtimeDir, name, 'appdata', logFile);
+        if (await fs.stat(log).catch(() => null)) sources.push({ archive: `runtime-archives/${name}`, dir: path.join(runtimeDir, name), log });
+    }
+    for (const entry of await fs.readdir(repoRoot, { withFileTypes: true })) {
+        if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+        const log = path.join(repoRoot, entry.name, 'Hytale', logFile);
+        if (await fs.stat(log).catch(() => null)) sources.push({ archive: entry.name, dir: path.join(repoRoot, entry.name), log });
+    }
+    return sources;
+}
+
+// Parse one source and write its events file. Resolves with { archive, summary, events }.
+async function parseSource(repoRoot, source) {
+    const { events, unparsed } = parseLog(await fs.readFile(source.log, 'utf8'));
+    const summary = { ...summarize(events), unparsed };
+    const log = toPosix(path.relative(repoRoot, source.log));
+    await fs.writeFile(path.join(source.dir, EVENTS), JSON.stringify({ log, summary, events }, null, 2));
+    return { archive: source.archive, summary, events };
+}
+
+/**
+ * Group every session of every parsed source by launcher version, ordered by when that
+ * version was first seen. Each version lists the messages that no earlier version logged.
+ */
+function buildTimeline(parsed) {
+    // A data directory keeps its log across updates, so later archives repeat earlier
+    // sessions, possibly with more lines; keep the longest copy of each
+    const unique = new Map();
+    for (const { archive, events } of parsed) {
+        for (const session of sessions(events)) {
+            const id = `${session.version} ${session.startedAt}`;
+            const known = unique.get(id);
+            if (!known) unique.set(id, { session, archives: new Set([archive]) });
+            else {
+                known.archives.add(archive);
+                if (session.events.length > known.session.events.length) known.session = session;
+            }
+        }
+    }
+
+    const byVersion = new Map();
+    for (const { session, archives } of unique.values()) {
+        const key = session.version || 'unknown';
+        if (!byVersion.has(key)) byVersion.set(key, { version: session.version, branches: new Set(), archives: new Set(), firstSeen: null, sessions: 0, events: [] });
+        const entry = byVersion.get(key);
+        if (session.branch) entry.branches.add(session.branch);
+        for (const archive of archives) entry.archives.add(archive);
+        if (session.startedAt && (!entry.firstSeen || Date.parse(session.startedAt) < Date.parse(entry.firstSeen))) entry.firstSeen = session.startedAt;
+        entry.sessions++;
+        entry.events.push(...session.events);
+    }
+
+    // Log times carry their own UTC offset, so compare instants rather than strings
+    const when = entry => Date.parse(entry.firstSeen) || 0;
+    const versions = [...byVersion.values()].sort((a, b) => when(a) - when(b));
+    const firstSeen = {};
+    const timeline = versions.map(entry => {
+        const { levels, channels, errors, messages } = summarizeEvents(entry.events);
+        const newMessages = Object.keys(messages).filter(key => !firstSeen[key]);
+        for (const key of newMessages) firstSeen[key] = { version: entry.version, at: messages[key].firstAt, level: messages[key].level };
+        return {
+            version: entry.version,
+            branches: [...entry.branches].sort(),
+            firstSeen: entry.firstSeen,
+            archives: [...entry.archives].sort(),
+            sessions: entry.sessions,
+            levels,
+            channels,
+            errors,
+            newMessages,
+        };
+    });
+    return { archives: parsed.map(p => p.archive).sort(), versions: timeline, messages: firstSeen };
+}
+
+// Parse every launcher log in the repository and write launcher-timeline.json
+async function writeTimeline(repoRoot, logFile) {
+    const parsed = [];
+    for (const source of await findLogs(repoRoot, logFile)) parsed.push(await parseSource(repoRoot, source));
+    const timeline = buildTimeline(parsed);
+    await fs.mkdir(path.join(repoRoot, 'runtime-archives'), { recursive: true });
+    await fs.writeFile(path.join(repoRoot, 'runtime-archives', TIMELINE), JSON.stringify(timeline, null, 2));
+    return timeline;
+}
+
+module.exports = {
+    EVENTS,
+    TIMELINE,
+    parseLine,
+    parseLog,
+    summarize,
+    findLogs,
+    parseSource,
+    buildTimeline,
+    writeTimeline,
+};
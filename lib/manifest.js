@@ -0,0 +1,412 @@
+/**
+ * Version manifests
+ * One manifest.json per versions/<version>-<channel>/ directory, replacing the
+ * url.txt/sha256.txt, <file>.url/<file>.sha256 and extraction-manifest.json layouts.
+ *
+ * {
+ *   "schemaVersion": 1,
+ *   "version": "2026.01.10-48c60e3",
+ *   "channel": "release",
+ *   "snapshot": "2026-01-11T00-05-13",          // only for legacy timestamped copies
+ *   "launcherJson": { "path": "launcher.json", "url": "https://.../launcher.json" },
+ *   "platforms": ["darwin/arm64", "linux/amd64", "windows/amd64"],
+ *   "files": {
+ *     "linux/amd64/hytale-launcher-<version>.zip": {
+ *       "platform": "linux/amd64", "format": "zip",
+ *       "url": "...", "sha256": "...", "size": 123, "blob": "blobs/sha256/ab/<sha256>", "firstSeen": "<iso>",
+ *       "verification": { "status": "verified|unverified", "reason": "...", "checkedAt": "<iso>" },
+ *       "binaries": [{ "path": "hytale-launcher", "format": "elf|pe|macho", ..., "go": { "goVersion": "...", "deps": [...] } }],
+ *       "sources": [{ "url": "...", "recordedAt": "<iso>", "via": "download|sidecar|legacy", "wayback": "..." }]
+ *     }
+ *   },
+ *   "discoveries": [{ "platform": "linux/arm64", "discoveredAt": "<iso>", "sourceUrl": "..." }],
+ *   "extractions": [{ "platform": "linux/amd64", "path": "extracted/...", "source": "versions/...", "extractedAt": "<iso>", "binaries": [...] }],
+ *   "runtimeArchives": [{ "platform": "windows", "path": "runtime-archives/...", "archivedAt": "<iso>" }],
+ *   "diffs": [{ "platform": "linux/amd64", "against": "<previous version>", "json": "diff-linux-amd64.json", "markdown": "diff-linux-amd64.md", "diffedAt": "<iso>" }],
+ *   "offered": [{ "since": "<iso>", "until": "<iso>|null" }],                  // see promotion.js
+ *   "channelHistory": [{ "channel": "stage", "version": "...", "firstSeen": "<iso>" }, ...],
+ *   "promotion": { "status": "promoted|pending|stage-only|release-only", ... },
+ *   "snapshots": [{ "snapshot": "2026-01-11T00-05-13", "discoveredAt": "<iso>", ... }], // collapsed by `gc`
+ *   "mirrors": [{ "target": "wayback", "type": "wayback", "file": "<files key>|launcher.json", "capturedAt": "<iso>",
+ *                 "snapshot": "...", "key": "...", "path": "..." }]                  // see offsite.js
+ * }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { sha256File } = require('./http');
+
+const SCHEMA_VERSION = 1;
+const MANIFEST = 'manifest.json';
+const SNAPSHOT = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}$/;
+const FORMATS = { zip: 'zip', flatpak: 'flatpak', dmg: 'dmg', exe: 'exe' };
+
+const toPosix = p => p.split(path.sep).join('/');
+
+// "<version>-<channel>[-<snapshot>]" -> { version, channel, snapshot }
+function parseVersionDir(name, channels) {
+    for (const channel of channels) {
+        const marker = `-${channel}`;
+        const at = name.lastIndexOf(marker);
+        if (at <= 0) continue;
+        const rest = name.slice(at + marker.length);
+        if (rest && !(rest.startsWith('-') && SNAPSHOT.test(rest.slice(1)))) continue;
+        return { version: name.slice(0, at), channel, snapshot: rest ? rest.slice(1) : null };
+    }
+    // latest-<channel>
+    const latest = name.match(/^latest-(.+)$/);
+    if (latest && channels.includes(latest[1])) return { version: 'latest', channel: latest[1], snapshot: null };
+    return null;
+}
+
+function createManifest({ version, channel, snapshot = null }) {
+    const manifest = { schemaVersion: SCHEMA_VERSION, version, channel };
+    if (snapshot) manifest.snapshot = snapshot;
+    return Object.assign(manifest, {
+        launcherJson: null,
+        platforms: [],
+        files: {},
+        discoveries: [],
+        extractions: [],
+        runtimeArchives: [],
+    });
+}
+
+async function readManifest(dir) {
+    const manifest = await fs.readFile(path.join(dir, MANIFEST), 'utf8').then(JSON.parse).catch(() => null);
+    if (manifest && manifest.schemaVersion > SCHEMA_VERSION) {
+        throw new Error(`${path.join(dir, MANIFEST)} has schema ${manifest.schemaVersion}, newer than ${SCHEMA_VERSION}`);
+    }
+    return manifest;
+}
+
+const FILE_KEYS = ['platform', 'format', 'url', 'sha256', 'size', 'blob', 'firstSeen', 'verification', 'binaries'];
+
+async function writeManifest(dir, manifest) {
+    // Stable key order so rewrites of an unchanged manifest are byte-identical
+    const files = {};
+    for (const key of Object.keys(manifest.files).sort()) {
+        const { sources, ...entry } = manifest.files[key];
+        const ordered = {};
+        for (const field of FILE_KEYS) if (field in entry) ordered[field] = entry[field];
+        files[key] = { ...ordered, ...entry, sources };
+    }
+    const platforms = new Set(manifest.platforms);
+    for (const entry of Object.values(files)) if (entry.platform) platforms.add(entry.platform);
+    const out = { ...manifest, platforms: [...platforms].sort(), files };
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${MANIFEST}.tmp`), JSON.stringify(out, null, 2) + '\n');
+    await fs.rename(path.join(dir, `${MANIFEST}.tmp`), path.join(dir, MANIFEST));
+    return out;
+}
+
+function formatOf(name) {
+    return FORMATS[path.extname(name).slice(1)] || path.extname(name).slice(1) || null;
+}
+
+// Merge what is known about one file; sources are de-duplicated on url + via + recordedAt
+function upsertFile(manifest, rel, fields, source) {
+    const entry = manifest.files[rel] || {
+        platform: rel.split('/').slice(0, 2).join('/'),
+        format: formatOf(rel),
+        sources: [],
+    };
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined || value === null) continue;
+        if (key === 'firstSeen' && entry.firstSeen && entry.firstSeen <= value) continue;
+        entry[key] = value;
+    }
+    if (source && !entry.sources.some(s => s.url === source.url && s.via === source.via && s.recordedAt === source.recordedAt)) {
+        entry.sources.push(source);
+    }
+    manifest.files[rel] = entry;
+    return entry;
+}
+
+function addUnique(list, item, key) {
+    if (!list.some(existing => existing[key] === item[key])) list.push(item);
+}
+
+async function walk(dir, base = dir) {
+    const out = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true }).catch(() => [])) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) out.push(...await walk(full, base));
+        else out.push(toPosix(path.relative(base, full)));
+    }
+    return out;
+}
+
+async function removeEmptyDirs(dir, keep) {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true }).catch(() => [])) {
+        if (entry.isDirectory()) await removeEmptyDirs(path.join(dir, entry.name), false);
+    }
+    if (!keep) await fs.rmdir(dir).catch(() => {});
+}
+
+const readText = file => fs.readFile(file, 'utf8').then(s => s.trim()).catch(() => null);
+const readJson = file => fs.readFile(file, 'utf8').then(JSON.parse).catch(() => null);
+
+/**
+ * Convert one versions/ directory to manifest.json in place.
+ * Every value from the legacy files ends up in the manifest before those files are removed;
+ * binaries under "<os>-<arch>/" are moved to "<os>/<arch>/".
+ * `firstCommitted` maps repo-relative paths to the time git first saw them.
+ */
+async function migrateVersionDir(dir, { channels, repoRoot = '.', firstCommitted = {}, dryRun = false } = {}) {
+    const parsed = parseVersionDir(path.basename(dir), channels);
+    if (!parsed) return null;
+
+    const manifest = await readManifest(dir) || createManifest(parsed);
+    const files = await walk(dir);
+    if (!files.length) return null;
+    const converted = [];
+    const moves = [];
+    const repoPath = rel => toPosix(path.relative(repoRoot, path.join(dir, rel)));
+    const committedAt = rel => firstCommitted[repoPath(rel)] || null;
+
+    // Snapshot-level metadata (legacy timestamped dirs, discoveries from newer fetches)
+    const metadata = await readJson(path.join(dir, 'download-metadata.json'));
+    if (metadata) {
+        converted.push('download-metadata.json');
+        for (const key of ['downloadDate', 'downloadTimestamp', 'discoveredAt', 'sourceUrl']) {
+            if (metadata[key]) manifest[key] = metadata[key];
+        }
+        for (const discovery of metadata.discoveries || []) addUnique(manifest.discoveries, discovery, 'platform');
+    }
+    for (const [file, key] of [['download-date.txt', 'downloadDate'], ['download-timestamp.txt', 'downloadTimestamp']]) {
+        const value = await readText(path.join(dir, file));
+        if (value === null) continue;
+        converted.push(file);
+        if (manifest[key] && manifest[key] !== value) manifest[`${key}File`] = value;
+        else manifest[key] = value;
+    }
+    const seenAt = manifest.discoveredAt || null;
+
+    if (files.includes('launcher.json')) {
+        manifest.launcherJson = manifest.launcherJson || { path: 'launcher.json', url: manifest.sourceUrl || null };
+    }
+
+    // Legacy "<os>-<arch>/{url,sha256,wayback}.txt"
+    const legacyDirs = new Set(files.filter(f => /^[^/]+-[^/]+\/(url|sha256|wayback)\.txt$/.test(f)).map(f => f.split('/')[0]));
+    for (const legacyDir of legacyDirs) {
+        const [os, arch] = legacyDir.split('-');
+        const url = await readText(path.join(dir, legacyDir, 'url.txt'));
+        const sha256 = await readText(path.join(dir, legacyDir, 'sha256.txt'));
+        const wayback = await readText(path.join(dir, legacyDir, 'wayback.txt'));
+        const name = url ? path.posix.basename(new URL(url).pathname) : `hytale-launcher-${parsed.version}.zip`;
+        const rel = `${os}/${arch}/${name}`;
+        const recordedAt = seenAt || committedAt(`${legacyDir}/url.txt`) || committedAt(`${legacyDir}/sha256.txt`);
+        const source = { url, recordedAt, via: 'legacy' };
+        if (wayback) source.wayback = wayback;
+        upsertFile(manifest, rel, { url, sha256, firstSeen: recordedAt }, source);
+        for (const f of ['url.txt', 'sha256.txt', 'wayback.txt']) {
+            if (files.includes(`${legacyDir}/${f}`)) converted.push(`${legacyDir}/${f}`);
+        }
+        for (const f of files.filter(f => f.startsWith(`${legacyDir}/`) && !/\/(url|sha256|wayback)\.txt$/.test(f))) {
+            moves.push([f, `${os}/${arch}/${path.posix.basename(f)}`]);
+        }
+    }
+
+    // "<os>/<arch>/<file>.url" and ".sha256" sidecars
+    for (const f of files.filter(f => /^[^/]+\/[^/]+\/.+\.(url|sha256)$/.test(f))) {
+        const rel = f.replace(/\.(url|sha256)$/, '');
+        const value = await readText(path.join(dir, f));
+        const isUrl = f.endsWith('.url');
+        const recordedAt = committedAt(f) || seenAt;
+        const fields = isUrl ? { url: value } : { sha256: value };
+        upsertFile(manifest, rel, { ...fields, firstSeen: recordedAt }, null);
+        converted.push(f);
+    }
+    for (const entry of Object.values(manifest.files)) {
+        if (entry.sources.length) continue;
+        entry.sources.push({ url: entry.url || null, recordedAt: entry.firstSeen || null, via: 'sidecar' });
+    }
+
+    // verification.json
+    const verification = await readJson(path.join(dir, 'verification.json'));
+    if (verification) {
+        converted.push('verification.json');
+        for (const [rel, result] of Object.entries(verification)) {
+            const { url, sha256, status, reason, expected, checkedAt } = result;
+            if (status === 'quarantined') continue;
+            upsertFile(manifest, rel, { url, sha256, verification: { status, reason, expected, checkedAt } }, null);
+        }
+    }
+
+    // Binaries: size, and a hash when no sidecar recorded one
+    const binaries = [...files.filter(f => /^[^/]+\/[^/]+\/[^/]+$/.test(f) && !/\.(url|sha256|txt|json)$/.test(f)), ...moves.map(m => m[0])];
+    for (const f of binaries) {
+        const target = (moves.find(m => m[0] === f) || [f, f])[1];
+        const full = path.join(dir, f);
+        const stat = await fs.stat(full);
+        const entry = manifest.files[target] || {};
+        const fields = { size: stat.size };
+        if (!entry.sha256) fields.sha256 = await sha256File(full);
+        upsertFile(manifest, target, fields, entry.sources ? null : { url: null, recordedAt: stat.mtime.toISOString(), via: 'local' });
+    }
+
+    if (!converted.length && !moves.length && await readManifest(dir)) return { dir, changed: false, manifest };
+
+    if (!dryRun) {
+        for (const [from, to] of moves) {
+            await fs.mkdir(path.dirname(path.join(dir, to)), { recursive: true });
+            await fs.rename(path.join(dir, from), path.join(dir, to));
+        }
+        await writeManifest(dir, manifest);
+        for (const f of converted) await fs.unlink(path.join(dir, f)).catch(() => {});
+        await removeEmptyDirs(dir, true);
+    }
+    return { dir, changed: true, converted, moves, manifest };
+}
+
+// Version manifest for `dir`, converting any legacy files first
+async function loadManifest(dir, { version, channel, channels = [channel] } = {}) {
+    const migrated = await migrateVersionDir(dir, { channels }).catch(() => null);
+    if (migrated) return migrated.manifest;
+    return await readManifest(dir) || createManifest({ version, channel });
+}
+
+// extracted/<version>-<channel>/<os>-launcher/extraction-manifest.json (absolute host paths)
+async function migrateExtraction(file, { repoRoot, versionsDir, dryRun = false }) {
+    const legacy = await readJson(file);
+    if (!legacy) return null;
+    const extractedDir = path.dirname(file);
+    const fullVersion = `${legacy.version}-${legacy.channel}`;
+    const versionDir = path.join(versionsDir, fullVersion);
+    // Absolute paths from another host: keep what follows the archive's own top-level dir
+    // and point legacy "<os>-<arch>/" sources at where migrateVersionDir moved them
+    const relocate = p => {
+        if (!p) return null;
+        const match = toPosix(p).match(/(?:^|\/)((?:versions|extracted)\/.*)$/);
+        const rel = match ? match[1] : toPosix(p);
+        return rel.replace(/^(versions\/[^/]+\/)([a-z]+)-([a-z0-9]+)\//, '$1$2/$3/');
+    };
+    const extraFiles = (await walk(extractedDir)).filter(f => f !== path.basename(file));
+    const extraction = {
+        platform: (legacy.platform || '').replace('-', '/'),
+        path: toPosix(path.relative(repoRoot, extractedDir)),
+        source: relocate(legacy.source),
+        extractedAt: legacy.extractedAt || null,
+        files: extraFiles,
+        migratedFrom: { source: legacy.source, extractedTo: legacy.extractedTo },
+    };
+    const manifest = await readManifest(versionDir) || createManifest({ version: legacy.version, channel: legacy.channel });
+    addUnique(manifest.extractions, extraction, 'path');
+    if (!dryRun) {
+        await writeManifest(versionDir, manifest);
+        await fs.unlink(file);
+    }
+    return { file, versionDir, extraction };
+}
+
+async function recordExtraction(versionDir, extraction) {
+    const manifest = await readManifest(versionDir);
+    if (!manifest) return;
+    manifest.extractions = manifest.extractions.filter(e => e.path !== extraction.path);
+    manifest.extractions.push(extraction);
+    await writeManifest(versionDir, manifest);
+}
+
+async function recordRuntimeArchive(versionDir, runtimeArchive) {
+    const manifest = await readManifest(versionDir);
+    if (!manifest) return false;
+    addUnique(manifest.runtimeArchives, runtimeArchive, 'path');
+    await writeManifest(versionDir, manifest);
+    return true;
+}
+
+// One diff report per platform; a re-run against another build replaces it
+async function recordDiff(versionDir, diff) {
+    const manifest = await readManifest(versionDir);
+    if (!manifest) return;
+    manifest.diffs = (manifest.diffs || []).filter(d => d.platform !== diff.platform);
+    manifest.diffs.push(diff);
+    await writeManifest(versionDir, manifest);
+}
+
+// The latest confirmed off-site capture of a file per target
+async function recordMirror(versionDir, capture) {
+    const manifest = await readManifest(versionDir);
+    if (!manifest) return;
+    manifest.mirrors = (manifest.mirrors || []).filter(m => !(m.target === capture.target && m.file === capture.file));
+    manifest.mirrors.push(capture);
+    await writeManifest(versionDir, manifest);
+}
+
+// Map of repo-relative path -> ISO time of the commit that first added it
+async function firstCommitTimes(repoRoot, execFile) {
+    const times = {};
+    try {
+        const { stdout } = await execFile('git', ['log', '--reverse', '--diff-filter=A', '--name-only', '--format=@%aI', '--', 'versions/'], {
+            cwd: repoRoot,
+            maxBuffer: 64 * 1024 * 1024,
+        });
+        let current = null;
+        for (const line of stdout.split('\n')) {
+            if (line.startsWith('@')) current = new Date(line.slice(1)).toISOString();
+            else if (line && current && !times[line]) times[line] = current;
+        }
+    } catch {}
+    return times;
+}
+
+/**
+ * Convert everything under versions/, extracted/ and runtime-archives/.
+ * Returns a summary of what changed (or would change with dryRun).
+ */
+async function migrateArchive({ repoRoot, versionsDir, channels, execFile, dryRun = false }) {
+    const summary = { versions: [], extractions: [], runtimeArchives: [], skipped: [] };
+    const firstCommitted = execFile ? await firstCommitTimes(repoRoot, execFile) : {};
+
+    for (const name of (await fs.readdir(versionsDir).catch(() => [])).sort()) {
+        const dir = path.join(versionsDir, name);
+        if (!(await fs.stat(dir)).isDirectory()) continue;
+        const result = await migrateVersionDir(dir, { channels, repoRoot, firstCommitted, dryRun });
+        if (!result) summary.skipped.push(toPosix(path.relative(repoRoot, dir)));
+        else if (result.changed) summary.versions.push({ dir: toPosix(path.relative(repoRoot, dir)), converted: result.converted.length, moved: result.moves.length });
+    }
+
+    const extractedRoot = path.join(repoRoot, 'extracted');
+    for (const file of (await walk(extractedRoot)).filter(f => f.endsWith('/extraction-manifest.json'))) {
+        const result = await migrateExtraction(path.join(extractedRoot, file), { repoRoot, versionsDir, dryRun });
+        if (result) summary.extractions.push(toPosix(path.relative(repoRoot, result.file)));
+    }
+
+    const runtimeRoot = path.join(repoRoot, 'runtime-archives');
+    for (const name of (await fs.readdir(runtimeRoot).catch(() => [])).sort()) {
+        const match = name.match(/^(.+)-([a-z]+)-runtime-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2})$/);
+        if (!match) continue;
+        const [, fullVersion, platform, timestamp] = match;
+        const versionDir = path.join(versionsDir, fullVersion);
+        const archivedAt = timestamp.replace(/T(\d{2})-(\d{2})-(\d{2})$/, 'T$1:$2:$3Z');
+        const reference = { platform, path: `runtime-archives/${name}`, archivedAt };
+        const manifest = await readManifest(versionDir);
+        if (!manifest) {
+            summary.skipped.push(reference.path);
+            continue;
+        }
+        if (manifest.runtimeArchives.some(r => r.path === reference.path)) continue;
+        if (!dryRun) await recordRuntimeArchive(versionDir, reference);
+        summary.runtimeArchives.push(reference.path);
+    }
+    return summary;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    MANIFEST,
+    parseVersionDir,
+    createManifest,
+    readManifest,
+    writeManifest,
+    loadManifest,
+    upsertFile,
+    migrateVersionDir,
+    migrateArchive,
+    firstCommitTimes,
+    recordExtraction,
+    recordRuntimeArchive,
+    recordDiff,
+    recordMirror,
+};
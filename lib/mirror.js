@@ -0,0 +1,196 @@
+/**
+ * Local mirror
+ * Serves the archive with launcher.hytale.com's routes, so old update flows can be replayed
+ * and the archiver can be pointed at it offline:
+ *
+ *   GET /version/<channel>/launcher.json                  generated from the current build's manifest
+ *   GET /builds/<channel>/<os>/<arch>/<file>              artifact bytes, Range and conditional requests
+ *
+ * The current build of a channel is its pinned version, else the one the channel was last seen
+ * offering, else the one seen most recently. "latest" in a build file name means that build.
+ */
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const { parseVersionDir, readManifest } = require('./manifest');
+const { resolveArtifact } = require('./blobs');
+
+// The index is rebuilt at most this often, so versions archived meanwhile show up
+const INDEX_TTL = 5000;
+
+const CONTENT_TYPES = {
+    json: 'application/json',
+    zip: 'application/zip',
+    flatpak: 'application/vnd.flatpak',
+    dmg: 'application/x-apple-diskimage',
+    exe: 'application/vnd.microsoft.portable-executable',
+};
+
+const latestSeen = build => {
+    const times = Object.values(build.manifest.files).map(f => f.firstSeen).filter(Boolean).sort();
+    return times[times.length - 1] || build.manifest.discoveredAt || '';
+};
+
+// channel -> builds, newest first, and "<channel>/<os>/<arch>/<file>" -> build
+async function loadIndex(versionsDir, channels) {
+    const builds = [];
+    for (const name of (await fsp.readdir(versionsDir).catch(() => [])).sort()) {
+        const parsed = parseVersionDir(name, channels);
+        if (!parsed || parsed.snapshot || parsed.version === 'latest') continue;
+        const versionDir = path.join(versionsDir, name);
+        const manifest = await readManifest(versionDir).catch(() => null);
+        if (manifest) builds.push({ ...parsed, versionDir, manifest });
+    }
+    const byChannel = new Map(channels.map(channel => [channel, []]));
+    const files = new Map();
+    for (const build of builds) {
+        byChannel.get(build.channel).push(build);
+        for (const rel of Object.keys(build.manifest.files)) files.set(`${build.channel}/${rel}`, build);
+    }
+    for (const list of byChannel.values()) {
+        const offered = b => (b.manifest.offered || []).some(o => o.until === null);
+        list.sort((a, b) => (offered(b) - offered(a)) || latestSeen(b).localeCompare(latestSeen(a)) || b.version.localeCompare(a.version));
+    }
+    return { byChannel, files };
+}
+
+// "bytes=0-99", "bytes=100-", "bytes=-100"; null for anything else (served in full)
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (!match[1] && !match[2])) return null;
+    let start;
+    let end = size - 1;
+    if (!match[1]) {
+        start = Math.max(0, size - parseInt(match[2]));
+    } else {
+        start = parseInt(match[1]);
+        if (match[2]) end = Math.min(parseInt(match[2]), size - 1);
+    }
+    if (start > end || start >= size) return { unsatisfiable: true };
+    return { start, end };
+}
+
+function launcherJson(build, baseUrl) {
+    const downloadUrl = {};
+    for (const [rel, entry] of Object.entries(build.manifest.files).sort()) {
+        // Upstream lists only the zips
+        if (entry.format !== 'zip' || !entry.platform) continue;
+        const [os, arch] = entry.platform.split('/');
+        downloadUrl[os] = downloadUrl[os] || {};
+        downloadUrl[os][arch] = { url: `${baseUrl}/builds/${build.channel}/${rel}`, sha256: entry.sha256 };
+    }
+    return { version: build.version, download_url: downloadUrl };
+}
+
+/**
+ * An http.Server for the archive under versionsDir. `pins` maps a channel to the version to
+ * serve as its launcher.json; `log` gets one line per request.
+ */
+function createMirror({ versionsDir, channels, pins = {}, log = () => {} }) {
+    let index = null;
+    let indexedAt = 0;
+    const getIndex = () => {
+        if (!index || Date.now() - indexedAt > INDEX_TTL) {
+            indexedAt = Date.now();
+            index = loadIndex(versionsDir, channels);
+        }
+        return index;
+    };
+
+    const current = (idx, channel) => {
+        const builds = idx.byChannel.get(channel) || [];
+        return pins[channel] ? builds.find(b => b.version === pins[channel]) : builds[0];
+    };
+
+    async function serveFile(req, res, build, rel) {
+        const entry = build.manifest.files[rel];
+        const file = await resolveArtifact(build.versionDir, rel, build.manifest);
+        if (!file) return send(res, 404, `${rel} is recorded but its bytes are not in this tree\n`);
+        const { size } = await fsp.stat(file);
+        const etag = `"${entry.sha256}"`;
+        const lastModified = entry.firstSeen ? new Date(entry.firstSeen).toUTCString() : null;
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('ETag', etag);
+        if (lastModified) res.setHeader('Last-Modified', lastModified);
+        res.setHeader('Content-Type', CONTENT_TYPES[entry.format] || 'application/octet-stream');
+
+        const noneMatch = req.headers['if-none-match'];
+        const modifiedSince = Date.parse(req.headers['if-modified-since']);
+        const notModified = noneMatch
+            ? noneMatch.split(',').some(tag => [etag, '*'].includes(tag.trim().replace(/^W\//, '')))
+            : lastModified && !isNaN(modifiedSince) && Date.parse(lastModified) <= modifiedSince;
+        if (notModified) return send(res, 304);
+
+        // A Range is honoured only while If-Range still names these bytes
+        let range = parseRange(req.headers.range, size);
+        if (range && req.headers['if-range'] && req.headers['if-range'] !== etag) range = null;
+        if (range && range.unsatisfiable) {
+            res.setHeader('Content-Range', `bytes */${size}`);
+            return send(res, 416);
+        }
+        const { start, end } = range || { start: 0, end: size - 1 };
+        res.statusCode = range ? 206 : 200;
+        if (range) res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+        res.setHeader('Content-Length', size ? end - start + 1 : 0);
+        if (req.method === 'HEAD' || !size) return res.end();
+        await new Promise((resolve, reject) => {
+            fs.createReadStream(file, { start, end }).on('error', reject).pipe(res).on('finish', resolve).on('close', resolve);
+        });
+    }
+
+    async function handle(req, res) {
+        if (!['GET', 'HEAD'].includes(req.method)) {
+            res.setHeader('Allow', 'GET, HEAD');
+            return send(res, 405);
+        }
+        const url = new URL(req.url, 'http://mirror');
+        const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        const idx = await getIndex();
+
+        if (parts.length === 3 && parts[0] === 'version' && parts[2] === 'launcher.json') {
+            const build = current(idx, parts[1]);
+            if (!build) return send(res, 404, pins[parts[1]] ? `${pins[parts[1]]} is not archived for ${parts[1]}\n` : '');
+            const body = JSON.stringify(launcherJson(build, `http://${req.headers.host || 'localhost'}`), null, 2);
+            res.setHeader('Content-Type', CONTENT_TYPES.json);
+            res.setHeader('Cache-Control', 'no-cache');
+            return send(res, 200, req.method === 'HEAD' ? null : body, Buffer.byteLength(body));
+        }
+
+        if (parts.length === 5 && parts[0] === 'builds') {
+            const [, channel, os, arch, name] = parts;
+            let rel = `${os}/${arch}/${name}`;
+            let build = idx.files.get(`${channel}/${rel}`);
+            const now = current(idx, channel);
+            if (name.includes('latest') && now) {
+                rel = `${os}/${arch}/${name.replace('latest', now.version)}`;
+                build = now.manifest.files[rel] ? now : null;
+            }
+            if (build) return serveFile(req, res, build, rel);
+        }
+        return send(res, 404);
+    }
+
+    const server = http.createServer((req, res) => {
+        res.on('finish', () => log(`${req.method} ${req.url} ${res.statusCode}`));
+        handle(req, res).catch(error => {
+            log(`failed: ${req.url} (${error.message})`);
+            if (!res.headersSent) send(res, 500);
+            else res.destroy();
+        });
+    });
+    return server;
+}
+
+function send(res, status, body = null, length) {
+    res.statusCode = status;
+    if (length !== undefined) res.setHeader('Content-Length', length);
+    res.end(body === null ? undefined : body);
+}
+
+module.exports = {
+    createMirror,
+    parseRange,
+    launcherJson,
+};
@@ -0,0 +1,203 @@
+/**
+ * Notifications
+ * Events from a cycle go to the configured targets: a generic JSON webhook, Discord or Slack
+ * style webhooks, or a local command. Every event has a key; deliveries are recorded per key
+ * and target in state/notified.json, so a restart never announces the same version twice and
+ * a delivery that failed is tried again on the next flush.
+ *
+ *   { "type": "webhook|discord|slack", "url": "...", "events": ["new-version", ...], "headers": {} }
+ *   { "type": "command", "command": ["/path/to/hook", "arg"], "events": [...] }
+ *
+ * A command gets the event type in ARCHIVER_EVENT and the event as JSON in ARCHIVER_EVENT_JSON.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { postJson } = require('./http');
+const { run } = require('./process');
+
+const EVENTS = ['new-version', 'new-platform', 'hash-mismatch', 'launcher-failed', 'push-failed', 'legal-changed'];
+const TYPES = ['webhook', 'discord', 'slack', 'command'];
+
+// Deliveries that keep failing are given up after this many flushes
+const MAX_ATTEMPTS = 10;
+
+// Throws on the first target that could never deliver anything
+function validateTargets(targets) {
+    for (const [i, target] of targets.entries()) {
+        const where = `notify.targets[${i}]`;
+        if (!TYPES.includes(target.type)) throw new Error(`${where}.type must be one of ${TYPES.join(', ')}`);
+        if (target.type === 'command' && !(Array.isArray(target.command) && target.command.length)) {
+            throw new Error(`${where}.command must be a non-empty array`);
+        }
+        if (target.type !== 'command' && !/^https?:\/\//.test(target.url || '')) throw new Error(`${where}.url must be an http(s) URL`);
+        for (const event of target.events || []) {
+            if (!EVENTS.includes(event)) throw new Error(`${where}.events: unknown event ${event} (known: ${EVENTS.join(', ')})`);
+        }
+    }
+}
+
+const targetId = target => target.name || `${target.type}:${target.url || target.command.join(' ')}`;
+
+// The same occurrence always gets the same key
+function eventKey(event) {
+    switch (event.type) {
+        case 'new-version': return `new-version:${event.version}-${event.channel}`;
+        case 'new-platform': return `new-platform:${event.version}-${event.channel}:${event.platform}`;
+        case 'hash-mismatch': return `hash-mismatch:${event.path}:${event.actual}`;
+        case 'launcher-failed': return `launcher-failed:${event.version}:${event.platform}:${event.reason}`;
+        case 'push-failed': return `push-failed:${event.remote}/${event.branch}:${event.head}`;
+        case 'legal-changed': return `legal-changed:${event.document}:${event.sha256}`;
+        default: return `${event.type}:${JSON.stringify(event)}`;
+    }
+}
+
+function describe(event) {
+    switch (event.type) {
+        case 'new-version':
+            return `New Hytale launcher on ${event.channel}: ${event.version}${event.platforms && event.platforms.length ? ` (${event.platforms.join(', ')})` : ''}`;
+        case 'new-platform':
+            return `New platform ${event.platform} in ${event.version} (${event.channel})`;
+        case 'hash-mismatch':
+            return `sha256 mismatch for ${event.path}: launcher.json has ${event.expected}, the download is ${event.actual}`;
+        case 'launcher-failed':
+            return `Launcher ${event.platform} of ${event.version} failed: ${event.reason}${event.error ? ` (${event.error})` : ''}`;
+        case 'push-failed':
+            return `Push to ${event.remote}/${event.branch} failed after ${event.attempts || 1} attempt(s): ${event.error}`;
+        case 'legal-changed': {
+            const c = event.components;
+            const counts = c ? ` (components: ${c.added.length} added, ${c.removed.length} removed, ${c.updated.length} updated)` : '';
+            return `${event.document} changed in ${event.to} since ${event.from}${counts}`;
+        }
+        default:
+            return `${event.type}: ${JSON.stringify(event)}`;
+    }
+}
+
+// Made-up events for trying targets out
+function sampleEvent(type) {
+    const build = { version: '2026.01.01-0000000', channel: 'release' };
+    const fields = {
+        'new-version': { ...build, platforms: ['linux/amd64', 'windows/amd64'] },
+        'new-platform': { ...build, platform: 'linux/arm64' },
+        'hash-mismatch': { path: `${build.version}-release/linux/amd64/hytale-launcher-${build.version}.zip`, expected: '0'.repeat(64), actual: 'f'.repeat(64) },
+        'launcher-failed': { version: `${build.version}-release`, platform: 'linux', reason: 'exited', error: 'exit code 1' },
+        'push-failed': { remote: 'origin', branch: 'main', head: '0'.repeat(40), attempts: 4, error: 'rejected' },
+        'legal-changed': { document: 'eula.txt', from: '2025.12.31-0000000-release', to: `${build.version}-release`, previous: '0'.repeat(64), sha256: 'f'.repeat(64), components: null },
+    }[type];
+    return { type, test: true, ...fields };
+}
+
+async function deliver(target, event, { retries }) {
+    const text = describe(event);
+    if (target.type === 'command') {
+        const [command, ...args] = target.command;
+        const env = { ...process.env, ARCHIVER_EVENT: event.type, ARCHIVER_EVENT_JSON: JSON.stringify({ ...event, text }) };
+        await run(command, args, { env, timeout: target.timeout || 30000 });
+        return;
+    }
+    const payload = {
+        webhook: () => ({ ...event, text }),
+        discord: () => ({ content: text, username: target.username || 'Hytale Launcher Archiver' }),
+        slack: () => ({ text }),
+    }[target.type]();
+    await postJson(target.url, payload, { headers: target.headers || {}, retries });
+}
+
+/**
+ * { emit(event), flush(), idle() }. emit() queues the event and resolves once it has been
+ * handled; deliveries run one at a time. `dryRun` only logs what would be sent.
+ */
+function createNotifier({ targets = [], stateFile, retries = 3, dryRun = false, log = console.log }) {
+    let state = null;
+    let queue = Promise.resolve();
+
+    // Without a stateFile nothing is remembered beyond this process
+    const load = async () => {
+        if (!state) state = stateFile ? await fs.readFile(stateFile, 'utf8').then(JSON.parse).catch(() => ({})) : {};
+        return state;
+    };
+    const save = async () => {
+        if (!stateFile) return;
+        await fs.mkdir(path.dirname(stateFile), { recursive: true });
+        await fs.writeFile(`${stateFile}.tmp`, JSON.stringify(state, null, 2) + '\n');
+        await fs.rename(`${stateFile}.tmp`, stateFile);
+    };
+    const subscribed = (target, type) => !target.events || target.events.includes(type);
+
+    // Deliver `record.event` to every subscribed target that has not had it yet
+    async function send(key, record) {
+        const failures = [];
+        for (const target of targets.filter(t => subscribed(t, record.event.type))) {
+            const id = targetId(target);
+            const delivery = record.targets[id] || { attempts: 0 };
+            if (delivery.status === 'delivered' || delivery.attempts >= MAX_ATTEMPTS) continue;
+            if (dryRun) {
+                log(`would notify: ${id} (${describe(record.event)})`);
+                continue;
+            }
+            delivery.attempts++;
+            try {
+                await deliver(target, record.event, { retries });
+                Object.assign(delivery, { status: 'delivered', at: new Date().toISOString() });
+                delete delivery.error;
+                log(`notified: ${id} (${key})`);
+            } catch (error) {
+                Object.assign(delivery, { status: 'failed', at: new Date().toISOString(), error: error.message });
+                failures.push({ target: id, message: error.message });
+                log(`failed: notify ${id} (${key}: ${error.message})`);
+            }
+            record.targets[id] = delivery;
+        }
+        return failures;
+    }
+
+    const enqueue = task => {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    // Resolves with the deliveries that failed: [{ target, message }]
+    function emit(event) {
+        if (!targets.length) return Promise.resolve([]);
+        return enqueue(async () => {
+            const records = await load();
+            const key = eventKey(event);
+            // Recorded even without a subscribed target, so one added later does not get old news
+            const record = records[key] || { event: { ...event, at: new Date().toISOString() }, targets: {} };
+            const failures = await send(key, record);
+            if (dryRun) return failures;
+            records[key] = record;
+            await save();
+            return failures;
+        });
+    }
+
+    // Try again every delivery that failed before
+    function flush() {
+        if (!targets.length) return Promise.resolve([]);
+        return enqueue(async () => {
+            const records = await load();
+            const failures = [];
+            for (const [key, record] of Object.entries(records)) {
+                if (!Object.values(record.targets).some(d => d.status === 'failed')) continue;
+                failures.push(...await send(key, record));
+            }
+            if (!dryRun) await save();
+            return failures;
+        });
+    }
+
+    return { emit, flush, idle: () => queue };
+}
+
+module.exports = {
+    EVENTS,
+    TYPES,
+    validateTargets,
+    eventKey,
+    describe,
+    sampleEvent,
+    createNotifier,
+};
@@ -0,0 +1,381 @@
+/**
+ * Off-site mirroring
+ * Archived files are also copied elsewhere: Wayback Machine save requests for their upstream
+ * URLs, an S3-compatible bucket, a local directory or an rsync destination. Every target has
+ * its own queue in state/offsite.json, worked through at most one request per `minInterval`
+ * ms and retried with backoff, so a restart carries on where the last run stopped. Confirmed
+ * captures are recorded in the version's manifest.json under "mirrors".
+ *
+ *   { "type": "wayback", "endpoint": "https://web.archive.org", "minInterval": 15000 }
+ *   { "type": "s3", "endpoint": "https://s3.example.com", "bucket": "hytale", "region": "us-east-1", "prefix": "launcher/",
+ *     "accessKeyId": "...", "secretAccessKey": "..." }          // default: AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY
+ *   { "type": "directory", "path": "/mnt/backup/hytale" }
+ *   { "type": "rsync", "destination": "backup@host:/srv/hytale", "args": [] }   // needs rsync >= 3.2.3 (--mkpath)
+ *
+ * Every target also takes "name" (default: its type), "retries" and "minInterval".
+ */
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { request, getJson, sha256File, createLimiter } = require('./http');
+const { run } = require('./process');
+const { readManifest, recordMirror } = require('./manifest');
+const { resolveArtifact } = require('./blobs');
+
+// Per type: pause between requests and attempts before a job is given up
+const DEFAULTS = {
+    wayback: { minInterval: 15000, retries: 8 },
+    s3: { minInterval: 0, retries: 5 },
+    directory: { minInterval: 0, retries: 3 },
+    rsync: { minInterval: 0, retries: 5 },
+};
+// Backoff between attempts of one job: 1 min, 2 min, 4 min, ... up to 6 h
+const RETRY_BASE = 60000;
+const RETRY_MAX = 6 * 3600 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Rejects with `retryAfter` to pause the whole target, or `permanent` when retrying cannot help
+const slowDown = (message, retryAfter) => Object.assign(new Error(message), { retryAfter });
+const permanent = message => Object.assign(new Error(message), { permanent: true });
+
+function retryAfter(res, fallback) {
+    const value = res.headers['retry-after'];
+    if (!value) return fallback;
+    const seconds = parseInt(value);
+    return isNaN(seconds) ? Math.max(0, Date.parse(value) - Date.now()) || fallback : seconds * 1000;
+}
+
+async function readBody(res) {
+    let text = '';
+    res.setEncoding('utf8');
+    for await (const chunk of res) text += chunk;
+    return text.trim();
+}
+
+// 20260101120000 -> 2026-01-01T12:00:00.000Z
+const fromTimestamp = ts => new Date(`${ts.slice(0, 4)}-${ts.slice(4, 6)}-${ts.slice(6, 8)}T${ts.slice(8, 10)}:${ts.slice(10, 12)}:${ts.slice(12, 14)}Z`).toISOString();
+const toTimestamp = iso => iso.replace(/[-:T]/g, '').slice(0, 14);
+
+/**
+ * Backends: (target) => ({ needs, capture(job) }). `needs` is 'url' (the upstream URL) or
+ * 'file' (the bytes). capture gets { dir, file, url, source, sha256, size, queuedAt } and
+ * resolves with the fields to record for the capture.
+ */
+const BACKENDS = {
+    wayback(target) {
+        const endpoint = (target.endpoint || 'https://web.archive.org').replace(/\/$/, '');
+        const headers = target.accessKey ? { Authorization: `LOW ${target.accessKey}:${target.secretKey}` } : {};
+        return {
+            needs: 'url',
+            async capture({ url, queuedAt }) {
+                const res = await request(`${endpoint}/save/${url}`, { headers, retries: 0, timeout: target.timeout || 120000 });
+                const body = await readBody(res);
+                if (res.statusCode === 429) throw slowDown('HTTP 429', retryAfter(res, 5 * 60000));
+                if (res.statusCode >= 400) throw new Error(`HTTP ${res.statusCode}${body ? `: ${body.slice(0, 200)}` : ''}`);
+                // The snapshot is named in Content-Location, or is where the save redirected to
+                const located = `${res.headers['content-location'] || ''} ${res.url}`.match(/\/web\/(\d{14})[^/]*\//);
+                let timestamp = located && located[1];
+                if (!timestamp) {
+                    // Otherwise the closest snapshot counts if it is not older than the job
+                    const available = await getJson(`${endpoint}/wayback/available?url=${encodeURIComponent(url)}`, { retries: 0 });
+                    const closest = available.archived_snapshots && available.archived_snapshots.closest;
+                    if (closest && closest.available !== false && closest.timestamp >= toTimestamp(queuedAt)) timestamp = closest.timestamp;
+                }
+                if (!timestamp) throw new Error('no snapshot confirmed yet');
+                return { url, snapshot: `${endpoint}/web/${timestamp}/${url}`, capturedAt: fromTimestamp(timestamp) };
+            },
+        };
+    },
+
+    s3(target) {
+        const endpoint = target.endpoint.replace(/\/$/, '');
+        const region = target.region || 'us-east-1';
+        const accessKeyId = target.accessKeyId || process.env.AWS_ACCESS_KEY_ID;
+        const secretAccessKey = target.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY;
+        const signed = (method, url, headers, payloadHash) => signV4({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey });
+        return {
+            needs: 'file',
+            async capture({ dir, file, source, sha256: hash, size }) {
+                if (!accessKeyId || !secretAccessKey) throw permanent('no credentials (accessKeyId/secretAccessKey or AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY)');
+                const key = `${target.prefix || ''}${dir}/${file}`;
+                const url = `${endpoint}/${target.bucket}/${encodeKey(key)}`;
+                // Already uploaded with the same content
+                const existing = await request(url, { method: 'HEAD', headers: signed('HEAD', url, {}, sha256('')), retries: 0 });
+                existing.resume();
+                if (existing.statusCode === 200 && existing.headers['x-amz-meta-sha256'] === hash) {
+                    return { key, url, etag: existing.headers.etag || null, capturedAt: new Date().toISOString() };
+                }
+                const headers = { 'Content-Length': size, 'Content-Type': 'application/octet-stream', 'x-amz-meta-sha256': hash };
+                const res = await request(url, {
+                    method: 'PUT',
+                    headers: signed('PUT', url, headers, hash),
+                    body: () => fs.createReadStream(source),
+                    retries: 0,
+                    timeout: target.timeout || 300000,
+                });
+                const body = await readBody(res);
+                if ([429, 503].includes(res.statusCode)) throw slowDown(`HTTP ${res.statusCode}`, retryAfter(res, 60000));
+                if (res.statusCode !== 200) {
+                    const message = `HTTP ${res.statusCode}${body ? `: ${body.slice(0, 200)}` : ''}`;
+                    throw [400, 403, 404].includes(res.statusCode) ? permanent(message) : new Error(message);
+                }
+                return { key, url, etag: res.headers.etag || null, capturedAt: new Date().toISOString() };
+            },
+        };
+    },
+
+    directory(target) {
+        return {
+            needs: 'file',
+            async capture({ dir, file, source, sha256: hash }) {
+                const dest = path.join(target.path, dir, ...file.split('/'));
+                await fsp.mkdir(path.dirname(dest), { recursive: true });
+                // Copied next to the destination and checked before it takes the real name
+                await fsp.copyFile(source, `${dest}.tmp`);
+                const copied = await sha256File(`${dest}.tmp`);
+                if (copied !== hash) {
+                    await fsp.unlink(`${dest}.tmp`).catch(() => {});
+                    throw new Error(`copy has sha256 ${copied}, expected ${hash}`);
+                }
+                await fsp.rename(`${dest}.tmp`, dest);
+                return { path: dest, capturedAt: new Date().toISOString() };
+            },
+        };
+    },
+
+    rsync(target) {
+        return {
+            needs: 'file',
+            async capture({ dir, file, source }) {
+                const dest = `${target.destination.replace(/\/$/, '')}/${dir}/${file}`;
+                await run('rsync', ['--checksum', '--times', '--mkpath', ...(target.args || []), source, dest], { timeout: target.timeout || 600000 });
+                return { destination: dest, capturedAt: new Date().toISOString() };
+            },
+        };
+    },
+};
+
+// Another backend: `factory` has the shape of the ones in BACKENDS
+function registerBackend(type, factory, defaults = {}) {
+    BACKENDS[type] = factory;
+    DEFAULTS[type] = { minInterval: 0, retries: 3, ...defaults };
+}
+
+const targetName = target => target.name || target.type;
+
+// Throws on the first target that could never capture anything
+function validateTargets(targets) {
+    const names = new Set();
+    for (const [i, target] of targets.entries()) {
+        const where = `offsite.targets[${i}]`;
+        if (!BACKENDS[target.type]) throw new Error(`${where}.type must be one of ${Object.keys(BACKENDS).join(', ')}`);
+        if (target.type === 's3' && !(/^https?:\/\//.test(target.endpoint || '') && target.bucket)) {
+            throw new Error(`${where} needs an http(s) endpoint and a bucket`);
+        }
+        if (target.type === 'wayback' && target.endpoint && !/^https?:\/\//.test(target.endpoint)) throw new Error(`${where}.endpoint must be an http(s) URL`);
+        if (target.type === 'directory' && !target.path) throw new Error(`${where}.path is required`);
+        if (target.type === 'rsync' && !target.destination) throw new Error(`${where}.destination is required`);
+        // The name keys the target's queue and its captures
+        if (names.has(targetName(target))) throw new Error(`${where}: two targets named ${targetName(target)}; give one a "name"`);
+        names.add(targetName(target));
+    }
+}
+
+// S3 wants every byte outside A-Z a-z 0-9 - _ . ~ escaped in each path segment
+const encodeKey = key => key.split('/').map(part => encodeURIComponent(part).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)).join('/');
+
+// AWS Signature Version 4 headers for a request without a query string
+function signV4({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey, service = 's3', now = new Date() }) {
+    const { host, pathname } = new URL(url);
+    const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const date = amzDate.slice(0, 8);
+    const sent = { ...headers, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+    const lower = Object.fromEntries(Object.entries({ ...sent, host }).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+    const names = Object.keys(lower).sort();
+    const canonical = [method, pathname, '', names.map(name => `${name}:${lower[name]}\n`).join(''), names.join(';'), payloadHash].join('\n');
+    const scope = `${date}/${region}/${service}/aws4_request`;
+    const toSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonical)].join('\n');
+    let key = `AWS4${secretAccessKey}`;
+    for (const part of [date, region, service, 'aws4_request']) key = hmac(key, part);
+    const signature = crypto.createHmac('sha256', key).update(toSign).digest('hex');
+    return { ...sent, Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}` };
+}
+
+// What a job needs from the archive; null when the file is no longer recorded
+async function resolveJob(versionsDir, job) {
+    const versionDir = path.join(versionsDir, job.dir);
+    const manifest = await readManifest(versionDir);
+    if (!manifest) return null;
+    if (job.file === 'launcher.json') {
+        if (!manifest.launcherJson) return null;
+        const source = path.join(versionDir, manifest.launcherJson.path);
+        const size = await fsp.stat(source).then(s => s.size).catch(() => null);
+        if (size === null) return null;
+        return { versionDir, manifest, source, url: manifest.launcherJson.url, sha256: await sha256File(source), size };
+    }
+    const entry = manifest.files[job.file];
+    if (!entry) return null;
+    const source = await resolveArtifact(versionDir, job.file, manifest);
+    return { versionDir, manifest, source, url: entry.url, sha256: entry.sha256, size: entry.size };
+}
+
+/**
+ * { enqueue(dir, files), drain(options), pending() } over the configured targets.
+ * `dryRun` queues nothing and only logs what would be mirrored.
+ */
+function createOffsite({ targets = [], stateFile, versionsDir, dryRun = false, log = console.log }) {
+    const backends = targets.map(target => ({
+        name: targetName(target),
+        type: target.type,
+        ...DEFAULTS[target.type],
+        ...target,
+        backend: BACKENDS[target.type](target),
+    }));
+    let state = null;
+    // State and manifest writes from targets working side by side go one at a time
+    const serial = createLimiter(1);
+
+    const load = async () => {
+        if (!state) state = await fsp.readFile(stateFile, 'utf8').then(JSON.parse).catch(() => ({}));
+        for (const { name } of backends) state[name] = { queue: [], failed: [], lastRequestAt: 0, pausedUntil: 0, ...state[name] };
+        return state;
+    };
+    const save = () => serial(async () => {
+        if (dryRun) return;
+        await fsp.mkdir(path.dirname(stateFile), { recursive: true });
+        await fsp.writeFile(`${stateFile}.tmp`, JSON.stringify(state, null, 2) + '\n');
+        await fsp.rename(`${stateFile}.tmp`, stateFile);
+    });
+
+    // Queue files of versions/<dir> for every target that has no capture of them yet;
+    // `retryFailed` gives jobs that were given up a fresh start
+    async function enqueue(dir, files, { retryFailed = false } = {}) {
+        if (!backends.length) return [];
+        await load();
+        const manifest = await readManifest(path.join(versionsDir, dir));
+        const captured = new Set(((manifest && manifest.mirrors) || []).map(m => `${m.target} ${m.file}`));
+        const now = new Date().toISOString();
+        const queued = [];
+        for (const target of backends) {
+            const queues = state[target.name];
+            for (const file of files) {
+                if (captured.has(`${target.name} ${file}`)) continue;
+                const same = job => job.dir === dir && job.file === file;
+                if (queues.queue.some(same)) continue;
+                if (queues.failed.some(same)) {
+                    if (!retryFailed) continue;
+                    if (!dryRun) queues.failed = queues.failed.filter(job => !same(job));
+                }
+                const job = { dir, file, queuedAt: now, attempts: 0, nextAttempt: now };
+                if (dryRun) log(`would queue: ${target.name} ${dir}/${file}`);
+                else queues.queue.push(job);
+                queued.push({ target: target.name, dir, file });
+            }
+        }
+        if (queued.length) await save();
+        return queued;
+    }
+
+    async function work(target, job) {
+        const context = await resolveJob(versionsDir, job);
+        if (!context) throw permanent('no longer in the archive');
+        if (target.backend.needs === 'url' && !context.url) throw permanent('no upstream URL recorded');
+        if (target.backend.needs === 'file' && !context.source) throw permanent('bytes are not in this tree');
+        const capture = await target.backend.capture({ ...job, ...context });
+        const record = { target: target.name, type: target.type, file: job.file, ...capture };
+        await serial(() => recordMirror(context.versionDir, record));
+        return record;
+    }
+
+    // One target's due jobs, one at a time, until the queue is done or `deadline` passes
+    async function drainTarget(target, deadline, stop, results) {
+        const queue = state[target.name];
+        while (!stop()) {
+            const now = Date.now();
+            const job = queue.queue.find(j => Date.parse(j.nextAttempt) <= now);
+            if (!job) break;
+            const wait = Math.max(0, queue.lastRequestAt + target.minInterval - now, queue.pausedUntil - now);
+            if (now + wait > deadline) break;
+            if (dryRun) {
+                log(`would mirror: ${target.name} ${job.dir}/${job.file}`);
+                results.push({ target: target.name, job: `${job.dir}/${job.file}`, status: 'pending' });
+                // Nothing changes on a dry run; step past this job
+                job.nextAttempt = new Date(deadline + 1).toISOString();
+                continue;
+            }
+            if (wait) await sleep(wait);
+            queue.lastRequestAt = Date.now();
+            job.attempts++;
+            const result = { target: target.name, job: `${job.dir}/${job.file}`, attempts: job.attempts };
+            try {
+                const record = await work(target, job);
+                queue.queue = queue.queue.filter(j => j !== job);
+                log(`mirrored: ${target.name} ${job.dir}/${job.file}${record.snapshot ? ` (${record.snapshot})` : record.key ? ` (${record.key})` : ''}`);
+                results.push({ ...result, status: 'captured' });
+            } catch (error) {
+                job.error = error.message;
+                if (error.retryAfter) {
+                    // The target is busy, not the job at fault: it stays due and keeps its attempt
+                    queue.pausedUntil = Date.now() + error.retryAfter;
+                    job.attempts--;
+                    log(`paused: mirror ${target.name} until ${new Date(queue.pausedUntil).toISOString()} (${error.message})`);
+                    results.push({ ...result, attempts: job.attempts, status: 'pending', error: error.message });
+                } else if (error.permanent || job.attempts >= target.retries) {
+                    queue.queue = queue.queue.filter(j => j !== job);
+                    queue.failed.push({ ...job, failedAt: new Date().toISOString() });
+                    log(`failed: mirror ${target.name} ${job.dir}/${job.file} (${error.message}), giving up`);
+                    results.push({ ...result, status: 'failed', error: error.message });
+                } else {
+                    job.nextAttempt = new Date(Date.now() + Math.min(RETRY_BASE * 2 ** (job.attempts - 1), RETRY_MAX)).toISOString();
+                    log(`failed: mirror ${target.name} ${job.dir}/${job.file} (${error.message}), retry after ${job.nextAttempt}`);
+                    results.push({ ...result, status: 'retry', error: error.message });
+                }
+            }
+            await save();
+        }
+    }
+
+    /**
+     * Work through the due jobs of every target side by side for at most `budget` ms.
+     * Resolves with [{ target, job, status: captured|retry|failed|pending, attempts, error }].
+     */
+    async function drain({ budget = Infinity, stop = () => false } = {}) {
+        if (!backends.length) return [];
+        await load();
+        const deadline = Date.now() + budget;
+        const results = [];
+        await Promise.all(backends.map(target => drainTarget(target, deadline, stop, results)));
+        // A dry run moved jobs out of the way; forget that
+        if (dryRun) state = null;
+        return results;
+    }
+
+    // Per target: queued, due now and given up
+    async function pending() {
+        await load();
+        const now = Date.now();
+        return backends.map(({ name, type }) => ({
+            target: name,
+            type,
+            queued: state[name].queue.length,
+            due: state[name].queue.filter(j => Date.parse(j.nextAttempt) <= now).length,
+            failed: state[name].failed.length,
+            pausedUntil: state[name].pausedUntil > now ? new Date(state[name].pausedUntil).toISOString() : null,
+        }));
+    }
+
+    return { enqueue, drain, pending, targets: backends.map(t => t.name) };
+}
+
+module.exports = {
+    BACKENDS,
+    registerBackend,
+    validateTargets,
+    signV4,
+    createOffsite,
+};
@@ -0,0 +1,101 @@
+/**
+ * Child processes
+ * Everything is spawned with an argv array and no shell, so paths and versions taken from
+ * launcher.json are never parsed as shell syntax.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Run to completion. Resolves with { stdout, stderr, code }; rejects when the exit code is
+ * not in `okCodes` (default [0]) with the same fields attached to the error.
+ */
+function run(command, args = [], { cwd, env, okCodes = [0], timeout = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { cwd, env, shell: false, windowsHide: true });
+        let stdout = '';
+        let stderr = '';
+        let timer = null;
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', reject);
+        if (timeout) {
+            timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+        }
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            if (okCodes.includes(code)) return resolve({ stdout, stderr, code });
+            const detail = stderr.trim().split('\n').pop() || (signal ? `killed by ${signal}` : `exit code ${code}`);
+            const error = new Error(`${command} ${args.join(' ')}: ${detail}`);
+            Object.assign(error, { stdout, stderr, code, signal });
+            reject(error);
+        });
+    });
+}
+
+// Children from start() that have not exited yet, for stopAll()
+const running = new Set();
+
+// Start a long-running process (the launcher) and hand back the ChildProcess.
+// On Unix it leads its own process group so stop() also reaches whatever it spawned.
+function start(command, args = [], { cwd, env, stdio = 'ignore' } = {}) {
+    const detached = process.platform !== 'win32';
+    const child = spawn(command, args, { cwd, env, shell: false, stdio, detached, windowsHide: true });
+    running.add(child);
+    child.once('exit', () => running.delete(child));
+    // A missing binary surfaces as an async 'error'; keep it from crashing the archiver
+    child.on('error', error => {
+        running.delete(child);
+        console.log(`failed: ${command} (${error.message})`);
+    });
+    return child;
+}
+
+// SIGTERM, then SIGKILL after `grace` ms. Resolves once the process has exited.
+async function stop(child, grace = 5000) {
+    if (child.exitCode !== null || child.signalCode !== null || !child.pid) return;
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    const signal = sig => {
+        try {
+            if (process.platform === 'win32') child.kill();
+            else process.kill(-child.pid, sig);
+        } catch {}
+    };
+    signal('SIGTERM');
+    const timer = new Promise(resolve => setTimeout(resolve, grace, 'timeout'));
+    if (await Promise.race([exited, timer]) === 'timeout') {
+        signal('SIGKILL');
+        await Promise.race([exited, new Promise(resolve => setTimeout(resolve, grace))]);
+    }
+}
+
+// Stop every process start() launched that is still running
+async function stopAll(grace) {
+    await Promise.all([...running].map(child => stop(child, grace)));
+}
+
+// Look a command up on PATH without a shell
+async function which(command) {
+    const exts = process.platform === 'win32' ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';') : [''];
+    for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+        if (!dir) continue;
+        for (const ext of exts) {
+            const candidate = path.join(dir, command + ext);
+            try {
+                await fs.access(candidate, process.platform === 'win32' ? fs.constants.F_OK : fs.constants.X_OK);
+                return candidate;
+            } catch {}
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    run,
+    start,
+    stop,
+    stopAll,
+    which,
+};
@@ -0,0 +1,181 @@
+/**
+ * Stage-to-release promotions
+ * Correlates the builds stored per channel: a stage build whose version or artifact hashes
+ * later show up on release was promoted, and how long it sat on stage is recorded. Each
+ * version manifest gets the channels the build was offered on ("channelHistory") and its
+ * promotion status; the whole picture is written to versions/promotions.json.
+ *
+ *   "offered": [{ "since": "<iso>", "until": "<iso>|null" }]        // from launcher.json polls
+ *   "channelHistory": [{ "channel": "stage", "version": "...", "firstSeen": "<iso>", "until": "<iso>" }, ...]
+ *   "promotion": { "status": "promoted|pending|stage-only|release-only", "from": {...}, "to": {...},
+ *                  "promotedAt": "<iso>", "onStage": <ms>, "match": { "version": true, "files": 3 } }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseVersionDir, readManifest, writeManifest } = require('./manifest');
+
+const REPORT = 'promotions.json';
+
+const time = iso => iso ? Date.parse(iso) : NaN;
+const earliest = values => values.filter(v => !isNaN(time(v))).sort((a, b) => time(a) - time(b))[0] || null;
+
+// Every stored build: one per non-snapshot <version>-<channel> dir with a manifest
+async function loadBuilds(versionsDir, channels) {
+    const builds = [];
+    for (const name of (await fs.readdir(versionsDir).catch(() => [])).sort()) {
+        const parsed = parseVersionDir(name, channels);
+        if (!parsed || parsed.snapshot || parsed.version === 'latest') continue;
+        const versionDir = path.join(versionsDir, name);
+        const manifest = await readManifest(versionDir);
+        if (!manifest) continue;
+        const offered = manifest.offered || [];
+        const files = Object.values(manifest.files);
+        builds.push({
+            version: parsed.version,
+            channel: parsed.channel,
+            versionDir,
+            manifest,
+            // Polls are the most precise; files and legacy discovery times cover older builds
+            firstSeen: earliest([offered.length ? offered[0].since : null, ...files.map(f => f.firstSeen), manifest.discoveredAt]),
+            until: offered.length ? offered[offered.length - 1].until : undefined,
+            hashes: new Set(files.map(f => f.sha256).filter(Boolean)),
+        });
+    }
+    return builds;
+}
+
+/**
+ * Record that `channel` currently serves `version`. Opens an offer period on that build and
+ * closes the open one on any other build of the channel. Only transitions touch the manifests.
+ */
+async function observeChannel(versionsDir, channels, channel, version, now = new Date().toISOString()) {
+    const changes = { opened: null, closed: [] };
+    for (const build of await loadBuilds(versionsDir, channels)) {
+        if (build.channel !== channel) continue;
+        const offered = build.manifest.offered || [];
+        const open = offered.length && offered[offered.length - 1].until === null;
+        if (build.version === version && !open) {
+            build.manifest.offered = [...offered, { since: now, until: null }];
+            changes.opened = build.version;
+        } else if (build.version !== version && open) {
+            offered[offered.length - 1].until = now;
+            changes.closed.push(build.version);
+        } else {
+            continue;
+        }
+        await writeManifest(build.versionDir, build.manifest);
+    }
+    return changes;
+}
+
+function sharedFiles(a, b) {
+    let count = 0;
+    for (const hash of a.hashes) if (b.hashes.has(hash)) count++;
+    return count;
+}
+
+const ref = build => ({ channel: build.channel, version: build.version, firstSeen: build.firstSeen });
+
+/**
+ * Pair every `from` build with the earliest `to` build that has the same version or shares
+ * an artifact hash. Resolves with the report; manifests are rewritten only when they change.
+ */
+async function trackPromotions(versionsDir, channels, { from = 'stage', to = 'release' } = {}) {
+    const builds = await loadBuilds(versionsDir, channels);
+    const sources = builds.filter(b => b.channel === from);
+    const targets = builds.filter(b => b.channel === to);
+    const byFirstSeen = (a, b) => (time(a.firstSeen) || 0) - (time(b.firstSeen) || 0);
+    sources.sort(byFirstSeen);
+    targets.sort(byFirstSeen);
+
+    const status = new Map(builds.map(b => [b, null]));
+    const history = new Map(builds.map(b => [b, [b]]));
+    const promotions = [];
+    // The newest stage build without an offer record is assumed to still be up
+    const newestSource = sources[sources.length - 1];
+
+    for (const source of sources) {
+        const matches = targets
+            .map(target => ({ target, version: target.version === source.version, files: sharedFiles(source, target) }))
+            .filter(m => m.version || m.files);
+        for (const { target } of matches) {
+            history.get(source).push(target);
+            history.get(target).push(source);
+        }
+        if (!matches.length) {
+            const stillOffered = source.until === null || (source.until === undefined && source === newestSource);
+            status.set(source, { status: stillOffered ? 'pending' : 'stage-only' });
+            continue;
+        }
+        const { target, version, files } = matches[0];
+        const onStage = time(target.firstSeen) - time(source.firstSeen);
+        const promotion = {
+            status: 'promoted',
+            from: ref(source),
+            to: ref(target),
+            promotedAt: target.firstSeen,
+            // Negative when release had it first (stage was only polled later)
+            onStage: isNaN(onStage) ? null : onStage,
+            match: { version, files },
+        };
+        promotions.push(promotion);
+        status.set(source, promotion);
+        if (!status.get(target)) status.set(target, promotion);
+    }
+    for (const target of targets) {
+        if (!status.get(target)) status.set(target, { status: 'release-only' });
+    }
+
+    for (const build of builds) {
+        const channelHistory = history.get(build)
+            .sort(byFirstSeen)
+            .map(b => {
+                const entry = ref(b);
+                if (b.until) entry.until = b.until;
+                return entry;
+            });
+        const promotion = status.get(build);
+        if (!promotion) continue;
+        const before = JSON.stringify([build.manifest.channelHistory, build.manifest.promotion]);
+        if (before === JSON.stringify([channelHistory, promotion])) continue;
+        build.manifest.channelHistory = channelHistory;
+        build.manifest.promotion = promotion;
+        await writeManifest(build.versionDir, build.manifest);
+    }
+
+    const list = name => builds.filter(b => status.get(b) && status.get(b).status === name).sort(byFirstSeen).map(ref);
+    const report = {
+        from,
+        to,
+        promotions: promotions.sort((a, b) => (time(a.promotedAt) || 0) - (time(b.promotedAt) || 0)),
+        pending: list('pending'),
+        stageOnly: list('stage-only'),
+        releaseOnly: list('release-only'),
+    };
+    await fs.writeFile(path.join(versionsDir, REPORT), JSON.stringify(report, null, 2) + '\n');
+    return report;
+}
+
+// 93784000 -> "1d 2h 3m"
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return 'unknown';
+    const sign = ms < 0 ? '-' : '';
+    let minutes = Math.round(Math.abs(ms) / 60000);
+    const days = Math.floor(minutes / 1440);
+    minutes -= days * 1440;
+    const hours = Math.floor(minutes / 60);
+    minutes -= hours * 60;
+    const parts = [];
+    if (days) parts.push(`${days}d`);
+    if (hours) parts.push(`${hours}h`);
+    if (minutes || !parts.length) parts.push(`${minutes}m`);
+    return sign + parts.join(' ');
+}
+
+module.exports = {
+    REPORT,
+    observeChannel,
+    trackPromotions,
+    formatDuration,
+};
@@ -0,0 +1,256 @@
+/**
+ * Git publishing
+ * Commit messages that say which versions, channels and platforms were archived, optionally
+ * one commit per version, an annotated tag per archived version, Git LFS for the artifact
+ * bytes, and pushes to a configurable remote that are retried on top of whatever the remote
+ * got in the meantime.
+ *
+ * `git` is an (args) => Promise<{ stdout }> runner bound to the repository.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseVersionDir } = require('./manifest');
+
+const RUNTIME_ARCHIVE = /^(.+)-(linux|windows)-runtime-[\dT-]+$/;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Staged paths with their status letter, renames split into delete + add
+async function stagedChanges(git) {
+    const { stdout } = await git(['diff', '--staged', '--name-status', '--no-renames', '-z']);
+    const fields = stdout.split('\0').filter(Boolean);
+    const changes = [];
+    for (let i = 0; i + 1 < fields.length; i += 2) changes.push({ status: fields[i], path: fields[i + 1] });
+    return changes;
+}
+
+// "versions/<dir>/...", "extracted/<dir>/..." and "runtime-archives/<dir>-<os>-runtime-<ts>/..." -> "<dir>"
+function versionDirOf(file, channels) {
+    const [top, name] = file.split('/');
+    let dir = null;
+    if (top === 'versions' || top === 'extracted') dir = name;
+    if (top === 'runtime-archives' && RUNTIME_ARCHIVE.test(name || '')) dir = name.match(RUNTIME_ARCHIVE)[1];
+    const parsed = dir && parseVersionDir(dir, channels);
+    // latest-* and timestamped snapshots are bookkeeping, not versions of their own
+    if (!parsed || parsed.snapshot || parsed.version === 'latest') return null;
+    return { dir, ...parsed };
+}
+
+async function headManifest(git, dir) {
+    try {
+        return JSON.parse((await git(['show', `HEAD:versions/${dir}/manifest.json`])).stdout);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Staged changes grouped by version: { versions: [{ version, channel, dir, new, files, runtimeArchives,
+ * pathspecs }], other: [paths] }. Blobs go with the version whose manifest references them.
+ */
+async function groupChanges(repoRoot, git, changes, channels) {
+    const groups = new Map();
+    const blobs = new Set();
+    const other = [];
+    for (const { path: file } of changes) {
+        if (file.startsWith('blobs/')) {
+            blobs.add(file);
+            continue;
+        }
+        const owner = versionDirOf(file, channels);
+        if (!owner) {
+            other.push(file);
+            continue;
+        }
+        if (!groups.has(owner.dir)) groups.set(owner.dir, { ...owner, paths: new Set(), runtimeArchives: new Set() });
+        const group = groups.get(owner.dir);
+        // Directory pathspecs keep the command line short however many files changed
+        const [top, name] = file.split('/');
+        group.paths.add(`${top}/${name}/`);
+        if (top === 'runtime-archives') group.runtimeArchives.add(`${top}/${name}`);
+    }
+
+    const versions = [];
+    for (const group of [...groups.values()].sort((a, b) => a.dir.localeCompare(b.dir))) {
+        const manifest = await fs.readFile(path.join(repoRoot, 'versions', group.dir, 'manifest.json'), 'utf8').then(JSON.parse).catch(() => null);
+        const before = await headManifest(git, group.dir);
+        const files = [];
+        for (const [rel, entry] of Object.entries((manifest && manifest.files) || {})) {
+            const previous = before && before.files[rel];
+            if (previous && previous.sha256 === entry.sha256) continue;
+            files.push({ file: rel, platform: entry.platform, sha256: entry.sha256, status: previous ? 'changed' : 'added' });
+            if (entry.blob && blobs.delete(entry.blob)) group.paths.add(entry.blob);
+        }
+        versions.push({
+            version: group.version,
+            channel: group.channel,
+            dir: group.dir,
+            new: !!manifest && !before,
+            files,
+            platforms: [...new Set(files.map(f => f.platform).filter(Boolean))].sort(),
+            runtimeArchives: [...group.runtimeArchives].sort(),
+            pathspecs: [...group.paths].sort(),
+        });
+    }
+    return { versions, other: [...other, ...blobs].sort() };
+}
+
+const label = v => `${v.version} (${v.channel})`;
+
+function describeVersion(v) {
+    const lines = [`${label(v)}${v.new ? ', new' : ''}`];
+    for (const f of v.files) lines.push(`  ${f.status} ${f.file}${f.sha256 ? ` sha256:${f.sha256.slice(0, 12)}` : ''}`);
+    for (const r of v.runtimeArchives) lines.push(`  runtime archive ${r}`);
+    if (!v.files.length && !v.runtimeArchives.length) lines.push('  metadata only');
+    return lines;
+}
+
+// Subject and body for the versions (and other paths) going into one commit
+function commitMessage(versions, other = []) {
+    let subject;
+    const platforms = v => v.platforms.length ? `: ${v.platforms.join(', ')}` : '';
+    if (versions.length === 1) {
+        const [v] = versions;
+        subject = `${v.new ? 'Archive' : 'Update'} ${label(v)}${platforms(v)}`;
+    } else if (versions.length) {
+        subject = `Archive ${versions.length} versions: ${versions.map(label).join(', ')}`;
+    } else {
+        subject = `Update archive metadata (${other.length} file(s))`;
+    }
+    const body = versions.flatMap(describeVersion);
+    if (other.length) {
+        body.push(`${versions.length ? 'Also' : 'Changed'}: ${other.slice(0, 10).join(', ')}${other.length > 10 ? ` and ${other.length - 10} more` : ''}`);
+    }
+    return body.length ? `${subject}\n\n${body.join('\n')}\n` : `${subject}\n`;
+}
+
+async function headCommit(git) {
+    const { stdout } = await git(['log', '-1', '--format=%H%x00%s']);
+    const [sha, subject] = stdout.trim().split('\0');
+    return { sha, subject };
+}
+
+/**
+ * Commit what is staged: one commit for everything, or with `split` one commit per version
+ * followed by one for whatever is left. Resolves with [{ sha, subject, versions }].
+ */
+async function commitStaged(git, { versions, other }, { split = false } = {}) {
+    const commits = [];
+    if (split) {
+        for (const v of versions) {
+            // --only commits these paths and leaves the rest of the index staged
+            await git(['commit', '--only', '-m', commitMessage([v]), '--', ...v.pathspecs]);
+            commits.push({ ...await headCommit(git), versions: [`${v.version}-${v.channel}`] });
+        }
+        const rest = await git(['diff', '--staged', '--quiet']).then(() => false, () => true);
+        if (rest) {
+            await git(['commit', '-m', commitMessage([], other)]);
+            commits.push({ ...await headCommit(git), versions: [] });
+        }
+        return commits;
+    }
+    await git(['commit', '-m', commitMessage(versions, other)]);
+    commits.push({ ...await headCommit(git), versions: versions.map(v => `${v.version}-${v.channel}`) });
+    return commits;
+}
+
+/**
+ * Push HEAD to remote/branch. A rejected push is replayed on top of the remote branch with
+ * `pull --rebase` and tried again, up to `retries` more times. Resolves with { branch, attempts,
+ * rebased, failures, upstream } where failures are the rejected attempts ({ attempt, error })
+ * and upstream is the remote commit the last rebase put ours on. The error thrown after the
+ * last attempt carries `attempts`, `branch` and `failures`.
+ */
+async function pushWithRetry(git, { remote = 'origin', branch = null, retries = 3, delay = 2000 } = {}) {
+    if (!branch) branch = (await git(['rev-parse', '--abbrev-ref', 'HEAD'])).stdout.trim();
+    let rebased = 0;
+    let upstream = null;
+    const failures = [];
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await git(['push', remote, `HEAD:refs/heads/${branch}`]);
+            return { branch, attempts: attempt, rebased, failures, upstream };
+        } catch (error) {
+            if (attempt > retries) throw Object.assign(error, { attempts: attempt, branch, failures });
+            failures.push({ attempt, error: error.message.split('\n')[0] });
+        }
+        try {
+            await git(['pull', '--rebase', '--autostash', remote, branch]);
+            upstream = (await git(['rev-parse', 'FETCH_HEAD'])).stdout.trim();
+            rebased++;
+        } catch (error) {
+            // A conflict is not going to go away by retrying; leave the branch as it was
+            await git(['rebase', '--abort']).catch(() => {});
+            throw Object.assign(error, { attempts: attempt, branch, failures });
+        }
+        await sleep(delay * attempt);
+    }
+}
+
+/**
+ * The shas `commits` ended up with after a rebase onto `upstream`: our commits are the ones in
+ * upstream..HEAD, matched in order by subject. A commit the rebase dropped as empty gets null.
+ */
+async function rebasedCommits(git, upstream, commits) {
+    const { stdout } = await git(['log', '--reverse', '--format=%H%x00%s', `${upstream}..HEAD`]);
+    const rewritten = stdout.split('\n').filter(Boolean).map(line => line.split('\0'));
+    let next = 0;
+    return commits.map(commit => {
+        const index = rewritten.findIndex(([, subject], i) => i >= next && subject === commit.subject);
+        if (index < 0) return { ...commit, sha: null };
+        next = index + 1;
+        return { ...commit, sha: rewritten[index][0] };
+    });
+}
+
+/**
+ * One annotated tag per archived version, `<prefix><version>-<channel>`, on the commit that
+ * added its manifest. Versions that already have a tag are left alone, so tags missed by an
+ * earlier run are created on the next one. Resolves with the names of the new tags.
+ */
+async function tagVersions(git, repoRoot, channels, { prefix = 'archive/' } = {}) {
+    const existing = new Set((await git(['tag', '--list', `${prefix}*`])).stdout.split('\n').filter(Boolean));
+    const created = [];
+    const versionsDir = path.join(repoRoot, 'versions');
+    for (const dir of (await fs.readdir(versionsDir).catch(() => [])).sort()) {
+        const parsed = parseVersionDir(dir, channels);
+        if (!parsed || parsed.snapshot || parsed.version === 'latest') continue;
+        const name = `${prefix}${dir}`;
+        if (existing.has(name)) continue;
+        const manifestPath = `versions/${dir}/manifest.json`;
+        const added = (await git(['log', '--diff-filter=A', '--format=%H', '-1', '--', manifestPath])).stdout.trim();
+        // Not committed yet
+        if (!added) continue;
+        const manifest = await fs.readFile(path.join(repoRoot, manifestPath), 'utf8').then(JSON.parse).catch(() => null);
+        const lines = [`Hytale launcher ${parsed.version} (${parsed.channel})`, ''];
+        for (const [rel, entry] of Object.entries((manifest && manifest.files) || {})) lines.push(`${rel} sha256:${entry.sha256}`);
+        await git(['tag', '-a', name, '-m', lines.join('\n') + '\n', added]);
+        created.push(name);
+    }
+    return created;
+}
+
+/**
+ * Make sure every pattern is tracked by Git LFS in .gitattributes. Resolves with the patterns
+ * that were added; rejects when git-lfs is not installed.
+ */
+async function trackLfs(git, repoRoot, patterns) {
+    await git(['lfs', 'version']);
+    const attributes = await fs.readFile(path.join(repoRoot, '.gitattributes'), 'utf8').catch(() => '');
+    const tracked = new Set(attributes.split('\n').filter(line => /\bfilter=lfs\b/.test(line)).map(line => line.split(/\s+/)[0]));
+    const added = patterns.filter(pattern => !tracked.has(pattern));
+    if (added.length) await git(['lfs', 'track', ...added]);
+    return added;
+}
+
+module.exports = {
+    stagedChanges,
+    groupChanges,
+    commitMessage,
+    commitStaged,
+    rebasedCommits,
+    pushWithRetry,
+    tagVersions,
+    trackLfs,
+};
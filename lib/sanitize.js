@@ -0,0 +1,402 @@
+/**
+ * Runtime archive sanitization
+ * Copies launcher data directories through an allow/deny policy (sanitize-policy.json), redacts
+ * usernames, home paths, UUIDs and similar from text files, and refuses anything it cannot
+ * prove clean. Copies are staged and discarded on any error, so a failure archives nothing.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'sanitize-policy.json');
+const REPORT = 'sanitization.json';
+
+// Never treated as personal even when they show up as a home directory name
+const GENERIC_USERS = new Set(['user', 'users', 'public', 'default', 'default user', 'all users', 'administrator', 'root', 'runner']);
+
+const toPosix = p => p.split(path.sep).join('/');
+
+function loadPolicy(file = process.env.SANITIZE_POLICY || DEFAULT_FILE) {
+    let policy;
+    try {
+        policy = JSON.parse(require('fs').readFileSync(file, 'utf8'));
+    } catch (error) {
+        // Fail closed: without a policy nothing may be archived
+        throw new Error(`cannot read sanitize policy ${file}: ${error.message}`);
+    }
+    if (!Array.isArray(policy.allow) || !Array.isArray(policy.deny)) {
+        throw new Error(`invalid sanitize policy ${file}: allow and deny must be lists`);
+    }
+    policy.redact = { homePaths: true, usernames: [], uuids: true, emails: true, ipAddresses: true, tokens: true, ...policy.redact };
+    const { emails } = policy.redact;
+    if (typeof emails !== 'boolean' && !(Array.isArray(emails) && emails.every(glob => typeof glob === 'string'))) {
+        throw new Error(`invalid sanitize policy ${file}: redact.emails must be true, false or a list of file globs`);
+    }
+    policy.audit = policy.audit || {};
+    policy.file = file;
+    return policy;
+}
+
+// Glob -> RegExp. "**" crosses directories, "*" and "?" do not. Case-insensitive for Windows data.
+function globToRegExp(glob) {
+    let out = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*' && glob[i + 1] === '*') {
+            if (glob[i + 2] === '/') {
+                out += '(?:.*/)?';
+                i += 2;
+            } else {
+                out += '.*';
+                i += 1;
+            }
+        } else if (c === '*') {
+            out += '[^/]*';
+        } else if (c === '?') {
+            out += '[^/]';
+        } else {
+            out += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${out}$`, 'i');
+}
+
+/**
+ * Patterns with a slash match the whole relative path; patterns without one match any single
+ * path component, so "Cookies*" also covers "Network/Cookies-journal".
+ */
+function compile(globs) {
+    const matchers = globs.map(glob => ({ glob, re: globToRegExp(glob), anyComponent: !glob.includes('/') }));
+    return rel => {
+        const parts = rel.split('/');
+        for (const { glob, re, anyComponent } of matchers) {
+            if (anyComponent ? parts.some(part => re.test(part)) : re.test(rel)) return glob;
+        }
+        return null;
+    };
+}
+
+// Home directories in Windows, Linux and macOS form, including JSON-escaped backslashes.
+// "/home/" and "/Users/" only count where a path can start, not inside URLs or filter lists.
+const HOME_PATTERNS = [
+    /([A-Za-z]:(?:\\\\|\\|\/)(?:Users|Documents and Settings)(?:\\\\|\\|\/))([^\\/"'\s<>:|*?]+)/gi,
+    /((?:(?<![^\s"'=(\[,])|(?<=file:\/\/))\/home\/)([^/"'\s<>]+)/g,
+    /((?:(?<![^\s"'=(\[,])|(?<=file:\/\/))\/Users\/)([^/"'\s<>]+)/g,
+    /(drive_c\/users\/)([^/"'\s<>]+)/gi,
+];
+const UUID = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+const EMAIL = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+// Four-part version numbers ("version": "1.0.0.10") look like addresses and are left alone
+const IPV4 = /(?<![\d.])(?<!version["']?\s*[:=]\s*["']?)(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\d.])/g;
+const TOKENS = [
+    /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+    /\b(Bearer\s+)[A-Za-z0-9._~+/=-]{16,}/gi,
+];
+
+function isPersonal(name) {
+    return name && !name.startsWith('<') && !GENERIC_USERS.has(name.toLowerCase());
+}
+
+// Usernames that appear as home directory names in text
+function harvestUsernames(text, into) {
+    for (const pattern of HOME_PATTERNS) {
+        for (const match of text.matchAll(pattern)) {
+            if (isPersonal(match[2])) into.add(match[2]);
+        }
+    }
+    return into;
+}
+
+function knownUsernames(policy) {
+    const names = new Set(policy.redact.usernames || []);
+    for (const name of [process.env.USER, process.env.USERNAME, process.env.LOGNAME]) {
+        if (isPersonal(name)) names.add(name);
+    }
+    try {
+        const { username } = os.userInfo();
+        if (isPersonal(username)) names.add(username);
+    } catch {}
+    return names;
+}
+
+const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Redact one text. Returns { text, counts } where counts is keyed by kind; an empty
+ * counts object means the text was already clean.
+ */
+function redactText(text, policy, usernames) {
+    const counts = {};
+    const count = (kind, n = 1) => { counts[kind] = (counts[kind] || 0) + n; };
+    const { redact } = policy;
+
+    if (redact.homePaths) {
+        for (const pattern of HOME_PATTERNS) {
+            text = text.replace(pattern, (match, prefix, name) => {
+                if (!isPersonal(name)) return match;
+                count('homePaths');
+                return `${prefix}<user>`;
+            });
+        }
+    }
+    // Short names would match inside ordinary words; those are only caught through home paths.
+    // Windows usernames are case-insensitive, so "Kirk" in C:\Users also covers "kirk".
+    for (const name of usernames) {
+        if (name.length < 3) continue;
+        const pattern = new RegExp(`(?<![A-Za-z0-9])${escape(name)}(?![A-Za-z0-9])`, 'gi');
+        text = text.replace(pattern, () => {
+            count('usernames');
+            return '<user>';
+        });
+    }
+    if (redact.tokens) {
+        for (const pattern of TOKENS) {
+            text = text.replace(pattern, (match, prefix) => {
+                count('tokens');
+                return `${typeof prefix === 'string' ? prefix : ''}<token>`;
+            });
+        }
+    }
+    if (redact.emails) text = text.replace(EMAIL, () => { count('emails'); return '<email>'; });
+    if (redact.uuids) text = text.replace(UUID, () => { count('uuids'); return '<uuid>'; });
+    if (redact.ipAddresses) text = text.replace(IPV4, () => { count('ipAddresses'); return '<ip>'; });
+    return { text, counts };
+}
+
+// Text unless there is a NUL in the first 8 KiB. UTF-16 with BOM is decoded as such.
+function decode(buffer) {
+    if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) {
+        return { text: buffer.toString('utf16le', 2), encoding: 'utf16le', bom: true };
+    }
+    if (buffer.subarray(0, 8192).includes(0)) return null;
+    const bom = buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf;
+    return { text: buffer.toString('utf8', bom ? 3 : 0), encoding: 'utf8', bom };
+}
+
+function encode({ text, encoding, bom }) {
+    const body = Buffer.from(text, encoding);
+    if (!bom) return body;
+    return Buffer.concat([Buffer.from(encoding === 'utf16le' ? [0xff, 0xfe] : [0xef, 0xbb, 0xbf]), body]);
+}
+
+// Binary files are never edited; one that contains a home path of a known user (UTF-8 or
+// UTF-16) is refused. Bare names are not searched for, short ones turn up in any large binary.
+function binaryMentions(buffer, usernames) {
+    for (const name of usernames) {
+        for (const form of [`Users\\${name}`, `Users/${name}`, `users/${name}`, `home/${name}`]) {
+            if (buffer.includes(Buffer.from(form, 'utf8')) || buffer.includes(Buffer.from(form, 'utf16le'))) return name;
+        }
+    }
+    return null;
+}
+
+async function walk(dir, base = dir, out = []) {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) await walk(full, base, out);
+        else out.push({ full, rel: toPosix(path.relative(base, full)), entry });
+    }
+    return out;
+}
+
+// redact.emails may name the files it applies to (logs, config); legal texts keep their addresses
+function redactionsFor(rel, policy) {
+    const { emails } = policy.redact;
+    return Array.isArray(emails) ? { ...policy.redact, emails: !!compile(emails)(rel) } : policy.redact;
+}
+
+/**
+ * What should happen to one file: { action: 'deny' | 'skip' | 'refuse' | 'copy' | 'redact', ... }.
+ * `mode` "redact" skips the allow/deny lists (used for extracted launchers).
+ */
+function classify(rel, buffer, policy, usernames, { mode = 'full', isDenied, isAllowed }) {
+    if (mode === 'full') {
+        const denied = isDenied(rel);
+        if (denied) return { action: 'deny', rule: denied };
+        if (!isAllowed(rel)) return { action: 'skip', reason: 'not in allow list' };
+    }
+    const pathCheck = redactText(rel, { redact: { ...policy.redact, uuids: false, ipAddresses: false } }, usernames);
+    if (Object.keys(pathCheck.counts).length) return { action: 'refuse', reason: 'personal data in file name' };
+    const decoded = decode(buffer);
+    if (!decoded) {
+        const name = binaryMentions(buffer, usernames);
+        return name ? { action: 'refuse', reason: 'binary file mentions a username' } : { action: 'copy' };
+    }
+    const { text, counts } = redactText(decoded.text, { redact: redactionsFor(rel, policy) }, usernames);
+    if (!Object.keys(counts).length) return { action: 'copy' };
+    return { action: 'redact', counts, buffer: encode({ ...decoded, text }) };
+}
+
+// Paths in reports are redacted too so .keys/<uuid>.key does not leak; dotted versions are not IPs
+function reportPath(rel, policy, usernames = knownUsernames(policy)) {
+    return redactText(rel, { redact: { ...policy.redact, ipAddresses: false } }, usernames).text;
+}
+
+/**
+ * Copy src into dest through the policy. Any error removes the staged copy and rethrows.
+ * `only` limits the copy (and the report) to those relative paths.
+ * Resolves with the report that is also written to <dest>/../sanitization.json.
+ */
+async function sanitizeCopy(src, dest, policy, { reportFile = path.join(path.dirname(dest), REPORT), only = null } = {}) {
+    const isDenied = compile(policy.deny);
+    const isAllowed = compile(policy.allow);
+    const staging = `${dest}.partial`;
+    await fs.rm(staging, { recursive: true, force: true });
+    const report = {
+        policy: path.basename(policy.file),
+        sanitizedAt: new Date().toISOString(),
+        copied: 0,
+        redacted: [],
+        denied: [],
+        skipped: [],
+        refused: [],
+    };
+    try {
+        const files = (await walk(src)).filter(f => !only || only.has(f.rel));
+        // First pass: learn usernames from home paths in everything that may be archived
+        const usernames = knownUsernames(policy);
+        for (const { full, rel, entry } of files) {
+            if (!entry.isFile() || isDenied(rel) || !isAllowed(rel)) continue;
+            const decoded = decode(await fs.readFile(full));
+            if (decoded) harvestUsernames(decoded.text, usernames);
+        }
+
+        for (const { full, rel, entry } of files) {
+            const shown = reportPath(rel, policy, usernames);
+            if (!entry.isFile()) {
+                report.refused.push({ path: shown, reason: entry.isSymbolicLink() ? 'symlink' : 'not a regular file' });
+                continue;
+            }
+            const buffer = await fs.readFile(full);
+            const verdict = classify(rel, buffer, policy, usernames, { isDenied, isAllowed });
+            if (verdict.action === 'deny') report.denied.push({ path: shown, rule: verdict.rule });
+            if (verdict.action === 'skip') report.skipped.push({ path: shown, reason: verdict.reason });
+            if (verdict.action === 'refuse') report.refused.push({ path: shown, reason: verdict.reason });
+            if (verdict.action !== 'copy' && verdict.action !== 'redact') continue;
+
+            const target = path.join(staging, rel);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, verdict.action === 'redact' ? verdict.buffer : buffer, { flag: 'wx' });
+            const stat = await fs.stat(full);
+            await fs.utimes(target, stat.atime, stat.mtime);
+            report.copied++;
+            if (verdict.action === 'redact') report.redacted.push({ path: shown, counts: verdict.counts });
+        }
+        await fs.mkdir(path.dirname(dest), { recursive: true });
+        await fs.rename(staging, dest);
+        await fs.writeFile(reportFile, JSON.stringify(report, null, 2));
+        return report;
+    } catch (error) {
+        await fs.rm(staging, { recursive: true, force: true });
+        throw error;
+    }
+}
+
+// Expand one policy.audit key into concrete roots. A glob in the first segment is matched
+// against top-level directories; later globs are walked from the literal part and filtered.
+async function auditRoots(repoRoot, pattern, mode) {
+    const [first, ...rest] = pattern.split('/');
+    const tops = /[*?]/.test(first)
+        ? (await fs.readdir(repoRoot)).filter(name => globToRegExp(first).test(name))
+        : [first];
+    const roots = [];
+    for (const top of tops) {
+        const parts = [top, ...rest];
+        const literal = parts.findIndex(part => /[*?]/.test(part));
+        const root = literal < 0 ? parts.join('/') : parts.slice(0, literal).join('/');
+        const full = path.join(repoRoot, root);
+        const stat = await fs.stat(full).catch(() => null);
+        if (!stat || !stat.isDirectory()) continue;
+        let files = await walk(full);
+        if (literal >= 0) {
+            const re = globToRegExp(parts.join('/'));
+            files = files.filter(({ rel }) => re.test(`${root}/${rel}`));
+        }
+        roots.push({ root, full, mode, files });
+    }
+    return roots;
+}
+
+// Test for repository-relative paths the audit rewrites in place ("redact" keys of policy.audit)
+function redactedByAudit(policy) {
+    return compile(Object.entries(policy.audit).filter(([, mode]) => mode === 'redact').map(([pattern]) => pattern));
+}
+
+// Repository-relative directories the audit covers, so what it fixes can be staged
+async function auditedRoots(repoRoot, policy) {
+    const roots = new Set();
+    for (const [pattern, mode] of Object.entries(policy.audit)) {
+        for (const { root } of await auditRoots(repoRoot, pattern, mode)) roots.add(root);
+    }
+    return [...roots].sort();
+}
+
+// Archived trees keep the data directory below their own root (runtime-archives/<run>/appdata,
+// Version 1.0/Hytale), so the allow list is matched from every directory down
+function allowedBelow(globs) {
+    const isAllowed = compile(globs);
+    return rel => {
+        const parts = rel.split('/');
+        return parts.some((_, i) => isAllowed(parts.slice(i).join('/')));
+    };
+}
+
+/**
+ * Check already archived trees. policy.audit maps repo-relative paths or globs to "full" or
+ * "redact". With fix, denied, refused and (in "full" trees) not allowed files are deleted and
+ * text files rewritten in place. Resolves with a list of { path, kind, detail, fixed }.
+ */
+async function audit(repoRoot, policy, { fix = false } = {}) {
+    const isDenied = compile(policy.deny);
+    const isAllowed = allowedBelow(policy.allow);
+    const roots = [];
+    for (const [pattern, mode] of Object.entries(policy.audit)) {
+        roots.push(...await auditRoots(repoRoot, pattern, mode));
+    }
+
+    const usernames = knownUsernames(policy);
+    for (const { mode, files } of roots) {
+        for (const { full, rel, entry } of files) {
+            if (!entry.isFile() || (mode === 'full' && (isDenied(rel) || !isAllowed(rel)))) continue;
+            const decoded = decode(await fs.readFile(full));
+            if (decoded) harvestUsernames(decoded.text, usernames);
+        }
+    }
+
+    const violations = [];
+    for (const { root, mode, files } of roots) {
+        for (const { full, rel, entry } of files) {
+            if (!entry.isFile()) continue;
+            if (path.basename(rel) === REPORT) continue;
+            const verdict = classify(rel, await fs.readFile(full), policy, usernames, { mode, isDenied, isAllowed });
+            if (verdict.action === 'copy') continue;
+            const shown = `${root}/${reportPath(rel, policy, usernames)}`;
+            const violation = {
+                path: shown,
+                kind: { redact: 'unredacted', deny: 'denied', skip: 'not allowed' }[verdict.action] || 'refused',
+                detail: verdict.rule || verdict.reason || Object.entries(verdict.counts).map(([k, n]) => `${k}: ${n}`).join(', '),
+                fixed: false,
+            };
+            if (fix) {
+                if (verdict.action === 'redact') await fs.writeFile(full, verdict.buffer);
+                else await fs.unlink(full);
+                violation.fixed = true;
+            }
+            violations.push(violation);
+        }
+    }
+    return violations;
+}
+
+module.exports = {
+    REPORT,
+    loadPolicy,
+    compile,
+    redactText,
+    reportPath,
+    sanitizeCopy,
+    auditedRoots,
+    redactedByAudit,
+    audit,
+};
@@ -0,0 +1,146 @@
+/**
+ * Launcher data directory snapshots
+ * The candidate data directories are snapshotted before the launcher starts and again once it
+ * is ready; the difference says what this run created, changed and removed. Paths matching the
+ * noise profiles (browser engine caches and profile databases, lock files) are only counted,
+ * so a runtime archive keeps the launcher's own files: eula.txt, licenses, config and logs.
+ *
+ * changes.json, next to appdata/ in a runtime archive:
+ * { "before": "<iso>", "after": "<iso>", "profiles": ["common", "webview2", "webkit"],
+ *   "roots": [{ "root": "~/.local/share/Hytale", "archived": true,
+ *               "added": [{ "path": "eula.txt", "size": 5, "sha256": "..." }],
+ *               "modified": [{ "path": "...", "size": 9, "sha256": "...", "previous": { "size": 5, "sha256": "..." } }],
+ *               "deleted": [{ "path": "...", "size": 5, "sha256": "..." }],
+ *               "noise": { "added": 120, "modified": 4, "deleted": 0 } }] }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { sha256File } = require('./http');
+const os = require('os');
+const { compile, reportPath } = require('./sanitize');
+
+const CHANGES = 'changes.json';
+
+// Globs in sanitize-policy.json syntax; "keep" in the config wins over all of them
+const NOISE_PROFILES = {
+    common: ['**/GPUCache/**', '**/ShaderCache/**', '**/GrShaderCache/**', '**/Code Cache/**', '**/Crashpad/**', '**/CrashReports/**', 'LOCK', 'lockfile', '*.lock', '*.tmp', '*-journal'],
+    // Edge WebView2 (Windows launcher): the whole browser profile
+    webview2: ['WebView2/**', '**/EBWebView/**'],
+    // WebKitGTK (Linux launcher): caches, storage and the network process state
+    webkit: ['**/WebKitCache/**', '**/CacheStorage/**', '**/localstorage/**', '**/databases/**', '**/mediakeys/**', '**/ServiceWorkers/**', '**/deviceidhashsalts/**', '**/itp/**', '**/hsts-storage.sqlite*', '**/cookies.sqlite*', '**/storage/**'],
+};
+
+// Noise test for paths relative to a data directory
+function noiseFilter({ profiles = Object.keys(NOISE_PROFILES), noise = [], keep = [] } = {}) {
+    const unknown = profiles.filter(name => !NOISE_PROFILES[name]);
+    if (unknown.length) throw new Error(`unknown noise profile: ${unknown.join(', ')} (known: ${Object.keys(NOISE_PROFILES).join(', ')})`);
+    const isNoise = compile([...profiles.flatMap(name => NOISE_PROFILES[name]), ...noise]);
+    const isKept = compile(keep);
+    return rel => !isKept(rel) && !!isNoise(rel);
+}
+
+async function walk(dir, base = dir, out = []) {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true }).catch(() => [])) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) await walk(full, base, out);
+        else if (entry.isFile()) out.push({ full, rel: path.relative(base, full).split(path.sep).join('/') });
+    }
+    return out;
+}
+
+/**
+ * { takenAt, roots: { <dir>: { <rel>: { size, mtimeMs, sha256?, noise? } } | null } }. Noise
+ * is compared on size and mtime only, so hashing stays limited to the files that matter.
+ */
+async function takeSnapshot(dirs, isNoise) {
+    const snapshot = { takenAt: new Date().toISOString(), roots: {} };
+    for (const dir of dirs) {
+        if (!await fs.stat(dir).catch(() => null)) {
+            snapshot.roots[dir] = null;
+            continue;
+        }
+        const files = {};
+        for (const { full, rel } of await walk(dir)) {
+            const stat = await fs.stat(full).catch(() => null);
+            // Gone between readdir and stat
+            if (!stat) continue;
+            const entry = { size: stat.size, mtimeMs: stat.mtimeMs };
+            if (isNoise(rel)) entry.noise = true;
+            else entry.sha256 = await sha256File(full).catch(() => null);
+            files[rel] = entry;
+        }
+        snapshot.roots[dir] = files;
+    }
+    return snapshot;
+}
+
+// Per directory: what appeared, changed and went away between two snapshots
+function diffSnapshots(before, after) {
+    const roots = [];
+    for (const [dir, files] of Object.entries(after.roots)) {
+        const previous = before.roots[dir] || {};
+        if (!files && !before.roots[dir]) continue;
+        const delta = { dir, added: [], modified: [], deleted: [], noise: { added: 0, modified: 0, deleted: 0 } };
+        const describe = (rel, f) => ({ path: rel, size: f.size, sha256: f.sha256 });
+        for (const [rel, file] of Object.entries(files || {})) {
+            const old = previous[rel];
+            const changed = old && (file.noise ? old.size !== file.size || old.mtimeMs !== file.mtimeMs : old.sha256 !== file.sha256);
+            if (old && !changed) continue;
+            if (file.noise) delta.noise[old ? 'modified' : 'added']++;
+            else if (old) delta.modified.push({ ...describe(rel, file), previous: { size: old.size, sha256: old.sha256 } });
+            else delta.added.push(describe(rel, file));
+        }
+        for (const [rel, old] of Object.entries(previous)) {
+            if (files && files[rel]) continue;
+            if (old.noise) delta.noise.deleted++;
+            else delta.deleted.push(describe(rel, old));
+        }
+        for (const list of [delta.added, delta.modified, delta.deleted]) list.sort((a, b) => a.path.localeCompare(b.path));
+        roots.push(delta);
+    }
+    return roots;
+}
+
+// Files worth archiving from one directory's delta
+const changedPaths = delta => [...delta.added, ...delta.modified].map(f => f.path);
+
+const hasChanges = delta => delta.added.length + delta.modified.length + delta.deleted.length > 0;
+
+/**
+ * The changes.json document. Paths go through the sanitization policy like the archived copy;
+ * files the policy denies keep their path and size but not their hash.
+ */
+function changesReport(before, after, deltas, { policy, profiles, archived = null }) {
+    const denied = compile(policy.deny);
+    const home = os.homedir();
+    const entry = f => ({
+        path: reportPath(f.path, policy),
+        size: f.size,
+        ...(denied(f.path) ? {} : { sha256: f.sha256 }),
+    });
+    return {
+        before: before.takenAt,
+        after: after.takenAt,
+        profiles,
+        roots: deltas.map(delta => ({
+            root: delta.dir.startsWith(home + path.sep) ? `~${delta.dir.slice(home.length)}` : delta.dir,
+            archived: delta.dir === archived,
+            added: delta.added.map(entry),
+            modified: delta.modified.map(f => ({ ...entry(f), previous: denied(f.path) ? { size: f.previous.size } : f.previous })),
+            deleted: delta.deleted.map(entry),
+            noise: delta.noise,
+        })),
+    };
+}
+
+module.exports = {
+    CHANGES,
+    NOISE_PROFILES,
+    noiseFilter,
+    takeSnapshot,
+    diffSnapshots,
+    changedPaths,
+    hasChanges,
+    changesReport,
+};
@@ -0,0 +1,147 @@
+/**
+ * Torrents
+ * Hybrid BitTorrent v1/v2 metainfo (BEP 3, BEP 52) for a single file, and its magnet link, so
+ * a bundle can be seeded and fetched without the repository's host. Nothing time-dependent
+ * goes in, so the same bundle always gives the same .torrent and infohashes.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+
+const BLOCK = 16 * 1024;
+// Piece sizes grow until the file has at most this many pieces
+const TARGET_PIECES = 1500;
+const MAX_PIECE = 16 * 1024 * 1024;
+
+// Strings, Buffers, integers, lists and dictionaries: objects, or Maps for binary keys.
+// Keys are sorted by their bytes.
+function bencode(value) {
+    if (Buffer.isBuffer(value)) return Buffer.concat([Buffer.from(`${value.length}:`), value]);
+    if (typeof value === 'string') return bencode(Buffer.from(value));
+    if (Number.isInteger(value)) return Buffer.from(`i${value}e`);
+    if (Array.isArray(value)) return Buffer.concat([Buffer.from('l'), ...value.map(bencode), Buffer.from('e')]);
+    if (value && typeof value === 'object') {
+        const entries = (value instanceof Map ? [...value] : Object.entries(value))
+            .filter(([, v]) => v !== undefined)
+            .map(([key, v]) => [Buffer.from(key), v])
+            .sort((a, b) => Buffer.compare(a[0], b[0]));
+        return Buffer.concat([Buffer.from('d'), ...entries.flatMap(([key, v]) => [bencode(key), bencode(v)]), Buffer.from('e')]);
+    }
+    throw new Error(`cannot bencode ${typeof value}`);
+}
+
+function pieceLength(size) {
+    let length = BLOCK;
+    while (length < MAX_PIECE && size / length > TARGET_PIECES) length *= 2;
+    return length;
+}
+
+const sha1 = data => crypto.createHash('sha1').update(data).digest();
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+// Hash pairs until one node is left; `leaves` is padded to a power of two with `padding`
+function merkleRoot(leaves, padding) {
+    let layer = leaves.slice();
+    let width = 1;
+    while (width < layer.length) width *= 2;
+    while (layer.length < width) layer.push(padding);
+    while (layer.length > 1) {
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) next.push(sha256(Buffer.concat([layer[i], layer[i + 1]])));
+        layer = next;
+    }
+    return layer[0];
+}
+
+/**
+ * Read the file once and hash it both ways: v1 SHA1 pieces, and the v2 per-piece merkle roots
+ * of 16 KiB blocks from which the pieces root follows.
+ */
+async function hashFile(file, pieceSize) {
+    const v1 = [];
+    const layer = [];
+    const blocksPerPiece = pieceSize / BLOCK;
+    let piece = crypto.createHash('sha1');
+    let inPiece = 0;
+    let blocks = [];
+    let pending = Buffer.alloc(0);
+    const zero = Buffer.alloc(32);
+
+    const endBlock = data => {
+        blocks.push(sha256(data));
+        piece.update(data);
+        inPiece += data.length;
+        if (inPiece === pieceSize) endPiece();
+    };
+    const endPiece = () => {
+        v1.push(piece.digest());
+        layer.push(blocks);
+        piece = crypto.createHash('sha1');
+        inPiece = 0;
+        blocks = [];
+    };
+
+    for await (const chunk of fs.createReadStream(file, { highWaterMark: BLOCK * 4 })) {
+        pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+        let offset = 0;
+        while (pending.length - offset >= BLOCK) {
+            endBlock(pending.subarray(offset, offset + BLOCK));
+            offset += BLOCK;
+        }
+        pending = pending.subarray(offset);
+    }
+    if (pending.length) endBlock(pending);
+    if (inPiece) endPiece();
+
+    // A file that fits in one piece has its tree padded only to a power of two of its blocks
+    if (layer.length === 1) return { pieces: v1, root: merkleRoot(layer[0], zero), layer: null };
+    const pieceRoots = layer.map(leaves => merkleRoot([...leaves, ...Array(blocksPerPiece - leaves.length).fill(zero)], zero));
+    const padRoot = merkleRoot(Array(blocksPerPiece).fill(zero), zero);
+    return { pieces: v1, root: merkleRoot(pieceRoots, padRoot), layer: Buffer.concat(pieceRoots) };
+}
+
+/**
+ * Write <file>.torrent and resolve with { torrent, infohash, infohashV2, magnet }.
+ * `trackers` become announce/announce-list, `webSeeds` the url-list (BEP 19).
+ */
+async function writeTorrent(file, { trackers = [], webSeeds = [], comment } = {}) {
+    const size = (await fs.promises.stat(file)).size;
+    if (!size) throw new Error(`${file}: cannot make a torrent of an empty file`);
+    const name = path.basename(file);
+    const length = pieceLength(size);
+    const { pieces, root, layer } = await hashFile(file, length);
+    const info = {
+        'file tree': { [name]: { '': { length: size, 'pieces root': root } } },
+        length: size,
+        'meta version': 2,
+        name,
+        'piece length': length,
+        pieces: Buffer.concat(pieces),
+    };
+    const encodedInfo = bencode(info);
+    const metainfo = {
+        announce: trackers[0],
+        'announce-list': trackers.length > 1 ? trackers.map(tracker => [tracker]) : undefined,
+        comment,
+        'created by': 'hytale-launcher-archiver',
+        info,
+        'piece layers': new Map(layer ? [[root, layer]] : []),
+        'url-list': webSeeds.length ? webSeeds : undefined,
+    };
+    const torrent = `${file}.torrent`;
+    await fs.promises.writeFile(torrent, bencode(metainfo));
+
+    const infohash = sha1(encodedInfo).toString('hex');
+    const infohashV2 = sha256(encodedInfo).toString('hex');
+    const params = [`xt=urn:btih:${infohash}`, `xt=urn:btmh:1220${infohashV2}`, `dn=${encodeURIComponent(name)}`, `xl=${size}`];
+    for (const tracker of trackers) params.push(`tr=${encodeURIComponent(tracker)}`);
+    for (const seed of webSeeds) params.push(`ws=${encodeURIComponent(seed)}`);
+    return { torrent, infohash, infohashV2, magnet: `magnet:?${params.join('&')}` };
+}
+
+module.exports = {
+    bencode,
+    pieceLength,
+    writeTorrent,
+};
@@ -0,0 +1,105 @@
+/**
+ * Notification check
+ * Runs lib/notify.js against a local webhook receiver: what arrives, the dedupe key across
+ * emits and restarts, the HTTP retry after a 500 and the flush of a delivery that failed.
+ *
+ *   node scripts/check-notify.js
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { eventKey, createNotifier } = require('../lib/notify');
+
+// Answers the queued statuses in order, then 204; every request is kept
+function createReceiver() {
+    const received = [];
+    const statuses = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const status = statuses.shift() || 204;
+            received.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body), status });
+            res.writeHead(status);
+            res.end(status >= 500 ? 'boom' : '');
+        });
+    });
+    return { server, received, statuses };
+}
+
+async function main() {
+    const { server, received, statuses } = createReceiver();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/hook`;
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'check-notify-'));
+    const stateFile = path.join(dir, 'notified.json');
+    const lines = [];
+    const log = line => lines.push(line);
+    const target = { type: 'webhook', url, headers: { 'X-Token': 'secret' } };
+    const event = { type: 'new-version', version: '2026.01.01-0000000', channel: 'release', platforms: ['linux/amd64'] };
+
+    try {
+        // The key only depends on what identifies the occurrence
+        assert.strictEqual(eventKey(event), 'new-version:2026.01.01-0000000-release');
+        assert.strictEqual(eventKey({ ...event, platforms: [] }), eventKey(event));
+        assert.notStrictEqual(eventKey({ ...event, channel: 'stage' }), eventKey(event));
+        console.log('ok: event keys');
+
+        // A 500 is retried within the same delivery
+        statuses.push(500);
+        let notifier = createNotifier({ targets: [target], stateFile, retries: 1, log });
+        assert.deepStrictEqual(await notifier.emit(event), []);
+        assert.deepStrictEqual(received.map(r => r.status), [500, 204]);
+        const { body, headers } = received[1];
+        assert.strictEqual(received[1].url, '/hook');
+        assert.strictEqual(headers['x-token'], 'secret');
+        assert.strictEqual(body.type, 'new-version');
+        assert.strictEqual(body.version, event.version);
+        assert.match(body.text, /^New Hytale launcher on release: 2026\.01\.01-0000000 \(linux\/amd64\)$/);
+        console.log('ok: retried after a 500');
+
+        // Same key again, in this process and after a restart: nothing is sent
+        assert.deepStrictEqual(await notifier.emit({ ...event }), []);
+        notifier = createNotifier({ targets: [target], stateFile, retries: 1, log });
+        assert.deepStrictEqual(await notifier.emit({ ...event, platforms: ['linux/amd64', 'darwin/arm64'] }), []);
+        assert.deepStrictEqual(await notifier.flush(), []);
+        assert.strictEqual(received.length, 2);
+        console.log('ok: deduplicated by key');
+
+        // Out of retries: recorded as failed, then delivered by the next flush
+        statuses.push(500);
+        const next = { ...event, version: '2026.01.02-1111111' };
+        notifier = createNotifier({ targets: [target], stateFile, retries: 0, log });
+        const failures = await notifier.emit(next);
+        assert.strictEqual(failures.length, 1);
+        assert.match(failures[0].message, /^HTTP 500: boom$/);
+        let state = JSON.parse(await fs.readFile(stateFile, 'utf8'));
+        const delivery = state[eventKey(next)].targets[`webhook:${url}`];
+        assert.strictEqual(delivery.status, 'failed');
+        assert.strictEqual(delivery.attempts, 1);
+        assert.deepStrictEqual(await notifier.flush(), []);
+        assert.deepStrictEqual(received.slice(2).map(r => [r.status, r.body.version]), [[500, next.version], [204, next.version]]);
+        state = JSON.parse(await fs.readFile(stateFile, 'utf8'));
+        assert.strictEqual(state[eventKey(next)].targets[`webhook:${url}`].status, 'delivered');
+        assert.strictEqual(state[eventKey(next)].targets[`webhook:${url}`].attempts, 2);
+        console.log('ok: failed delivery flushed');
+
+        // Targets only get the events they subscribed to
+        notifier = createNotifier({ targets: [{ ...target, events: ['hash-mismatch'] }], log });
+        await notifier.emit({ ...event, version: '2026.01.03-2222222' });
+        assert.strictEqual(received.length, 4);
+        console.log('ok: events filter');
+    } finally {
+        server.close();
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});